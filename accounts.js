@@ -0,0 +1,237 @@
+// ==========================================
+// USER ACCOUNTS
+// Local accounts with roles deciding what each person can change.
+// Until the first account is created everyone can do everything, as before.
+// ==========================================
+
+const ACCOUNTS_KEY = 'userAccounts';
+
+// Per tab, so a reload (auto-lock included) keeps the person signed in but closing the tab doesn't
+const SIGNED_IN_KEY = 'signedInAccount';
+
+// PBKDF2-SHA-256 rounds for password hashes; stored per account
+const PASSWORD_ITERATIONS = 210000;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// What each permission lets someone do, phrased to finish "can't ..."
+const PERMISSIONS = {
+    editRecords: 'add, edit, delete or import students',
+    manageCourses: 'manage courses',
+    takeAttendance: 'take attendance',
+    enterGrades: 'enter grades',
+    manageSettings: 'change settings',
+    manageUsers: 'manage user accounts'
+};
+
+// Scoped roles only take attendance and enter grades for the courses on their account
+const ROLES = {
+    admin: { label: 'Admin', permissions: Object.keys(PERMISSIONS), scoped: false },
+    registrar: { label: 'Registrar', permissions: ['editRecords', 'manageCourses', 'takeAttendance', 'enterGrades'], scoped: false },
+    teacher: { label: 'Teacher', permissions: ['takeAttendance', 'enterGrades'], scoped: true },
+    viewer: { label: 'Viewer', permissions: [], scoped: false }
+};
+
+class PermissionError extends Error {
+    constructor(permission, course = null) {
+        const account = getSignedInAccount();
+        const who = account ? `${ROLES[account.role].label}s` : 'You';
+        super(`${who} can't ${PERMISSIONS[permission]}${course ? ` for ${course}` : ''}`);
+        this.name = 'PermissionError';
+    }
+}
+
+// { id, name, username, role, courses: [course names], salt, hash, iterations, createdAt, updatedAt }
+class UserAccounts {
+    constructor() {
+        this.accounts = [];
+        this.load();
+    }
+
+    // The accounts every permission check on this page reads
+    static current() {
+        return UserAccounts.active;
+    }
+
+    static setCurrent(accounts) {
+        UserAccounts.active = accounts;
+    }
+
+    load() {
+        try {
+            this.accounts = JSON.parse(localStorage.getItem(ACCOUNTS_KEY)) || [];
+        } catch (e) {
+            this.accounts = [];
+        }
+        return this.accounts;
+    }
+
+    save() {
+        localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(this.accounts));
+        TabSync.notify('accounts');
+    }
+
+    isEnabled() {
+        return this.accounts.length > 0;
+    }
+
+    getAccount(id) {
+        return this.accounts.find(a => a.id === id) || null;
+    }
+
+    findByUsername(username) {
+        const wanted = trimString(username).toLowerCase();
+        return this.accounts.find(a => a.username.toLowerCase() === wanted) || null;
+    }
+
+    getSignedIn() {
+        return this.getAccount(sessionStorage.getItem(SIGNED_IN_KEY));
+    }
+
+    async signIn(username, password) {
+        const account = this.findByUsername(username);
+        // Hashed even for unknown usernames so the wait doesn't tell which ones exist
+        const hash = await hashPassword(password, account ? account.salt : bytesToBase64(new Uint8Array(16)),
+            account ? account.iterations : PASSWORD_ITERATIONS);
+        if (!account || hash !== account.hash) throw new Error('Wrong username or password');
+        sessionStorage.setItem(SIGNED_IN_KEY, account.id);
+        return account;
+    }
+
+    signOut() {
+        sessionStorage.removeItem(SIGNED_IN_KEY);
+    }
+
+    // Creates or updates an account; a blank password keeps the current one
+    async saveAccount(data, id = null) {
+        const existing = id ? this.getAccount(id) : null;
+        if (id && !existing) throw new Error('Account not found!');
+        const name = trimString(data.name);
+        const username = trimString(data.username);
+        const role = ROLES[data.role] ? data.role : null;
+        const password = String(data.password || '');
+
+        if (!name || !username) throw new Error('Name and username are required!');
+        if (!role) throw new Error('Pick a role!');
+        const taken = this.findByUsername(username);
+        if (taken && taken.id !== id) throw new Error(`The username ${username} is already taken!`);
+        if (!existing && !this.isEnabled() && role !== 'admin') throw new Error('The first account must be an admin!');
+        if (existing && existing.role === 'admin' && role !== 'admin' && this.countAdmins() === 1) {
+            throw new Error('Keep at least one admin account!');
+        }
+        if ((!existing || password) && password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters!`);
+        }
+
+        const now = new Date().toISOString();
+        const account = {
+            ...existing,
+            id: existing ? existing.id : createRecordId(),
+            name,
+            username,
+            role,
+            courses: ROLES[role].scoped ? [...new Set((data.courses || []).map(trimString).filter(Boolean))] : [],
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+        if (password) {
+            account.salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+            account.iterations = PASSWORD_ITERATIONS;
+            account.hash = await hashPassword(password, account.salt, account.iterations);
+        }
+
+        this.accounts = existing
+            ? this.accounts.map(a => (a.id === existing.id ? account : a))
+            : [...this.accounts, account];
+        this.save();
+        return account;
+    }
+
+    removeAccount(id) {
+        const account = this.getAccount(id);
+        if (!account) throw new Error('Account not found!');
+        if (account.role === 'admin' && this.countAdmins() === 1) throw new Error('Keep at least one admin account!');
+        this.accounts = this.accounts.filter(a => a.id !== id);
+        this.save();
+    }
+
+    countAdmins() {
+        return this.accounts.filter(a => a.role === 'admin').length;
+    }
+
+    // Course renames and merges carry over to teachers' course lists
+    renameCourse(from, to) {
+        let changed = false;
+        this.accounts = this.accounts.map(account => {
+            if (!account.courses.includes(from)) return account;
+            changed = true;
+            return { ...account, courses: [...new Set(account.courses.map(c => (c === from ? to : c)))] };
+        });
+        if (changed) this.save();
+    }
+}
+
+UserAccounts.active = null;
+
+function getSignedInAccount() {
+    const accounts = UserAccounts.current();
+    return accounts ? accounts.getSignedIn() : null;
+}
+
+// Whether the person at the keyboard may do something; pass a course to check a scoped role's courses
+function can(permission, course = null) {
+    const accounts = UserAccounts.current();
+    if (!accounts || !accounts.isEnabled()) return true;
+    const account = accounts.getSignedIn();
+    if (!account) return false;
+    const role = ROLES[account.role];
+    if (!role || !role.permissions.includes(permission)) return false;
+    return course === null || !role.scoped || account.courses.includes(course);
+}
+
+// Throws PermissionError unless can(permission, course)
+function requirePermission(permission, course = null) {
+    if (!can(permission, course)) throw new PermissionError(permission, course);
+}
+
+async function hashPassword(password, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt: base64ToBytes(salt), iterations, hash: 'SHA-256' }, material, 256);
+    return bytesToBase64(new Uint8Array(bits));
+}
+
+// Shows the sign-in screen until someone signs in, once accounts exist and this tab isn't signed in yet
+async function signIn(accounts = UserAccounts.current()) {
+    if (!accounts.isEnabled() || accounts.getSignedIn()) return;
+
+    const screen = document.getElementById('signInScreen');
+    const form = document.getElementById('signInForm');
+    const username = document.getElementById('signInUsername');
+    const password = document.getElementById('signInPassword');
+    const error = document.getElementById('signInError');
+    const submitBtn = document.getElementById('signInBtn');
+    screen.classList.add('active');
+    username.focus();
+
+    await new Promise(resolve => {
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            submitBtn.disabled = true;
+            error.textContent = '';
+            try {
+                if (!Vault.isSupported()) throw new Error('Signing in needs the app served over https or opened from a local file');
+                await accounts.signIn(username.value, password.value);
+                form.onsubmit = null;
+                resolve();
+            } catch (err) {
+                error.textContent = err.message;
+                password.select();
+            } finally {
+                submitBtn.disabled = false;
+            }
+        };
+    });
+
+    password.value = '';
+    screen.classList.remove('active');
+}
@@ -5,234 +5,877 @@
 
 // Student Data Manager Class
 class StudentManager {
-    constructor() {
-        this.students = this.loadFromStorage();
+    constructor(storage = new LocalStorageAdapter()) {
+        this.storage = storage;
+        this.students = [];
         this.editingId = null;
         this.selectedIds = new Set();
+        this.pendingSave = Promise.resolve();
+        this.saveQueued = false;
+        this.journal = new ChangeJournal(storage);
+        this.batch = null;
+        this.attendance = new AttendanceRegister(storage);
+        this.gradebook = new Gradebook(storage);
+        this.catalog = new CourseCatalog(storage);
+        // Marks and scores each merge copied onto its survivor, by journal entry id, so undo can take them
+        // back off; like undo itself this only spans the current session
+        this.mergeCopies = new Map();
+        // The stored roster revision this tab last loaded or saved, and each record's revision at that point;
+        // a save over a newer roster (another tab saved first) merges it in instead of overwriting it
+        this.storageRevision = null;
+        this.syncedRevisions = new Map();
+        // Called with { conflicts } after changes saved by another tab have been merged in
+        this.onSync = null;
     }
 
-    loadFromStorage() {
-        const data = localStorage.getItem('studentRecords');
-        return data ? JSON.parse(data) : [];
+    async loadFromStorage() {
+        // Read before the records: a save landing in between then only costs a merge, never a lost change
+        if (typeof this.storage.loadRevision === 'function') {
+            this.storageRevision = await this.storage.loadRevision();
+        }
+        const { students, upgraded } = migrateRecords(await this.storage.load());
+        this.students = students;
+        this.syncedRevisions = new Map(students.map(s => [s.id, s.revision]));
+        if (upgraded) {
+            this.saveToStorage();
+        }
+        await this.journal.load();
+        await this.attendance.load();
+        AttendanceRegister.setCurrent(this.attendance);
+        await this.gradebook.load();
+        Gradebook.setCurrent(this.gradebook);
+        await this.catalog.load();
+        CourseCatalog.setCurrent(this.catalog);
+        this.adoptCourses();
+        this.purgeExpiredTrash();
+        return this.students;
     }
 
     saveToStorage() {
+        // Saves are queued so an older snapshot never lands after a newer one;
+        // a burst of changes (e.g. a bulk import) collapses into a single queued save
+        this.adoptCourses();
+        if (this.saveQueued) return this.pendingSave;
+        this.saveQueued = true;
+        this.pendingSave = this.pendingSave
+            .then(() => {
+                this.saveQueued = false;
+                return this.writeStudents();
+            })
+            .catch(e => {
+                if (e.name === 'QuotaExceededError') {
+                    alert('Storage limit exceeded! Please delete some records or use smaller photos.');
+                } else {
+                    console.error('Failed to save student records:', e);
+                }
+            });
+        return this.pendingSave;
+    }
+
+    // Saves over the revision this tab last saw; when another tab saved first, its changes are merged in and the save retried
+    async writeStudents() {
         try {
-            localStorage.setItem('studentRecords', JSON.stringify(this.students));
-        } catch (e) {
-            if (e.name === 'QuotaExceededError') {
-                alert('Storage limit exceeded! Please delete some records or use smaller photos.');
+            this.storageRevision = await this.storage.save([...this.students], this.storageRevision);
+        } catch (error) {
+            if (!(error instanceof StaleStorageError)) throw error;
+            await this.mergeFromStorage();
+            this.storageRevision = await this.storage.save([...this.students], this.storageRevision);
+        }
+        this.syncedRevisions = new Map(this.students.map(s => [s.id, s.revision]));
+        TabSync.notify('students', { revision: this.storageRevision });
+    }
+
+    // ==================================================
+    // Tab sync
+    // ==================================================
+
+    // Picks up what another tab saved; returns false when storage holds nothing new
+    async syncFromStorage() {
+        await this.pendingSave;
+        if (typeof this.storage.loadRevision !== 'function') return false;
+        if (await this.storage.loadRevision() === this.storageRevision) return false;
+
+        await this.mergeFromStorage();
+        // Local changes made while the merge ran still need saving
+        if (this.students.some(s => this.syncedRevisions.get(s.id) !== s.revision)) {
+            this.saveToStorage();
+        }
+        return true;
+    }
+
+    async mergeFromStorage() {
+        const revision = await this.storage.loadRevision();
+        const { students: stored } = migrateRecords(await this.storage.load());
+        const { students, conflicts } = mergeRosters(this.students, stored, this.syncedRevisions);
+        // The server adapter merges other people's changes into its copy before this tab sees them
+        if (typeof this.storage.takeConflicts === 'function') conflicts.push(...this.storage.takeConflicts());
+
+        this.students = students;
+        this.storageRevision = revision;
+        this.syncedRevisions = new Map(stored.map(s => [s.id, s.revision]));
+        this.selectedIds.forEach(id => {
+            if (!students.some(s => s.id === id)) this.selectedIds.delete(id);
+        });
+        await this.journal.reload();
+        if (this.onSync) this.onSync({ conflicts });
+        return conflicts;
+    }
+
+    // Puts this tab's version of a record back after another tab's save won a conflict
+    keepLocalVersion(record) {
+        const applied = this.applyChanges([{ id: record.id, after: { ...record, updatedAt: new Date().toISOString() } }]);
+        this.logChange('update', `Kept this tab's changes to ${record.name} over another tab's`, applied);
+        return this.getStudentById(record.id);
+    }
+
+    // Waits for every queued write (roster, journal, attendance, gradebook, catalog) to land
+    async flushSaves() {
+        await this.pendingSave;
+        await Promise.all([this.journal.pendingWrite, this.attendance.pendingSave, this.gradebook.pendingSave, this.catalog.pendingSave]);
+    }
+
+    // Rewrites everything stored through another adapter (encryption turned on or off) and keeps using it
+    async switchStorage(storage) {
+        await this.flushSaves();
+        await copyStorage(this.storage, storage);
+        this.storage = storage;
+        [this.journal, this.attendance, this.gradebook, this.catalog].forEach(store => { store.storage = storage; });
+        this.storageRevision = await storage.loadRevision();
+    }
+
+    // ==================================================
+    // Change journal
+    // ==================================================
+
+    // Journals a mutation; inside runBatch the changes join the batch's single entry
+    logChange(action, summary, changes, options) {
+        if (changes.length === 0) return null;
+        if (this.batch) {
+            this.batch.push(...changes);
+            return null;
+        }
+        return this.journal.record(action, summary, changes, options);
+    }
+
+    // Runs several mutations as one journal entry (and so one undo step)
+    runBatch(action, summary, work) {
+        if (this.batch) return work();
+
+        this.batch = [];
+        try {
+            return work();
+        } finally {
+            const changes = this.batch;
+            this.batch = null;
+            this.logChange(action, typeof summary === 'function' ? summary(changes) : summary, changes);
+        }
+    }
+
+    // Writes record snapshots back into the roster; nothing changes if a Student ID would clash
+    applyChanges(changes) {
+        const next = [...this.students];
+        const applied = [];
+
+        changes.forEach(change => {
+            const index = next.findIndex(s => s.id === change.id);
+            const current = index === -1 ? null : next[index];
+            if (change.after) {
+                // Every write is a new revision, including undo and restore of older snapshots
+                const record = {
+                    ...change.after,
+                    photo: this.journal.resolvePhoto(change.after.photo, current),
+                    revision: Math.max(current ? current.revision : 0, change.after.revision || 0) + 1
+                };
+                if (index === -1) {
+                    const position = Math.min(change.index ?? next.length, next.length);
+                    next.splice(position, 0, record);
+                    applied.push({ id: change.id, index: position, before: null, after: record });
+                } else {
+                    next[index] = record;
+                    applied.push({ id: change.id, index, before: current, after: record });
+                }
+            } else if (current) {
+                next.splice(index, 1);
+                applied.push({ id: change.id, index, before: current, after: null });
+            }
+        });
+
+        const seen = new Set();
+        next.forEach(student => {
+            if (seen.has(student.studentId)) {
+                throw new Error(`Student ID ${student.studentId} is already in use!`);
             }
+            seen.add(student.studentId);
+        });
+
+        this.students = next;
+        this.selectedIds.forEach(id => {
+            if (!next.some(s => s.id === id)) this.selectedIds.delete(id);
+        });
+        this.saveToStorage();
+        return applied;
+    }
+
+    canUndo() {
+        return this.journal.peekUndo() !== null;
+    }
+
+    canRedo() {
+        return this.journal.peekRedo() !== null;
+    }
+
+    undo() {
+        const entry = this.journal.peekUndo();
+        if (!entry) return null;
+
+        const reverted = entry.changes
+            .map(change => ({ ...change, before: change.after, after: change.before }))
+            .reverse();
+        const applied = this.applyChanges(reverted);
+        const copies = this.mergeCopies.get(entry.id);
+        if (copies) {
+            this.attendance.removeCopiedMarks(copies.keepId, copies.marks);
+            this.gradebook.removeCopiedScores(copies.keepId, copies.scores);
         }
+
+        this.journal.undoStack.pop();
+        this.journal.redoStack.push(entry.id);
+        this.journal.record('undo', `Undid: ${entry.summary}`, applied, { undoable: false });
+        return entry;
     }
 
-    addStudent(studentData) {
-        if (this.students.some(s => s.studentId === studentData.studentId)) {
-            throw new Error('Student ID already exists!');
+    redo() {
+        const entry = this.journal.peekRedo();
+        if (!entry) return null;
+
+        const applied = this.applyChanges(entry.changes);
+        const copies = this.mergeCopies.get(entry.id);
+        if (copies) this.copyMergedMarks(entry.id, copies.duplicateId, copies.keepId);
+
+        this.journal.redoStack.pop();
+        this.journal.undoStack.push(entry.id);
+        this.journal.record('redo', `Redid: ${entry.summary}`, applied, { undoable: false });
+        return entry;
+    }
+
+    // Brings back one journaled version of a record (a deleted record comes back as it was)
+    restoreVersion(entryId, recordId) {
+        const entry = this.journal.getEntry(entryId);
+        const change = entry && entry.changes.find(c => c.id === recordId);
+        if (!change) throw new Error('Version not found!');
+
+        const snapshot = change.after || change.before;
+        const scale = GradingScale.current();
+        const current = this.getStudentById(recordId);
+        const version = {
+            ...snapshot,
+            photo: this.journal.resolvePhoto(snapshot.photo, current),
+            deletedAt: null,
+            // Grades are stored in whatever scale was active when the version was journaled
+            gpa: entry.scale && entry.scale !== scale.id
+                ? GradingScale.get(entry.scale).convertTo(snapshot.gpa, scale)
+                : snapshot.gpa,
+            updatedAt: new Date().toISOString()
+        };
+
+        // A trashed record comes back out of the trash even when its fields already match
+        if (current && !current.deletedAt && diffRecords(current, version).length === 0) {
+            throw new Error('That version matches the current record');
         }
 
-        const student = {
+        const applied = this.applyChanges([{ id: recordId, index: change.index, after: version }]);
+        this.logChange('restore', `Restored ${version.name} to the version from ${new Date(entry.at).toLocaleString()}`, applied);
+        return this.getStudentById(recordId);
+    }
+
+    addStudent(studentData) {
+        this.assertStudentIdAvailable(studentData.studentId);
+
+        const student = normalizeRecord({
             ...studentData,
-            id: Date.now().toString(),
+            id: createRecordId(),
+            revision: 1,
             createdAt: new Date().toISOString()
-        };
+        });
 
         this.students.push(student);
+        this.logChange('add', `Added ${student.name} (${student.studentId})`, [
+            { id: student.id, index: this.students.length - 1, before: null, after: student }
+        ]);
         this.saveToStorage();
         return student;
     }
 
-    updateStudent(id, studentData) {
+    // expectedRevision is the revision the edit started from; null saves over whatever is there
+    updateStudent(id, studentData, expectedRevision = null) {
         const index = this.students.findIndex(s => s.id === id);
         if (index === -1) throw new Error('Student not found!');
 
-        const existingStudent = this.students.find(s =>
-            s.studentId === studentData.studentId && s.id !== id
-        );
-
-        if (existingStudent) {
-            throw new Error('Student ID already exists!');
+        const before = this.students[index];
+        if (expectedRevision !== null && before.revision !== expectedRevision) {
+            throw new RevisionConflictError(before);
         }
+        this.assertStudentIdAvailable(studentData.studentId, id);
 
         // Preserve existing photo if not updated
-        const currentPhoto = this.students[index].photo;
+        const currentPhoto = before.photo;
 
-        this.students[index] = {
-            ...this.students[index],
+        this.students[index] = normalizeRecord({
+            ...before,
             ...studentData,
             photo: studentData.photo || currentPhoto, // Keep old photo if new one is null/undefined
+            revision: before.revision + 1,
             updatedAt: new Date().toISOString()
-        };
+        });
+
+        const changed = diffRecords(before, this.students[index]).map(c => c.field);
+        if (changed.length > 0) {
+            this.logChange('update', `Edited ${this.students[index].name}: ${changed.join(', ')}`, [
+                { id, index, before, after: this.students[index] }
+            ]);
+        }
 
         this.saveToStorage();
         return this.students[index];
     }
 
+    // Trashed records keep their Student ID reserved until they are purged
+    assertStudentIdAvailable(studentId, exceptId = null) {
+        const owner = this.students.find(s => s.studentId === studentId && s.id !== exceptId);
+        if (!owner) return;
+        if (owner.deletedAt) {
+            throw new Error('Student ID belongs to a student in the trash! Restore or purge it first.');
+        }
+        throw new Error('Student ID already exists!');
+    }
+
+    // Deleting moves records to the trash; purgeStudents removes them for good
     deleteStudent(id) {
-        const index = this.students.findIndex(s => s.id === id);
-        if (index === -1) throw new Error('Student not found!');
+        const student = this.getStudentById(id);
+        if (!student || student.deletedAt) throw new Error('Student not found!');
 
-        const deleted = this.students.splice(index, 1)[0];
-        this.saveToStorage();
-        return deleted;
+        this.setDeletedAt([id], new Date().toISOString(), 'delete', () => `Moved ${student.name} (${student.studentId}) to trash`);
+        return student;
     }
 
     bulkDelete(ids) {
+        this.setDeletedAt(ids, new Date().toISOString(), 'bulkDelete', changes => `Moved ${changes.length} student(s) to trash`);
+    }
+
+    // Splits active records into those the shared values would change, those already matching
+    // and those where a value would break a validation rule ({ student, errors })
+    previewBulkUpdate(ids, fields) {
+        const selected = new Set(ids);
+        const preview = { changed: [], unchanged: [], invalid: [] };
+        this.getAllStudents().filter(s => selected.has(s.id)).forEach(student => {
+            const updated = normalizeRecord({ ...student, ...fields });
+            // Only the fields being set are checked, so older records can still be edited after a rule is tightened
+            const errors = Object.entries(validateRecord(updated))
+                .filter(([field]) => field in fields)
+                .map(([, message]) => message);
+            if (errors.length > 0) {
+                preview.invalid.push({ student, errors });
+                return;
+            }
+            preview[diffRecords(student, updated).length > 0 ? 'changed' : 'unchanged'].push(student);
+        });
+        return preview;
+    }
+
+    // Sets the same values (e.g. course, year) on several records as one undoable step
+    bulkUpdate(ids, fields) {
+        const updatedAt = new Date().toISOString();
+        const applied = this.applyChanges(this.previewBulkUpdate(ids, fields).changed.map(student => ({
+            id: student.id,
+            after: normalizeRecord({ ...student, ...fields, updatedAt })
+        })));
+        const values = Object.entries(fields).map(([field, value]) => `${field} to ${value}`).join(', ');
+        this.logChange('bulkEdit', `Set ${values} on ${applied.length} student(s)`, applied);
+        return applied.length;
+    }
+
+    // Students below the final year move up one; final-year students graduate instead
+    previewPromotion(ids) {
+        const selected = new Set(ids);
+        const plan = { promoted: [], graduating: [], skipped: [] };
+        this.getAllStudents().filter(s => selected.has(s.id)).forEach(student => {
+            if (student.graduationDate || student.year === null) {
+                plan.skipped.push(student);
+            } else if (student.year >= FINAL_YEAR) {
+                plan.graduating.push(student);
+            } else {
+                plan.promoted.push(student);
+            }
+        });
+        return plan;
+    }
+
+    promoteStudents(ids, graduationDate = new Date().toISOString().split('T')[0]) {
+        const plan = this.previewPromotion(ids);
+        const updatedAt = new Date().toISOString();
+        const applied = this.applyChanges([
+            ...plan.promoted.map(student => ({ id: student.id, after: { ...student, year: student.year + 1, updatedAt } })),
+            ...plan.graduating.map(student => ({ id: student.id, after: { ...student, graduationDate, updatedAt } }))
+        ]);
+        this.logChange('promote', `Promoted ${plan.promoted.length} student(s) and graduated ${plan.graduating.length}`, applied);
+        return plan;
+    }
+
+    restoreFromTrash(ids) {
+        return this.setDeletedAt(ids, null, 'restoreTrash', changes => changes.length === 1
+            ? `Restored ${changes[0].after.name} from trash`
+            : `Restored ${changes.length} student(s) from trash`);
+    }
+
+    setDeletedAt(ids, deletedAt, action, summary) {
+        const changes = [];
         ids.forEach(id => {
             const index = this.students.findIndex(s => s.id === id);
-            if (index !== -1) {
-                this.students.splice(index, 1);
-            }
+            if (index === -1 || Boolean(this.students[index].deletedAt) === Boolean(deletedAt)) return;
+            const before = this.students[index];
+            this.students[index] = { ...before, deletedAt, revision: before.revision + 1 };
+            changes.push({ id, index, before, after: this.students[index] });
+            this.selectedIds.delete(id);
+        });
+
+        this.logChange(action, summary(changes), changes);
+        this.saveToStorage();
+        return changes.length;
+    }
+
+    // Permanent; the journal keeps the last snapshot but purges can't be undone
+    purgeStudents(ids, summary = null) {
+        const changes = [];
+        ids.forEach(id => {
+            const index = this.students.findIndex(s => s.id === id && s.deletedAt);
+            if (index === -1) return;
+            changes.push({ id, index, before: this.students[index], after: null });
+            this.students.splice(index, 1);
         });
+
+        this.logChange('purge', summary || `Permanently deleted ${changes.length} student(s) from trash`, changes,
+            { undoable: false });
+        this.journal.forgetRecords(changes.map(c => c.id));
         this.saveToStorage();
+        return changes.length;
+    }
+
+    // Purges records that have sat in the trash longer than the retention period
+    purgeExpiredTrash(retentionDays = getTrashRetentionDays()) {
+        if (!retentionDays) return 0;
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        const expired = this.getTrashedStudents()
+            .filter(s => new Date(s.deletedAt).getTime() < cutoff)
+            .map(s => s.id);
+        if (expired.length === 0) return 0;
+        return this.purgeStudents(expired, `Auto-purged ${expired.length} student(s) older than ${retentionDays} days from trash`);
+    }
+
+    // ==================================================
+    // Course catalog
+    // ==================================================
+
+    // Courses typed in by imports or older data join the catalog so filters and forms offer them
+    adoptCourses() {
+        return this.catalog.adopt(this.students.map(s => s.course));
+    }
+
+    // Creates or edits a catalog course; a rename carries over to every record taking it
+    saveCourse(data, id = null) {
+        const { course, previousName } = this.catalog.saveCourse(data, id);
+        if (previousName && previousName !== course.name) {
+            this.moveCourse(previousName, course.name, 'renameCourse',
+                count => `Renamed course ${previousName} to ${course.name} on ${count} student(s)`);
+        }
+        return course;
+    }
+
+    // Folds one course into another: its students, roll-call sessions and gradebook courses move across
+    mergeCourses(sourceId, targetId) {
+        const { source, target } = this.catalog.merge(sourceId, targetId);
+        const moved = this.moveCourse(source.name, target.name, 'mergeCourse',
+            count => `Merged ${source.name} into ${target.name} (${count} student(s))`);
+        return { source, target, moved };
+    }
+
+    // Rewrites the course on every record, trashed ones included
+    moveCourse(from, to, action, summary) {
+        const updatedAt = new Date().toISOString();
+        const applied = this.applyChanges(this.students
+            .filter(s => s.course === from)
+            .map(s => ({ id: s.id, after: { ...s, course: to, updatedAt } })));
+        // The catalog itself isn't journaled, so undoing would leave records on a course it no longer lists
+        this.logChange(action, summary(applied.length), applied, { undoable: false });
+        this.attendance.renameCourse(from, to);
+        this.gradebook.renameCourse(from, to);
+        UserAccounts.current().renameCourse(from, to);
+        return applied.length;
+    }
+
+    countCourseStudents(name) {
+        return this.getAllStudents().filter(s => s.course === name).length;
+    }
+
+    // ==================================================
+    // Duplicates
+    // ==================================================
+
+    findDuplicates() {
+        return findDuplicatePairs(this.getAllStudents(), getDismissedDuplicates());
+    }
+
+    // Folds a duplicate into the record being kept as one undoable step: `values` are the fields picked
+    // for the survivor, the duplicate goes to the trash, and its attendance and scores carry over
+    // (undo takes back off the ones that were copied)
+    mergeStudents(keepId, duplicateId, values) {
+        const keep = this.getStudentById(keepId);
+        const duplicate = this.getStudentById(duplicateId);
+        if (!keep || !duplicate || keep.deletedAt || duplicate.deletedAt || keepId === duplicateId) {
+            throw new Error('Student not found!');
+        }
+
+        const now = new Date().toISOString();
+        // The survivor's Student ID stays; the duplicate keeps its own in the trash
+        const merged = normalizeRecord({ ...keep, ...values, id: keep.id, studentId: keep.studentId, updatedAt: now });
+        const errors = Object.values(validateRecord(merged));
+        if (errors.length > 0) throw new Error(errors[0]);
+
+        const applied = this.applyChanges([
+            { id: keep.id, after: merged },
+            { id: duplicate.id, after: { ...duplicate, deletedAt: now } }
+        ]);
+        const entry = this.logChange('merge', `Merged ${duplicate.name} (${duplicate.studentId}) into ${merged.name} (${merged.studentId})`, applied);
+        this.copyMergedMarks(entry && entry.id, duplicate.id, keep.id);
+        return merged;
+    }
+
+    copyMergedMarks(entryId, duplicateId, keepId) {
+        const marks = this.attendance.copyMarks(duplicateId, keepId);
+        const scores = this.gradebook.copyScores(duplicateId, keepId);
+        if (entryId) this.mergeCopies.set(entryId, { duplicateId, keepId, marks, scores });
     }
 
+    // Active roster; trashed records only show up in the recycle bin
     getAllStudents() {
-        return [...this.students];
+        return this.students.filter(s => !s.deletedAt);
+    }
+
+    getTrashedStudents() {
+        return this.students.filter(s => s.deletedAt);
+    }
+
+    // Selected rows still on the active roster
+    getSelectedStudents() {
+        return this.getAllStudents().filter(s => this.selectedIds.has(s.id));
     }
 
     getStudentById(id) {
         return this.students.find(s => s.id === id);
     }
 
+    // Scanned or typed Student IDs; trashed records are found too so callers can say so
+    findByStudentId(studentId) {
+        const code = trimString(studentId);
+        if (!code) return null;
+        return this.students.find(s => s.studentId === code)
+            || this.students.find(s => s.studentId.toLowerCase() === code.toLowerCase())
+            || null;
+    }
+
     searchStudents(query) {
-        const lowerQuery = query.toLowerCase();
-        return this.students.filter(student =>
-            student.name.toLowerCase().includes(lowerQuery) ||
-            student.studentId.toLowerCase().includes(lowerQuery) ||
-            student.email.toLowerCase().includes(lowerQuery) ||
-            student.phone.includes(lowerQuery)
-        );
+        return this.filterStudents({ search: query });
     }
 
-    filterStudents(filters) {
-        return this.students.filter(student => {
+    // Single filter engine behind the table, exports and search
+    // filters: { search (query language, see query.js), course, year, gpa (band id), favorite ('favorite') }
+    filterStudents(filters = {}) {
+        const scale = GradingScale.current();
+        const query = new StudentQuery(filters.search);
+
+        return this.getAllStudents().filter(student => {
+            if (!query.matches(student)) return false;
             if (filters.course && student.course !== filters.course) return false;
-            if (filters.year && student.year !== filters.year) return false;
+            if (filters.year && student.year !== Number(filters.year)) return false;
+            if (filters.gpa && scale.getBand(getStudentGPA(student)) !== filters.gpa) return false;
+            if (filters.favorite === 'favorite' && !student.favorite) return false;
             return true;
         });
     }
 
-    sortByName(ascending = true) {
-        this.students.sort((a, b) => {
-            const comparison = a.name.localeCompare(b.name);
-            return ascending ? comparison : -comparison;
-        });
+    toggleFavorite(id) {
+        const student = this.getStudentById(id);
+        if (!student) throw new Error('Student not found!');
+        return this.updateStudent(id, { favorite: !student.favorite });
     }
 
-    sortByGPA(ascending = false) {
-        this.students.sort((a, b) => {
-            const gpaA = parseFloat(a.gpa) || 0;
-            const gpaB = parseFloat(b.gpa) || 0;
-            return ascending ? gpaA - gpaB : gpaB - gpaA;
+    // Returns a sorted copy; the stored order (insertion order) is never changed
+    sortStudents(students = this.getAllStudents(), key = '', direction = 'asc') {
+        const sortKey = SORT_KEYS[key];
+        if (!sortKey) return [...students];
+
+        const factor = direction === 'desc' ? -1 : 1;
+        const isMissing = value => value === null || value === undefined || value === '';
+
+        return [...students].sort((a, b) => {
+            const valueA = sortKey.value(a);
+            const valueB = sortKey.value(b);
+            if (isMissing(valueA) || isMissing(valueB)) {
+                return isMissing(valueA) - isMissing(valueB);
+            }
+            const comparison = typeof valueA === 'string'
+                ? valueA.localeCompare(valueB)
+                : valueA - valueB;
+            return comparison * factor;
         });
     }
 
-    getStatistics() {
-        const total = this.students.length;
-        const avgGPA = total > 0
-            ? (this.students.reduce((sum, s) => sum + (parseFloat(s.gpa) || 0), 0) / total).toFixed(2)
-            : '0.00';
-        const topGPA = total > 0
-            ? Math.max(...this.students.map(s => parseFloat(s.gpa) || 0)).toFixed(2)
-            : '0.00';
-        const courses = new Set(this.students.map(s => s.course)).size;
+    getStatistics(students = this.getAllStudents()) {
+        const scale = GradingScale.current();
+        const total = students.length;
+        // Students without a grade (e.g. no gradebook scores yet) are left out of both figures
+        const points = students.map(s => scale.toPoints(getStudentGPA(s))).filter(p => p !== null);
+        const avgGPA = points.length > 0
+            ? scale.format(scale.fromPoints(points.reduce((sum, p) => sum + p, 0) / points.length))
+            : scale.format(scale.min);
+        const topGPA = points.length > 0
+            ? scale.format(scale.fromPoints(Math.max(...points)))
+            : scale.format(scale.min);
+        const courses = new Set(students.map(s => s.course)).size;
 
         return { total, avgGPA, topGPA, courses };
     }
 
     getCourseDistribution() {
         const distribution = {};
-        this.students.forEach(s => {
+        this.getAllStudents().forEach(s => {
             distribution[s.course] = (distribution[s.course] || 0) + 1;
         });
         return distribution;
     }
 
     getGPADistribution() {
-        const ranges = {
-            '9.0-10.0': 0,
-            '8.0-9.0': 0,
-            '7.0-8.0': 0,
-            '6.0-7.0': 0,
-            'Below 6.0': 0
-        };
-
-        this.students.forEach(s => {
-            const gpa = parseFloat(s.gpa) || 0;
-            if (gpa >= 9.0) ranges['9.0-10.0']++;
-            else if (gpa >= 8.0) ranges['8.0-9.0']++;
-            else if (gpa >= 7.0) ranges['7.0-8.0']++;
-            else if (gpa >= 6.0) ranges['6.0-7.0']++;
-            else ranges['Below 6.0']++;
-        });
-
-        return ranges;
+        return GradingScale.current().getDistribution(this.getAllStudents(), getStudentGPA);
     }
 
     getYearDistribution() {
         const distribution = { '1': 0, '2': 0, '3': 0, '4': 0 };
-        this.students.forEach(s => {
+        this.getAllStudents().forEach(s => {
             distribution[s.year] = (distribution[s.year] || 0) + 1;
         });
         return distribution;
     }
 
-    exportToJSON() {
-        return JSON.stringify(this.students, null, 2);
+    // Converts every stored grade to another scale and makes it the active one
+    convertGradingScale(targetId) {
+        const from = GradingScale.current();
+        const to = GradingScale.get(targetId);
+        if (from.id === to.id) return 0;
+
+        const changes = [];
+        this.students = this.students.map((student, index) => {
+            if (student.gpa === null) return student;
+            const converted = { ...student, gpa: from.convertTo(student.gpa, to), revision: student.revision + 1 };
+            changes.push({ id: student.id, index, before: student, after: converted });
+            return converted;
+        });
+
+        this.logChange('convert', `Converted ${changes.length} grade(s) from ${from.label} to ${to.label}`, changes,
+            { undoable: false });
+        // Earlier undo steps hold grades in the old scale
+        this.journal.resetUndo();
+        GradingScale.setCurrent(to.id);
+        this.saveToStorage();
+        return changes.length;
     }
 
-    exportToCSV() {
-        if (this.students.length === 0) return '';
+    exportToJSON(students = this.getAllStudents()) {
+        return JSON.stringify(this.getExportRecords(students), null, 2);
+    }
 
-        const headers = ['Student ID', 'Name', 'Gender', 'Email', 'Phone', 'Course', 'Year', 'GPA', 'Enrollment Date'];
-        const rows = this.students.map(s => [
-            s.studentId,
-            s.name,
-            s.gender || '',
-            s.email,
-            s.phone,
-            s.course,
-            s.year,
-            s.gpa || '',
-            s.enrollmentDate
-        ]);
+    // Same records as exportToJSON, sealed with the passphrase while encryption is on
+    async exportToFile(students = this.getAllStudents()) {
+        const vault = Vault.current();
+        return vault ? vault.exportFile(this.getExportRecords(students)) : this.exportToJSON(students);
+    }
 
-        const csvContent = [
-            headers.join(','),
-            ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
-        ].join('\n');
+    // Tag each record with its scale so an import elsewhere can convert it
+    getExportRecords(students) {
+        const gradingScale = GradingScale.current().id;
+        return students.map(s => ({ ...s, gradingScale }));
+    }
+
+    // options: { columns: [keys from CSV_COLUMNS], delimiter }
+    exportToCSV(students = this.getAllStudents(), options = {}) {
+        if (students.length === 0) return '';
+        return buildStudentCSV(students, options);
+    }
 
-        return csvContent;
+    // Merges a file into the roster, resolving every conflict the same way
+    importFromJSON(jsonString, resolution = 'incoming') {
+        const plan = this.previewImport(jsonString);
+        const resolutions = {};
+        plan.changed.forEach(entry => { resolutions[entry.row] = resolution; });
+        return this.applyImport(plan, resolutions);
     }
 
-    importFromJSON(jsonString) {
+    // Dry run: classifies each incoming row against the roster by studentId without changing anything
+    previewImport(jsonString) {
+        let data;
         try {
-            const data = JSON.parse(jsonString);
-            if (!Array.isArray(data)) {
-                throw new Error('Invalid format');
-            }
-            this.students = data;
-            this.saveToStorage();
-            return true;
+            data = JSON.parse(jsonString);
         } catch (error) {
             throw new Error('Failed to import data: ' + error.message);
         }
+        if (!Array.isArray(data)) {
+            throw new Error('Failed to import data: Invalid format');
+        }
+
+        const plan = { added: [], changed: [], identical: [], invalid: [] };
+        const seenIds = new Set();
+
+        data.forEach((raw, index) => {
+            const row = index + 1;
+            let record;
+            try {
+                record = fromExportedScale(migrateRecord(raw));
+            } catch (error) {
+                plan.invalid.push({ row, record: raw || {}, errors: [error.message] });
+                return;
+            }
+
+            const errors = Object.values(validateRecord(record));
+            if (seenIds.has(record.studentId)) {
+                errors.push(`Student ID ${record.studentId} appears more than once in the file`);
+            }
+            if (errors.length > 0) {
+                plan.invalid.push({ row, record, errors });
+                return;
+            }
+            seenIds.add(record.studentId);
+
+            const existing = this.students.find(s => s.studentId === record.studentId);
+            if (existing && existing.deletedAt) {
+                plan.invalid.push({ row, record, errors: [`Student ID ${record.studentId} belongs to a student in the trash`] });
+                return;
+            }
+            if (!existing) {
+                plan.added.push({ row, record });
+                return;
+            }
+
+            const changes = diffRecords(existing, record);
+            if (changes.length === 0) {
+                plan.identical.push({ row, record, existing });
+            } else {
+                plan.changed.push({ row, record, existing, changes });
+            }
+        });
+
+        return plan;
+    }
+
+    // resolutions maps a conflicting row number to one of IMPORT_RESOLUTIONS
+    applyImport(plan, resolutions = {}) {
+        const usedIds = new Set(this.students.map(s => s.id));
+        const changes = [];
+
+        plan.added.forEach(({ record }) => {
+            const id = record.id && !usedIds.has(record.id) ? record.id : createRecordId();
+            usedIds.add(id);
+            const student = normalizeRecord({ ...record, id, revision: 1 });
+            this.students.push(student);
+            changes.push({ id, index: this.students.length - 1, before: null, after: student });
+        });
+
+        let updated = 0;
+        plan.changed.forEach(({ row, record, existing }) => {
+            const index = this.students.findIndex(s => s.id === existing.id);
+            if (index === -1) return;
+            const resolved = this.resolveImportConflict(existing, record, resolutions[row] || 'keep');
+            if (diffRecords(existing, resolved).length > 0) {
+                resolved.revision = existing.revision + 1;
+                this.students[index] = resolved;
+                changes.push({ id: existing.id, index, before: existing, after: resolved });
+                updated++;
+            }
+        });
+
+        this.logChange('import', `Imported JSON: ${plan.added.length} added, ${updated} updated`, changes);
+        this.saveToStorage();
+        return {
+            added: plan.added.length,
+            updated,
+            unchanged: plan.identical.length + plan.changed.length - updated,
+            invalid: plan.invalid.length
+        };
+    }
+
+    resolveImportConflict(existing, incoming, resolution) {
+        const keep = { id: existing.id, createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+        if (resolution === 'replace') {
+            return normalizeRecord({ ...incoming, ...keep });
+        }
+
+        // Merges take the preferred side's value and fall back to the other side for blank fields
+        const [preferred, fallback] = resolution === 'incoming' ? [incoming, existing] : [existing, incoming];
+        const merged = { ...existing };
+        RECORD_FIELDS.forEach(field => {
+            merged[field] = isBlank(preferred[field]) ? fallback[field] : preferred[field];
+        });
+        return normalizeRecord({ ...merged, ...keep });
     }
 }
 
+const TRASH_RETENTION_KEY = 'trashRetentionDays';
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const TRASH_RETENTION_OPTIONS = { 7: '7 days', 30: '30 days', 90: '90 days', 0: 'Never' };
+
+// 0 means trashed records are kept until purged by hand
+function getTrashRetentionDays() {
+    const stored = localStorage.getItem(TRASH_RETENTION_KEY);
+    return stored === null ? DEFAULT_TRASH_RETENTION_DAYS : Number(stored) || 0;
+}
+
+// Promoting a student already in this year graduates them
+const FINAL_YEAR = 4;
+
+// Fields picked one by one when merging duplicates; the kept record's Student ID always stays
+const MERGE_FIELDS = RECORD_FIELDS.filter(field => field !== 'studentId');
+
+const BULK_ACTION_TITLES = {
+    edit: 'Edit Selected Students',
+    export: 'Export Selected Students',
+    promote: 'Promote to Next Year',
+    delete: 'Delete Selected Students'
+};
+
+const IMPORT_RESOLUTIONS = {
+    keep: 'Merge, keep existing',
+    incoming: 'Merge, prefer incoming',
+    replace: 'Replace with incoming'
+};
+
 // UI Controller
 class UIController {
     constructor(manager) {
         this.manager = manager;
-        this.currentFilters = { course: '', year: '' };
-        this.currentSearch = '';
+        this.savedViews = new SavedViewStore();
+        this.setViewState(createDefaultView());
+        this.currentViewName = '';
         this.charts = {};
         this.currentPhoto = null;
+        // Records saved in two tabs at once, shown one at a time: [{ mine, theirs, fromForm }]
+        this.conflicts = [];
 
         this.initializeElements();
         this.attachEventListeners();
         this.setupDarkMode();
+        this.setupGradingScale();
+        this.setupViews();
+        this.setupSync();
+        this.setupLock();
+        this.setupServer();
+        this.applyPermissions();
         this.render();
         // Charts are hidden by default, so no need to render initially
     }
@@ -249,11 +892,14 @@ class UIController {
             name: document.getElementById('name'),
             email: document.getElementById('email'),
             phone: document.getElementById('phone'),
+            dob: document.getElementById('dob'),
             gender: document.getElementById('gender'),
             course: document.getElementById('course'),
             year: document.getElementById('year'),
             gpa: document.getElementById('gpa'),
-            enrollmentDate: document.getElementById('enrollmentDate')
+            attendance: document.getElementById('attendance'),
+            enrollmentDate: document.getElementById('enrollmentDate'),
+            notes: document.getElementById('notes')
         };
 
         this.photoInput = document.getElementById('studentPhoto');
@@ -263,11 +909,20 @@ class UIController {
         this.searchInput = document.getElementById('searchInput');
         this.courseFilter = document.getElementById('courseFilter');
         this.yearFilter = document.getElementById('yearFilter');
+        this.gpaFilter = document.getElementById('gpaFilter');
+        this.favoriteFilter = document.getElementById('favoriteFilter');
+        this.savedViewsSelect = document.getElementById('savedViews');
+        this.saveViewBtn = document.getElementById('saveView');
+        this.deleteViewBtn = document.getElementById('deleteView');
+        this.copyViewLinkBtn = document.getElementById('copyViewLink');
+        this.columnPicker = document.getElementById('columnPicker');
+        this.tableHead = document.querySelector('#studentsTable thead tr');
         this.clearFiltersBtn = document.getElementById('clearFilters');
 
         // Table
         this.tableBody = document.getElementById('studentsTableBody');
-        this.selectAllCheckbox = document.getElementById('selectAll');
+        this.selectAllCheckbox = document.getElementById('selectAllCheckbox');
+        this.selectAllBtn = document.getElementById('selectAll');
 
         // Statistics
         this.totalStudents = document.getElementById('totalStudents');
@@ -278,27 +933,243 @@ class UIController {
         // Buttons
         this.toggleAnalyticsBtn = document.getElementById('toggleAnalyticsBtn');
         this.themeCheckbox = document.getElementById('checkbox');
+        this.gradingScaleSelect = document.getElementById('gradingScale');
+        this.gpaLabel = document.getElementById('gpaLabel');
         this.exportCSV = document.getElementById('exportCSV');
         this.exportJSON = document.getElementById('exportJSON');
+        this.exportPDF = document.getElementById('exportPDF');
         this.exportBtn = document.getElementById('exportBtn');
         this.importBtn = document.getElementById('importBtn');
         this.importFile = document.getElementById('importFile');
         this.printBtn = document.getElementById('printBtn');
         this.sortByNameBtn = document.getElementById('sortByName');
         this.sortByGPABtn = document.getElementById('sortByGPA');
-        this.bulkDeleteBtn = document.getElementById('bulkDeleteBtn');
+
+        // Bulk actions on selected rows
+        this.bulkActions = document.getElementById('bulkActions');
         this.selectedCount = document.getElementById('selectedCount');
-        this.deleteSelectedBtn = document.getElementById('deleteSelected');
+        this.bulkEditBtn = document.getElementById('bulkEdit');
         this.exportSelectedBtn = document.getElementById('exportSelected');
+        this.promoteSelectedBtn = document.getElementById('promoteSelected');
+        this.idCardsSelectedBtn = document.getElementById('idCardsSelected');
+        this.deleteSelectedBtn = document.getElementById('deleteSelected');
+        this.clearSelectionBtn = document.getElementById('clearSelection');
 
         // Modals
         this.deleteModal = document.getElementById('deleteModal');
         this.confirmDeleteBtn = document.getElementById('confirmDelete');
         this.cancelDeleteBtn = document.getElementById('cancelDelete');
-        this.bulkDeleteModal = document.getElementById('bulkDeleteModal');
-        this.confirmBulkDeleteBtn = document.getElementById('confirmBulkDelete');
-        this.cancelBulkDeleteBtn = document.getElementById('cancelBulkDelete');
-        this.bulkDeleteCount = document.getElementById('bulkDeleteCount');
+        this.bulkActionModal = document.getElementById('bulkActionModal');
+        this.bulkActionTitle = document.getElementById('bulkActionTitle');
+        this.bulkEditFields = document.getElementById('bulkEditFields');
+        this.bulkExportOptions = document.getElementById('bulkExportOptions');
+        this.bulkExportFormat = document.getElementById('bulkExportFormat');
+        this.bulkActionSummary = document.getElementById('bulkActionSummary');
+        this.confirmBulkActionBtn = document.getElementById('confirmBulkAction');
+        this.cancelBulkActionBtn = document.getElementById('cancelBulkAction');
+        this.importModal = document.getElementById('importModal');
+        this.importSummary = document.getElementById('importSummary');
+        this.importDetails = document.getElementById('importDetails');
+        this.importResolveAll = document.getElementById('importResolveAll');
+        this.confirmImportBtn = document.getElementById('confirmImport');
+        this.cancelImportBtn = document.getElementById('cancelImport');
+        this.mappingModal = document.getElementById('mappingModal');
+        this.mappingSummary = document.getElementById('mappingSummary');
+        this.mappingFields = document.getElementById('mappingFields');
+        this.mappingPreview = document.getElementById('mappingPreview');
+        this.confirmMappingBtn = document.getElementById('confirmMapping');
+        this.cancelMappingBtn = document.getElementById('cancelMapping');
+        this.csvExportModal = document.getElementById('csvExportModal');
+        this.csvColumnList = document.getElementById('csvColumnList');
+        this.csvDelimiter = document.getElementById('csvDelimiter');
+        this.csvEncoding = document.getElementById('csvEncoding');
+        this.csvScope = document.getElementById('csvScope');
+        this.confirmCSVExportBtn = document.getElementById('confirmCSVExport');
+        this.cancelCSVExportBtn = document.getElementById('cancelCSVExport');
+
+        // History
+        this.undoBtn = document.getElementById('undoBtn');
+        this.redoBtn = document.getElementById('redoBtn');
+        this.historyBtn = document.getElementById('historyBtn');
+        this.historyModal = document.getElementById('historyModal');
+        this.historyTitle = document.getElementById('historyTitle');
+        this.historyList = document.getElementById('historyList');
+        this.auditActorInput = document.getElementById('auditActor');
+        this.closeHistoryBtn = document.getElementById('closeHistory');
+
+        // Trash
+        this.trashBtn = document.getElementById('trashBtn');
+        this.trashCount = document.getElementById('trashCount');
+        this.trashModal = document.getElementById('trashModal');
+        this.trashSummary = document.getElementById('trashSummary');
+        this.trashList = document.getElementById('trashList');
+        this.trashRetention = document.getElementById('trashRetention');
+        this.restoreTrashBtn = document.getElementById('restoreTrash');
+        this.purgeTrashBtn = document.getElementById('purgeTrash');
+        this.emptyTrashBtn = document.getElementById('emptyTrash');
+        this.closeTrashBtn = document.getElementById('closeTrash');
+
+        // Attendance
+        this.rollCallBtn = document.getElementById('rollCallBtn');
+        this.rollCallModal = document.getElementById('rollCallModal');
+        this.rollCallCourse = document.getElementById('rollCallCourse');
+        this.rollCallDate = document.getElementById('rollCallDate');
+        this.rollCallSummary = document.getElementById('rollCallSummary');
+        this.rollCallList = document.getElementById('rollCallList');
+        this.deleteSessionBtn = document.getElementById('deleteSession');
+        this.saveRollCallBtn = document.getElementById('saveRollCall');
+        this.closeRollCallBtn = document.getElementById('closeRollCall');
+        this.attendanceModal = document.getElementById('attendanceModal');
+        this.attendanceTitle = document.getElementById('attendanceTitle');
+        this.attendanceSummary = document.getElementById('attendanceSummary');
+        this.attendanceList = document.getElementById('attendanceList');
+        this.closeAttendanceBtn = document.getElementById('closeAttendance');
+        this.scanRollCallBtn = document.getElementById('scanRollCall');
+
+        // Scanner
+        this.scanner = new CodeScanner();
+        this.scanBtn = document.getElementById('scanBtn');
+        this.scanModal = document.getElementById('scanModal');
+        this.scanMode = document.getElementById('scanMode');
+        this.scanRollCallOptions = document.getElementById('scanRollCallOptions');
+        this.scanCourse = document.getElementById('scanCourse');
+        this.scanDate = document.getElementById('scanDate');
+        this.scanStatus = document.getElementById('scanStatus');
+        this.scanVideo = document.getElementById('scanVideo');
+        this.scanCameraBtn = document.getElementById('scanCamera');
+        this.scanImageBtn = document.getElementById('scanImage');
+        this.scanFile = document.getElementById('scanFile');
+        this.scanManual = document.getElementById('scanManual');
+        this.scanLog = document.getElementById('scanLog');
+        this.closeScanBtn = document.getElementById('closeScan');
+
+        // Gradebook
+        this.gradebookBtn = document.getElementById('gradebookBtn');
+        this.gradebookModal = document.getElementById('gradebookModal');
+        this.gradebookCourse = document.getElementById('gradebookCourse');
+        this.newGradebookCourseBtn = document.getElementById('newGradebookCourse');
+        this.editGradebookCourseBtn = document.getElementById('editGradebookCourse');
+        this.deleteGradebookCourseBtn = document.getElementById('deleteGradebookCourse');
+        this.gradebookCourseForm = document.getElementById('gradebookCourseForm');
+        this.gradebookCatalogCourse = document.getElementById('gradebookCatalogCourse');
+        this.gradebookAssessments = document.getElementById('gradebookAssessments');
+        this.addAssessmentBtn = document.getElementById('addAssessment');
+        this.cancelCourseEditBtn = document.getElementById('cancelCourseEdit');
+        this.gradebookSummary = document.getElementById('gradebookSummary');
+        this.gradebookScores = document.getElementById('gradebookScores');
+        this.saveScoresBtn = document.getElementById('saveScores');
+        this.closeGradebookBtn = document.getElementById('closeGradebook');
+        this.transcriptModal = document.getElementById('transcriptModal');
+        this.transcriptTitle = document.getElementById('transcriptTitle');
+        this.transcriptSummary = document.getElementById('transcriptSummary');
+        this.transcriptList = document.getElementById('transcriptList');
+        this.closeTranscriptBtn = document.getElementById('closeTranscript');
+
+        // Duplicates
+        this.duplicateWarning = document.getElementById('duplicateWarning');
+        this.duplicatesBtn = document.getElementById('duplicatesBtn');
+        this.duplicatesModal = document.getElementById('duplicatesModal');
+        this.duplicatesSummary = document.getElementById('duplicatesSummary');
+        this.duplicatesList = document.getElementById('duplicatesList');
+        this.duplicateCompare = document.getElementById('duplicateCompare');
+        this.confirmMergeBtn = document.getElementById('confirmMerge');
+        this.backToDuplicatesBtn = document.getElementById('backToDuplicates');
+        this.closeDuplicatesBtn = document.getElementById('closeDuplicates');
+
+        // Validation rules
+        this.rulesBtn = document.getElementById('rulesBtn');
+        this.rulesModal = document.getElementById('rulesModal');
+        this.rulesList = document.getElementById('rulesList');
+        this.newRuleField = document.getElementById('newRuleField');
+        this.newRuleType = document.getElementById('newRuleType');
+        this.addRuleBtn = document.getElementById('addRule');
+        this.saveRulesBtn = document.getElementById('saveRules');
+        this.resetRulesBtn = document.getElementById('resetRules');
+        this.closeRulesBtn = document.getElementById('closeRules');
+
+        // Edit conflicts between tabs
+        this.conflictModal = document.getElementById('conflictModal');
+        this.conflictSummary = document.getElementById('conflictSummary');
+        this.conflictDetails = document.getElementById('conflictDetails');
+        this.keepMineBtn = document.getElementById('keepMine');
+        this.keepTheirsBtn = document.getElementById('keepTheirs');
+        this.keepEditingBtn = document.getElementById('keepEditing');
+
+        // Encryption and locking
+        this.lockScreen = new LockScreen();
+        this.lockBtn = document.getElementById('lockBtn');
+        this.securityBtn = document.getElementById('securityBtn');
+        this.securityModal = document.getElementById('securityModal');
+        this.securityStatus = document.getElementById('securityStatus');
+        this.securityOff = document.getElementById('securityOff');
+        this.securityOn = document.getElementById('securityOn');
+        this.newPassphrase = document.getElementById('newPassphrase');
+        this.confirmPassphrase = document.getElementById('confirmPassphrase');
+        this.enableEncryptionBtn = document.getElementById('enableEncryption');
+        this.autoLockMinutes = document.getElementById('autoLockMinutes');
+        this.currentPassphrase = document.getElementById('currentPassphrase');
+        this.changedPassphrase = document.getElementById('changedPassphrase');
+        this.confirmChangedPassphrase = document.getElementById('confirmChangedPassphrase');
+        this.changePassphraseBtn = document.getElementById('changePassphrase');
+        this.disableEncryptionBtn = document.getElementById('disableEncryption');
+        this.closeSecurityBtn = document.getElementById('closeSecurity');
+
+        // User accounts
+        this.formSection = document.querySelector('.form-section');
+        this.signedInAs = document.getElementById('signedInAs');
+        this.signOutBtn = document.getElementById('signOutBtn');
+        this.usersBtn = document.getElementById('usersBtn');
+        this.usersModal = document.getElementById('usersModal');
+        this.usersSummary = document.getElementById('usersSummary');
+        this.usersList = document.getElementById('usersList');
+        this.userForm = document.getElementById('userForm');
+        this.userFormTitle = document.getElementById('userFormTitle');
+        this.userName = document.getElementById('userName');
+        this.userUsername = document.getElementById('userUsername');
+        this.userRole = document.getElementById('userRole');
+        this.userPassword = document.getElementById('userPassword');
+        this.userCoursesLabel = document.getElementById('userCoursesLabel');
+        this.userCourses = document.getElementById('userCourses');
+        this.saveUserBtn = document.getElementById('saveUser');
+        this.cancelUserEditBtn = document.getElementById('cancelUserEdit');
+        this.closeUsersBtn = document.getElementById('closeUsers');
+
+        // Shared server
+        this.serverStatus = document.getElementById('serverStatus');
+        this.serverBtn = document.getElementById('serverBtn');
+        this.serverModal = document.getElementById('serverModal');
+        this.serverSummary = document.getElementById('serverSummary');
+        this.serverUrl = document.getElementById('serverUrl');
+        this.serverToken = document.getElementById('serverToken');
+        this.connectServerBtn = document.getElementById('connectServer');
+        this.disconnectServerBtn = document.getElementById('disconnectServer');
+        this.closeServerBtn = document.getElementById('closeServer');
+
+        // ID cards
+        this.idCardModal = document.getElementById('idCardModal');
+        this.idCardPaper = document.getElementById('idCardPaper');
+        this.idCardSummary = document.getElementById('idCardSummary');
+        this.idCardPreview = document.getElementById('idCardPreview');
+        this.printIdCardsBtn = document.getElementById('printIdCards');
+        this.downloadIdCardsPDFBtn = document.getElementById('downloadIdCardsPDF');
+        this.downloadIdCardsPNGBtn = document.getElementById('downloadIdCardsPNG');
+        this.closeIdCardsBtn = document.getElementById('closeIdCards');
+
+        // Course catalog
+        this.bulkCourse = document.getElementById('bulkCourse');
+        this.catalogBtn = document.getElementById('catalogBtn');
+        this.catalogModal = document.getElementById('catalogModal');
+        this.catalogSummary = document.getElementById('catalogSummary');
+        this.catalogList = document.getElementById('catalogList');
+        this.catalogForm = document.getElementById('catalogForm');
+        this.cancelCatalogEditBtn = document.getElementById('cancelCatalogEdit');
+        this.catalogMergeForm = document.getElementById('catalogMergeForm');
+        this.catalogMergeSummary = document.getElementById('catalogMergeSummary');
+        this.catalogMergeTarget = document.getElementById('catalogMergeTarget');
+        this.confirmCatalogMergeBtn = document.getElementById('confirmCatalogMerge');
+        this.cancelCatalogMergeBtn = document.getElementById('cancelCatalogMerge');
+        this.newCatalogCourseBtn = document.getElementById('newCatalogCourse');
+        this.closeCatalogBtn = document.getElementById('closeCatalog');
 
         // Toast
         this.toast = document.getElementById('toast');
@@ -317,8 +1188,22 @@ class UIController {
         this.searchInput.addEventListener('input', (e) => this.handleSearch(e.target.value));
         this.courseFilter.addEventListener('change', (e) => this.handleFilter('course', e.target.value));
         this.yearFilter.addEventListener('change', (e) => this.handleFilter('year', e.target.value));
+        this.gpaFilter.addEventListener('change', (e) => this.handleFilter('gpa', e.target.value));
+        this.favoriteFilter.addEventListener('change', (e) => this.handleFilter('favorite', e.target.value));
         this.clearFiltersBtn.addEventListener('click', () => this.clearFilters());
 
+        // Saved views
+        this.savedViewsSelect.addEventListener('change', (e) => this.applySavedView(e.target.value));
+        this.saveViewBtn.addEventListener('click', () => this.saveCurrentView());
+        this.deleteViewBtn.addEventListener('click', () => this.deleteCurrentView());
+        this.copyViewLinkBtn.addEventListener('click', () => this.copyViewLink());
+        this.columnPicker.addEventListener('change', (e) => this.toggleColumn(e.target.value, e.target.checked));
+        this.tableHead.addEventListener('click', (e) => {
+            const header = e.target.closest('th[data-sort]');
+            if (header) this.setSort(header.dataset.sort);
+        });
+        window.addEventListener('hashchange', () => this.loadViewFromHash());
+
         // Analytics Toggle (optional)
         if (this.toggleAnalyticsBtn) {
             this.toggleAnalyticsBtn.addEventListener('click', () => this.toggleAnalytics());
@@ -326,6 +1211,7 @@ class UIController {
 
         // Export/Import
         this.exportCSV.addEventListener('click', () => this.exportDataCSV());
+        this.exportPDF.addEventListener('click', () => this.exportDataPDF());
         if (this.exportJSON) {
             this.exportJSON.addEventListener('click', () => this.exportDataJSON());
         }
@@ -342,33 +1228,247 @@ class UIController {
         this.sortByNameBtn.addEventListener('click', () => this.sortByName());
         this.sortByGPABtn.addEventListener('click', () => this.sortByGPA());
 
+        // Undo/redo and history
+        this.undoBtn.addEventListener('click', () => this.undo());
+        this.redoBtn.addEventListener('click', () => this.redo());
+        this.historyBtn.addEventListener('click', () => this.showHistory());
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
+        this.auditActorInput.addEventListener('change', (e) => setAuditActor(e.target.value));
+        this.closeHistoryBtn.addEventListener('click', () => this.closeHistoryModal());
+        this.historyModal.addEventListener('click', (e) => {
+            if (e.target === this.historyModal) this.closeHistoryModal();
+        });
+
+        // Trash
+        this.trashBtn.addEventListener('click', () => this.showTrash());
+        this.trashRetention.addEventListener('change', (e) => this.setTrashRetention(e.target.value));
+        this.trashList.addEventListener('change', (e) => {
+            if (e.target.id === 'trashSelectAll') {
+                this.trashList.querySelectorAll('.trash-select').forEach(box => { box.checked = e.target.checked; });
+            }
+        });
+        this.restoreTrashBtn.addEventListener('click', () => this.restoreFromTrash(this.getTrashSelection()));
+        this.purgeTrashBtn.addEventListener('click', () => this.purgeFromTrash(this.getTrashSelection()));
+        this.emptyTrashBtn.addEventListener('click', () =>
+            this.purgeFromTrash(this.manager.getTrashedStudents().map(s => s.id)));
+        this.closeTrashBtn.addEventListener('click', () => this.closeTrashModal());
+        this.trashModal.addEventListener('click', (e) => {
+            if (e.target === this.trashModal) this.closeTrashModal();
+        });
+
+        // Attendance
+        this.rollCallBtn.addEventListener('click', () => this.showRollCall());
+        this.rollCallCourse.addEventListener('change', () => this.renderRollCall());
+        this.rollCallDate.addEventListener('change', () => this.renderRollCall());
+        this.rollCallModal.querySelectorAll('[data-mark-all]').forEach(btn => {
+            btn.addEventListener('click', () => this.markAllRollCall(btn.dataset.markAll));
+        });
+        this.deleteSessionBtn.addEventListener('click', () => this.deleteRollCallSession());
+        this.saveRollCallBtn.addEventListener('click', () => this.saveRollCall());
+        this.closeRollCallBtn.addEventListener('click', () => this.closeRollCallModal());
+        this.rollCallModal.addEventListener('click', (e) => {
+            if (e.target === this.rollCallModal) this.closeRollCallModal();
+        });
+        this.closeAttendanceBtn.addEventListener('click', () => this.closeAttendanceModal());
+        this.attendanceModal.addEventListener('click', (e) => {
+            if (e.target === this.attendanceModal) this.closeAttendanceModal();
+        });
+        this.scanRollCallBtn.addEventListener('click', () => this.scanIntoRollCall());
+
+        // Scanner
+        this.scanBtn.addEventListener('click', () => this.showScanner());
+        this.scanMode.addEventListener('change', () => this.updateScanMode());
+        this.scanCameraBtn.addEventListener('click', () => this.toggleScanCamera());
+        this.scanImageBtn.addEventListener('click', () => this.scanFile.click());
+        this.scanFile.addEventListener('change', (e) => this.scanImageFile(e));
+        this.scanManual.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            this.handleScannedCodes([this.scanManual.value], 'manual');
+            this.scanManual.value = '';
+        });
+        this.closeScanBtn.addEventListener('click', () => this.closeScanModal());
+        this.scanModal.addEventListener('click', (e) => {
+            if (e.target === this.scanModal) this.closeScanModal();
+        });
+
+        // Gradebook
+        this.gradebookBtn.addEventListener('click', () => this.showGradebook());
+        this.gradebookCourse.addEventListener('change', () => this.renderGradebookScores());
+        this.newGradebookCourseBtn.addEventListener('click', () => this.openCourseForm(null));
+        this.editGradebookCourseBtn.addEventListener('click', () =>
+            this.openCourseForm(this.manager.gradebook.getCourse(this.gradebookCourse.value)));
+        this.deleteGradebookCourseBtn.addEventListener('click', () => this.deleteGradebookCourse());
+        this.addAssessmentBtn.addEventListener('click', () => this.addAssessmentRow());
+        this.gradebookAssessments.addEventListener('click', (e) => {
+            if (e.target.classList.contains('remove-assessment')) e.target.closest('tr').remove();
+        });
+        this.gradebookCourseForm.addEventListener('submit', (e) => this.saveCourseForm(e));
+        this.cancelCourseEditBtn.addEventListener('click', () => this.closeCourseForm());
+        this.gradebookScores.addEventListener('input', (e) => {
+            if (e.target.classList.contains('score-input')) this.previewScoreRow(e.target.closest('tr'));
+        });
+        this.saveScoresBtn.addEventListener('click', () => this.saveScores());
+        this.closeGradebookBtn.addEventListener('click', () => this.closeGradebookModal());
+        this.gradebookModal.addEventListener('click', (e) => {
+            if (e.target === this.gradebookModal) this.closeGradebookModal();
+        });
+        this.closeTranscriptBtn.addEventListener('click', () => this.closeTranscriptModal());
+        this.transcriptModal.addEventListener('click', (e) => {
+            if (e.target === this.transcriptModal) this.closeTranscriptModal();
+        });
+
+        // Duplicates
+        ['name', 'email', 'phone', 'dob'].forEach(field => {
+            this.inputs[field].addEventListener('input', () => this.checkFormDuplicates());
+        });
+        this.duplicatesBtn.addEventListener('click', () => this.showDuplicates());
+        this.duplicateCompare.addEventListener('change', (e) => {
+            if (e.target.name === 'merge-keep') this.renderDuplicateCompare(e.target.value);
+        });
+        this.confirmMergeBtn.addEventListener('click', () => this.confirmMerge());
+        this.backToDuplicatesBtn.addEventListener('click', () => this.renderDuplicates());
+        this.closeDuplicatesBtn.addEventListener('click', () => this.closeDuplicatesModal());
+        this.duplicatesModal.addEventListener('click', (e) => {
+            if (e.target === this.duplicatesModal) this.closeDuplicatesModal();
+        });
+
+        // Validation rules
+        this.rulesBtn.addEventListener('click', () => this.showRules());
+        this.rulesList.addEventListener('input', (e) => this.updateRuleDraft(e.target));
+        this.rulesList.addEventListener('change', (e) => this.updateRuleDraft(e.target));
+        this.addRuleBtn.addEventListener('click', () => this.addRule());
+        this.saveRulesBtn.addEventListener('click', () => this.saveRules());
+        this.resetRulesBtn.addEventListener('click', () => this.resetRules());
+        this.closeRulesBtn.addEventListener('click', () => this.closeRulesModal());
+        this.rulesModal.addEventListener('click', (e) => {
+            if (e.target === this.rulesModal) this.closeRulesModal();
+        });
+
+        // Edit conflicts between tabs
+        this.keepMineBtn.addEventListener('click', () => this.keepMyVersion());
+        this.keepTheirsBtn.addEventListener('click', () => this.keepTheirVersion());
+        this.keepEditingBtn.addEventListener('click', () => this.closeConflictModal());
+
+        // Encryption and locking
+        this.lockBtn.addEventListener('click', () => this.lockAllTabs());
+        this.securityBtn.addEventListener('click', () => this.showSecurity());
+        this.enableEncryptionBtn.addEventListener('click', () => this.enableEncryption());
+        this.changePassphraseBtn.addEventListener('click', () => this.changePassphrase());
+        this.disableEncryptionBtn.addEventListener('click', () => this.disableEncryption());
+        this.autoLockMinutes.addEventListener('change', () => {
+            AutoLock.setMinutes(Number(this.autoLockMinutes.value));
+            this.autoLock.markActive();
+        });
+        this.closeSecurityBtn.addEventListener('click', () => this.closeSecurityModal());
+        this.securityModal.addEventListener('click', (e) => {
+            if (e.target === this.securityModal) this.closeSecurityModal();
+        });
+
+        // User accounts
+        this.signOutBtn.addEventListener('click', () => this.signOut());
+        this.usersBtn.addEventListener('click', () => this.showUsers());
+        this.userRole.addEventListener('change', () => this.renderUserCourses());
+        this.userForm.addEventListener('submit', (e) => this.saveUser(e));
+        this.cancelUserEditBtn.addEventListener('click', () => this.resetUserForm());
+        this.closeUsersBtn.addEventListener('click', () => this.closeUsersModal());
+        this.usersModal.addEventListener('click', (e) => {
+            if (e.target === this.usersModal) this.closeUsersModal();
+        });
+
+        // Shared server
+        this.serverBtn.addEventListener('click', () => this.showServer());
+        this.connectServerBtn.addEventListener('click', () => this.connectServer());
+        this.disconnectServerBtn.addEventListener('click', () => this.disconnectServer());
+        this.closeServerBtn.addEventListener('click', () => this.closeServerModal());
+        this.serverModal.addEventListener('click', (e) => {
+            if (e.target === this.serverModal) this.closeServerModal();
+        });
+
+        // ID cards
+        this.idCardPaper.addEventListener('change', () => this.renderIdCardPreview());
+        this.printIdCardsBtn.addEventListener('click', () => this.printIdCards());
+        this.downloadIdCardsPDFBtn.addEventListener('click', () => this.downloadIdCardsPDF());
+        this.downloadIdCardsPNGBtn.addEventListener('click', () => this.downloadIdCardsPNG());
+        this.closeIdCardsBtn.addEventListener('click', () => this.closeIdCardModal());
+        this.idCardModal.addEventListener('click', (e) => {
+            if (e.target === this.idCardModal) this.closeIdCardModal();
+        });
+
+        // Course catalog
+        this.catalogBtn.addEventListener('click', () => this.showCatalog());
+        this.newCatalogCourseBtn.addEventListener('click', () => this.openCatalogForm());
+        this.catalogForm.addEventListener('submit', (e) => this.saveCatalogForm(e));
+        this.cancelCatalogEditBtn.addEventListener('click', () => this.closeCatalogForms());
+        this.confirmCatalogMergeBtn.addEventListener('click', () => this.confirmCatalogMerge());
+        this.cancelCatalogMergeBtn.addEventListener('click', () => this.closeCatalogForms());
+        this.closeCatalogBtn.addEventListener('click', () => this.closeCatalogModal());
+        this.catalogModal.addEventListener('click', (e) => {
+            if (e.target === this.catalogModal) this.closeCatalogModal();
+        });
+
         // Dark mode
         this.themeCheckbox.addEventListener('change', () => this.toggleDarkMode());
 
-        // Bulk delete (optional)
-        if (this.selectAllCheckbox) {
-            this.selectAllCheckbox.addEventListener('change', (e) => this.toggleSelectAll(e.target.checked));
-        }
-        if (this.bulkDeleteBtn) {
-            this.bulkDeleteBtn.addEventListener('click', () => this.showBulkDeleteModal());
-        }
-        if (this.confirmBulkDeleteBtn) {
-            this.confirmBulkDeleteBtn.addEventListener('click', () => this.confirmBulkDelete());
-        }
-        if (this.cancelBulkDeleteBtn) {
-            this.cancelBulkDeleteBtn.addEventListener('click', () => this.closeBulkDeleteModal());
+        // Grading scale
+        if (this.gradingScaleSelect) {
+            this.gradingScaleSelect.addEventListener('change', (e) => this.changeGradingScale(e.target.value));
         }
 
+        // Selection and bulk actions
+        this.selectAllCheckbox.addEventListener('change', (e) => this.toggleSelectAll(e.target.checked));
+        this.selectAllBtn.addEventListener('click', () => this.toggleSelectAll(!this.isWholeViewSelected()));
+        this.bulkEditBtn.addEventListener('click', () => this.openBulkAction('edit'));
+        this.exportSelectedBtn.addEventListener('click', () => this.openBulkAction('export'));
+        this.promoteSelectedBtn.addEventListener('click', () => this.openBulkAction('promote'));
+        this.idCardsSelectedBtn.addEventListener('click', () => this.showIdCards(this.manager.getSelectedStudents()));
+        this.deleteSelectedBtn.addEventListener('click', () => this.openBulkAction('delete'));
+        this.clearSelectionBtn.addEventListener('click', () => this.clearSelection());
+        this.bulkEditFields.addEventListener('change', () => this.renderBulkSummary());
+        this.bulkExportFormat.addEventListener('change', () => this.renderBulkSummary());
+        this.confirmBulkActionBtn.addEventListener('click', () => this.confirmBulkAction());
+        this.cancelBulkActionBtn.addEventListener('click', () => this.closeBulkActionModal());
+
         // Modals
         this.cancelDeleteBtn.addEventListener('click', () => this.closeModal());
         this.deleteModal.addEventListener('click', (e) => {
             if (e.target === this.deleteModal) this.closeModal();
         });
-        if (this.bulkDeleteModal) {
-            this.bulkDeleteModal.addEventListener('click', (e) => {
-                if (e.target === this.bulkDeleteModal) this.closeBulkDeleteModal();
+        this.bulkActionModal.addEventListener('click', (e) => {
+            if (e.target === this.bulkActionModal) this.closeBulkActionModal();
+        });
+
+        // Import preview
+        this.confirmImportBtn.addEventListener('click', () => this.confirmImport());
+        this.cancelImportBtn.addEventListener('click', () => this.closeImportModal());
+        this.importResolveAll.addEventListener('change', (e) => {
+            this.importDetails.querySelectorAll('.import-resolution').forEach(select => {
+                select.value = e.target.value;
             });
-        }
+        });
+        this.importModal.addEventListener('click', (e) => {
+            if (e.target === this.importModal) this.closeImportModal();
+        });
+
+        // Spreadsheet column mapping
+        this.mappingFields.addEventListener('change', (e) => {
+            if (e.target.classList.contains('mapping-select')) this.handleMappingChange(e.target);
+        });
+        this.confirmMappingBtn.addEventListener('click', () => this.confirmMapping());
+        this.cancelMappingBtn.addEventListener('click', () => this.closeMappingModal());
+        this.mappingModal.addEventListener('click', (e) => {
+            if (e.target === this.mappingModal) this.closeMappingModal();
+        });
+
+        // CSV export options
+        this.csvColumnList.addEventListener('click', (e) => {
+            if (e.target.dataset.move) this.moveCSVColumn(e.target);
+        });
+        this.confirmCSVExportBtn.addEventListener('click', () => this.confirmCSVExport());
+        this.cancelCSVExportBtn.addEventListener('click', () => this.closeCSVExportModal());
+        this.csvExportModal.addEventListener('click', (e) => {
+            if (e.target === this.csvExportModal) this.closeCSVExportModal();
+        });
     }
 
     setupDarkMode() {
@@ -384,11 +1484,75 @@ class UIController {
         this.showToast(`${newTheme === 'dark' ? 'Dark' : 'Light'} mode activated! 🎨`, 'info');
     }
 
-    toggleAnalytics() {
-        const section = document.getElementById('analyticsSection');
-        if (section.style.display === 'none') {
-            section.style.display = 'block';
-            this.renderCharts();
+    setupGradingScale() {
+        if (this.gradingScaleSelect) {
+            this.gradingScaleSelect.innerHTML = GradingScale.all()
+                .map(scale => `<option value="${scale.id}">${scale.label} (${scale.describeRange()})</option>`)
+                .join('');
+        }
+        this.applyGradingScale();
+    }
+
+    // Points the GPA input, its label and the scale picker at the active scale
+    applyGradingScale() {
+        const scale = GradingScale.current();
+        const gpaInput = this.inputs.gpa;
+
+        if (this.gradingScaleSelect) this.gradingScaleSelect.value = scale.id;
+        if (this.gpaLabel) this.gpaLabel.textContent = scale.shortLabel;
+        if (this.gpaFilter) {
+            [...this.gpaFilter.options].forEach(option => {
+                option.textContent = option.value ? scale.describeBand(option.value) : `All ${scale.shortLabel}s`;
+            });
+        }
+
+        if (scale.isLetter) {
+            gpaInput.type = 'text';
+            gpaInput.setAttribute('list', 'letterGrades');
+            ['min', 'max', 'step'].forEach(attr => gpaInput.removeAttribute(attr));
+        } else {
+            gpaInput.type = 'number';
+            gpaInput.removeAttribute('list');
+            gpaInput.min = scale.min;
+            gpaInput.max = scale.max;
+            gpaInput.step = scale.step;
+        }
+        gpaInput.placeholder = scale.placeholder;
+    }
+
+    changeGradingScale(scaleId) {
+        const from = GradingScale.current();
+        const to = GradingScale.get(scaleId);
+        if (from.id === to.id) return;
+        if (!this.allowed('manageSettings')) {
+            this.gradingScaleSelect.value = from.id;
+            return;
+        }
+
+        const graded = this.manager.getAllStudents().filter(s => s.gpa !== null).length;
+        if (graded > 0 && !confirm(`Convert ${graded} stored grade(s) from ${from.label} to ${to.label}?`)) {
+            this.gradingScaleSelect.value = from.id;
+            return;
+        }
+
+        this.manager.convertGradingScale(to.id);
+        this.inputs.gpa.value = from.convertTo(this.inputs.gpa.value, to) ?? '';
+        this.applyGradingScale();
+        if (this.manager.editingId) this.updateComputedInputs(this.manager.getStudentById(this.manager.editingId));
+        this.render();
+        this.showToast(`Grading scale set to ${to.label} 🎓`, 'info');
+    }
+
+    isAnalyticsVisible() {
+        const section = document.getElementById('analyticsSection');
+        return !!section && section.style.display !== 'none';
+    }
+
+    toggleAnalytics() {
+        const section = document.getElementById('analyticsSection');
+        if (section.style.display === 'none') {
+            section.style.display = 'block';
+            this.renderCharts();
             this.toggleAnalyticsBtn.classList.add('active');
         } else {
             section.style.display = 'none';
@@ -449,355 +1613,3084 @@ class UIController {
 
     handleSubmit(e) {
         e.preventDefault();
+        if (!this.allowed('editRecords')) return;
 
         if (!this.validateForm()) {
             return;
         }
 
-        const formData = this.getFormData();
+        this.saveForm(this.getFormData());
+    }
+
+    // expectedRevision is the revision the edit started from; null saves over a version from another tab
+    saveForm(formData, expectedRevision = this.manager.editingRevision) {
+        if (!this.allowed('editRecords')) return;
+        try {
+            if (this.manager.editingId) {
+                this.manager.updateStudent(this.manager.editingId, formData, expectedRevision);
+                this.showToast('Student updated successfully! ✅', 'success');
+            } else {
+                const student = this.manager.addStudent(formData);
+                this.showToast('Student added successfully! 🎉', 'success');
+
+                // Confetti for high GPA!
+                if (GradingScale.current().isHonors(formData.gpa) && typeof confetti !== 'undefined') {
+                    confetti({
+                        particleCount: 100,
+                        spread: 70,
+                        origin: { y: 0.6 }
+                    });
+                }
+            }
+
+            this.form.reset();
+            this.cancelEditing();
+            this.render();
+            if (this.isAnalyticsVisible()) {
+                this.renderCharts();
+            }
+        } catch (error) {
+            if (error instanceof RevisionConflictError) {
+                this.conflicts.unshift({ mine: formData, theirs: error.current, fromForm: true });
+                this.showNextConflict();
+                return;
+            }
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    getFormData() {
+        const data = {
+            studentId: this.inputs.studentId.value.trim(),
+            name: this.inputs.name.value.trim(),
+            email: this.inputs.email.value.trim(),
+            phone: this.inputs.phone.value.trim(),
+            dob: this.inputs.dob.value,
+            gender: this.inputs.gender.value,
+            course: this.inputs.course.value,
+            year: toNumberOrNull(this.inputs.year.value),
+            gpa: normalizeGradeValue(this.inputs.gpa.value),
+            attendance: toNumberOrNull(this.inputs.attendance.value),
+            enrollmentDate: this.inputs.enrollmentDate.value,
+            notes: this.inputs.notes.value.trim(),
+            photo: this.currentPhoto // Will be null if no new photo uploaded
+        };
+        // Computed values are shown but never saved over the typed-in figures
+        if (this.inputs.attendance.disabled) delete data.attendance;
+        if (this.inputs.gpa.disabled) delete data.gpa;
+        return data;
+    }
+
+    validateForm() {
+        Object.keys(this.inputs).forEach(key => {
+            this.inputs[key].classList.remove('error');
+            const errorSpan = document.getElementById(`${key}Error`);
+            if (errorSpan) errorSpan.textContent = '';
+        });
+
+        // Validate the grade as typed, not the normalised value, so bad input gets the right message
+        const errors = validateRecord({ ...this.getFormData(), gpa: this.inputs.gpa.value.trim() });
+        // Locked fields show computed values the form never saves, so their rules don't apply here
+        ['gpa', 'attendance'].forEach(field => {
+            if (this.inputs[field].disabled) delete errors[field];
+        });
+        Object.entries(errors).forEach(([field, message]) => this.showFieldError(field, message));
+
+        return Object.keys(errors).length === 0;
+    }
+
+    showFieldError(fieldName, message) {
+        this.inputs[fieldName].classList.add('error');
+        const errorSpan = document.getElementById(`${fieldName}Error`);
+        if (errorSpan) errorSpan.textContent = message;
+    }
+
+    handleSearch(query) {
+        this.currentSearch = query;
+        this.viewChanged();
+    }
+
+    handleFilter(type, value) {
+        this.currentFilters[type] = value;
+        this.viewChanged();
+    }
+
+    clearFilters() {
+        const view = createDefaultView();
+        this.applyView({ ...this.getViewState(), search: view.search, filters: view.filters });
+    }
+
+    // ==================================================
+    // Views: search, filters, sort and columns
+    // ==================================================
+
+    setupViews() {
+        this.columnPicker.innerHTML = TABLE_COLUMNS.map(column => `
+            <label class="column-option">
+                <input type="checkbox" value="${column.key}"> ${column.label}
+            </label>
+        `).join('');
+
+        TABLE_COLUMNS.forEach((column, index) => {
+            // Header cells follow the selection checkbox
+            this.tableHead.children[index + 1].dataset.column = column.key;
+        });
+        this.tableHead.querySelectorAll('th[data-column]').forEach(th => {
+            if (SORT_KEYS[th.dataset.column]) th.dataset.sort = th.dataset.column;
+        });
+
+        this.renderSavedViews();
+        this.loadViewFromHash();
+    }
+
+    getViewState() {
+        return {
+            search: this.currentSearch,
+            filters: { ...this.currentFilters },
+            sort: { ...this.currentSort },
+            columns: [...this.visibleColumns]
+        };
+    }
+
+    setViewState(view) {
+        this.currentSearch = view.search;
+        this.currentFilters = { ...view.filters };
+        this.currentSort = { ...view.sort };
+        this.visibleColumns = [...view.columns];
+    }
+
+    // Puts a view into effect and mirrors it into the controls and the URL
+    applyView(view, name = '') {
+        this.setViewState(view);
+        this.currentViewName = name;
+
+        this.searchInput.value = this.currentSearch;
+        this.courseFilter.value = this.currentFilters.course;
+        this.yearFilter.value = this.currentFilters.year;
+        this.gpaFilter.value = this.currentFilters.gpa;
+        this.favoriteFilter.value = this.currentFilters.favorite;
+        this.savedViewsSelect.value = name;
+        this.columnPicker.querySelectorAll('input').forEach(input => {
+            input.checked = this.visibleColumns.includes(input.value);
+        });
+
+        this.updateViewHash();
+        this.renderTableHeader();
+        this.renderTable();
+    }
+
+    // Any manual change detaches the table from the saved view it started from
+    viewChanged() {
+        this.currentViewName = '';
+        this.savedViewsSelect.value = '';
+        this.updateViewHash();
+        this.renderTable();
+    }
+
+    updateViewHash() {
+        const hash = encodeView(this.getViewState(), this.currentViewName);
+        // replaceState keeps view tweaks out of the back-button history and doesn't fire hashchange
+        history.replaceState(null, '', hash ? `#${hash}` : window.location.pathname + window.location.search);
+    }
+
+    loadViewFromHash() {
+        const { name, view } = decodeView(window.location.hash);
+        this.applyView(view, this.savedViews.get(name) ? name : '');
+    }
+
+    setSort(key) {
+        const { sort } = this.getViewState();
+        // GPA starts highest first; everything else A-Z / lowest first
+        const direction = sort.key === key
+            ? (sort.direction === 'asc' ? 'desc' : 'asc')
+            : (key === 'gpa' ? 'desc' : 'asc');
+        this.currentSort = { key, direction };
+        this.renderTableHeader();
+        this.viewChanged();
+    }
+
+    toggleColumn(key, visible) {
+        // Keep the table's column order regardless of click order
+        this.visibleColumns = TABLE_COLUMNS
+            .map(c => c.key)
+            .filter(k => (k === key ? visible : this.visibleColumns.includes(k)));
+        this.renderTableHeader();
+        this.viewChanged();
+    }
+
+    renderTableHeader() {
+        this.tableHead.querySelectorAll('th[data-column]').forEach(th => {
+            const key = th.dataset.column;
+            th.hidden = !this.visibleColumns.includes(key);
+            th.classList.toggle('sorted-asc', this.currentSort.key === key && this.currentSort.direction === 'asc');
+            th.classList.toggle('sorted-desc', this.currentSort.key === key && this.currentSort.direction === 'desc');
+        });
+    }
+
+    renderSavedViews() {
+        this.savedViewsSelect.innerHTML = '<option value="">Saved Views</option>' +
+            this.savedViews.all()
+                .map(v => `<option value="${this.escapeHtml(v.name)}">${this.escapeHtml(v.name)}</option>`)
+                .join('');
+        this.savedViewsSelect.value = this.currentViewName || '';
+    }
+
+    applySavedView(name) {
+        const saved = this.savedViews.get(name);
+        if (!saved) {
+            this.viewChanged();
+            return;
+        }
+        // Views saved before a setting existed fall back to its default
+        const defaults = createDefaultView();
+        this.applyView({
+            ...defaults,
+            ...saved.view,
+            filters: { ...defaults.filters, ...saved.view.filters }
+        }, name);
+        this.showToast(`View "${name}" applied`, 'info');
+    }
+
+    saveCurrentView() {
+        const name = (prompt('Name this view:', this.currentViewName) || '').trim();
+        if (!name) return;
+        if (this.savedViews.get(name) && name !== this.currentViewName &&
+            !confirm(`Replace the saved view "${name}"?`)) {
+            return;
+        }
+
+        this.savedViews.save(name, this.getViewState());
+        this.currentViewName = name;
+        this.renderSavedViews();
+        this.updateViewHash();
+        this.showToast(`View "${name}" saved 💾`, 'success');
+    }
+
+    deleteCurrentView() {
+        const name = this.savedViewsSelect.value;
+        if (!name) {
+            this.showToast('Pick a saved view to delete', 'error');
+            return;
+        }
+        if (!confirm(`Delete the saved view "${name}"?`)) return;
+
+        this.savedViews.remove(name);
+        this.currentViewName = '';
+        this.renderSavedViews();
+        this.updateViewHash();
+        this.showToast(`View "${name}" deleted`, 'info');
+    }
+
+    copyViewLink() {
+        const url = window.location.href;
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url)
+                .then(() => this.showToast('Link to this view copied 🔗', 'success'))
+                .catch(() => prompt('Copy this link:', url));
+        } else {
+            prompt('Copy this link:', url);
+        }
+    }
+
+    editStudent(id) {
+        if (!this.allowed('editRecords')) return;
+        const student = this.manager.getStudentById(id);
+        if (!student) return;
+
+        this.manager.editingId = id;
+        this.manager.editingRevision = student.revision;
+        this.renderCourseOptions(student.course);
+
+        Object.keys(this.inputs).forEach(key => {
+            if (this.inputs[key]) {
+                this.inputs[key].value = student[key] ?? '';
+            }
+        });
+
+        // Handle photo preview
+        if (student.photo) {
+            this.currentPhoto = student.photo;
+            const previewImg = this.photoPreview.querySelector('img');
+            previewImg.src = student.photo;
+            this.photoPreview.classList.add('active');
+        } else {
+            this.currentPhoto = null;
+            this.photoPreview.classList.remove('active');
+        }
+        this.updateComputedInputs(student);
+
+        this.formTitle.textContent = 'Edit Student';
+        this.submitBtn.innerHTML = '<span>💾</span> Update Student';
+        this.cancelEdit.style.display = 'inline-flex';
+
+        this.form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    deleteStudent(id) {
+        if (!this.allowed('editRecords')) return;
+        this.studentToDelete = id;
+        this.deleteModal.classList.add('active');
+
+        this.confirmDeleteBtn.onclick = () => {
+            try {
+                this.manager.deleteStudent(this.studentToDelete);
+                this.showToast('Student moved to trash 🗑️', 'success');
+                this.render();
+                if (this.isAnalyticsVisible()) {
+                    this.renderCharts();
+                }
+                this.closeModal();
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            }
+        };
+    }
+
+    closeModal() {
+        this.deleteModal.classList.remove('active');
+        this.studentToDelete = null;
+    }
+
+    toggleRowSelection(id, checked) {
+        if (checked) {
+            this.manager.selectedIds.add(id);
+        } else {
+            this.manager.selectedIds.delete(id);
+        }
+        this.updateBulkActions();
+    }
+
+    // Selects or clears every row in the current filtered view
+    toggleSelectAll(checked) {
+        const students = this.getFilteredStudents();
+        students.forEach(s => {
+            if (checked) {
+                this.manager.selectedIds.add(s.id);
+            } else {
+                this.manager.selectedIds.delete(s.id);
+            }
+        });
+        this.renderTable();
+        this.updateBulkActions();
+    }
+
+    isWholeViewSelected() {
+        const students = this.getFilteredStudents();
+        return students.length > 0 && students.every(s => this.manager.selectedIds.has(s.id));
+    }
+
+    clearSelection() {
+        this.manager.selectedIds.clear();
+        this.renderTable();
+        this.updateBulkActions();
+    }
+
+    updateBulkActions() {
+        const count = this.manager.getSelectedStudents().length;
+        this.selectedCount.textContent = count;
+        this.bulkActions.hidden = count === 0;
+
+        const students = this.getFilteredStudents();
+        const selectedInView = students.filter(s => this.manager.selectedIds.has(s.id)).length;
+        this.selectAllCheckbox.checked = students.length > 0 && selectedInView === students.length;
+        this.selectAllCheckbox.indeterminate = selectedInView > 0 && selectedInView < students.length;
+        this.selectAllBtn.textContent = this.selectAllCheckbox.checked ? 'Select None' : 'Select All';
+    }
+
+    // Every bulk action goes through the same confirmation dialog with a summary of its effect
+    openBulkAction(action) {
+        if (this.manager.getSelectedStudents().length === 0) {
+            this.showToast('Select at least one student first!', 'error');
+            return;
+        }
+
+        this.bulkAction = action;
+        this.bulkActionTitle.textContent = BULK_ACTION_TITLES[action];
+        this.bulkEditFields.hidden = action !== 'edit';
+        this.bulkExportOptions.hidden = action !== 'export';
+        this.bulkEditFields.querySelectorAll('.bulk-field').forEach(select => { select.value = ''; });
+        this.renderBulkSummary();
+        this.bulkActionModal.classList.add('active');
+    }
+
+    getBulkEditValues() {
+        const fields = {};
+        this.bulkEditFields.querySelectorAll('.bulk-field').forEach(select => {
+            if (select.value) fields[select.dataset.field] = select.value;
+        });
+        return fields;
+    }
+
+    renderBulkSummary() {
+        const students = this.manager.getSelectedStudents();
+        const ids = students.map(s => s.id);
+        let html = '';
+        let ready = true;
+
+        switch (this.bulkAction) {
+            case 'edit': {
+                const selects = [...this.bulkEditFields.querySelectorAll('.bulk-field')].filter(select => select.value);
+                if (selects.length === 0) {
+                    html = '<p>Pick the fields to set on every selected student.</p>';
+                    ready = false;
+                    break;
+                }
+                const { changed, unchanged, invalid } = this.manager.previewBulkUpdate(ids, this.getBulkEditValues());
+                const values = selects
+                    .map(select => `${this.bulkEditFields.querySelector(`label[for="${select.id}"]`).textContent}: ${select.selectedOptions[0].textContent}`)
+                    .join(', ');
+                html = `<p>Set <strong>${this.escapeHtml(values)}</strong> on ${changed.length} of ${students.length} selected student(s):</p>` +
+                    this.renderBulkNames(changed);
+                if (unchanged.length > 0) {
+                    html += `<p>${unchanged.length} already match and stay as they are.</p>`;
+                }
+                if (invalid.length > 0) {
+                    html += `<p>${invalid.length} skipped because the new values break a validation rule:</p><ul class="bulk-names">` +
+                        invalid.slice(0, 8).map(({ student, errors }) =>
+                            `<li>${this.escapeHtml(student.name)} (${this.escapeHtml(student.studentId)}): ${this.escapeHtml(errors.join(', '))}</li>`).join('') +
+                        '</ul>';
+                }
+                ready = changed.length > 0;
+                break;
+            }
+            case 'export':
+                html = `<p>Download ${students.length} selected student(s) as ${this.escapeHtml(this.bulkExportFormat.selectedOptions[0].textContent)}:</p>` +
+                    this.renderBulkNames(students);
+                break;
+            case 'promote': {
+                const plan = this.manager.previewPromotion(ids);
+                const moves = {};
+                plan.promoted.forEach(s => { moves[s.year] = (moves[s.year] || 0) + 1; });
+                if (plan.promoted.length > 0) {
+                    html += `<p>${plan.promoted.length} student(s) move up a year:</p><ul class="bulk-names">` +
+                        Object.entries(moves).map(([year, count]) => `<li>Year ${year} → Year ${Number(year) + 1}: ${count}</li>`).join('') +
+                        '</ul>';
+                }
+                if (plan.graduating.length > 0) {
+                    html += `<p>${plan.graduating.length} student(s) graduate from Year ${FINAL_YEAR}:</p>` + this.renderBulkNames(plan.graduating);
+                }
+                if (plan.skipped.length > 0) {
+                    html += `<p>${plan.skipped.length} skipped (already graduated or no year set):</p>` + this.renderBulkNames(plan.skipped);
+                }
+                ready = plan.promoted.length + plan.graduating.length > 0;
+                break;
+            }
+            case 'delete': {
+                const days = getTrashRetentionDays();
+                html = `<p>Move ${students.length} selected student(s) to the trash:</p>` + this.renderBulkNames(students) +
+                    `<p>They can be restored from the Trash${days ? ` for ${days} days` : ''}.</p>`;
+                break;
+            }
+        }
+
+        this.bulkActionSummary.innerHTML = html;
+        this.confirmBulkActionBtn.disabled = !ready;
+        this.confirmBulkActionBtn.className = `btn ${this.bulkAction === 'delete' ? 'btn-danger' : 'btn-primary'}`;
+    }
+
+    renderBulkNames(students, limit = 8) {
+        const more = students.length - limit;
+        return `<ul class="bulk-names">${students.slice(0, limit)
+            .map(s => `<li>${this.escapeHtml(s.name)} (${this.escapeHtml(s.studentId)})</li>`)
+            .join('')}${more > 0 ? `<li>…and ${more} more</li>` : ''}</ul>`;
+    }
+
+    confirmBulkAction() {
+        const action = this.bulkAction;
+        if (action !== 'export' && !this.allowed('editRecords')) return;
+        const students = this.manager.getSelectedStudents();
+        const ids = students.map(s => s.id);
+
+        try {
+            switch (action) {
+                case 'edit':
+                    this.showToast(`Updated ${this.manager.bulkUpdate(ids, this.getBulkEditValues())} student(s) ✏️`, 'success');
+                    break;
+                case 'export':
+                    this.exportSelection(students, this.bulkExportFormat.value);
+                    break;
+                case 'promote': {
+                    const plan = this.manager.promoteStudents(ids);
+                    this.showToast(`Promoted ${plan.promoted.length} and graduated ${plan.graduating.length} student(s) 🎓`, 'success');
+                    break;
+                }
+                case 'delete':
+                    this.manager.bulkDelete(ids);
+                    this.showToast(`Moved ${ids.length} student(s) to trash 🗑️`, 'success');
+                    break;
+            }
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        this.closeBulkActionModal();
+        if (action === 'export') return;
+        this.render();
+        if (this.isAnalyticsVisible()) {
+            this.renderCharts();
+        }
+    }
+
+    exportSelection(students, format) {
+        if (format === 'json') {
+            this.exportDataJSON(students);
+        } else if (format === 'pdf') {
+            this.exportDataPDF(students, `Selected: ${students.length} student(s)`);
+        } else {
+            this.downloadCSV(students, this.loadCSVExportOptions());
+        }
+    }
+
+    closeBulkActionModal() {
+        this.bulkActionModal.classList.remove('active');
+        this.bulkAction = null;
+    }
+
+    cancelEditing() {
+        this.manager.editingId = null;
+        this.manager.editingRevision = null;
+        this.currentPhoto = null;
+        this.photoPreview.classList.remove('active');
+        this.formTitle.textContent = 'Add New Student';
+        this.submitBtn.innerHTML = '<span>➕</span> Add Student';
+        this.cancelEdit.style.display = 'none';
+        this.duplicateWarning.hidden = true;
+        this.updateComputedInputs();
+    }
+
+    // Roll-call sessions and gradebook courses replace typing, so those fields are locked once they exist
+    updateComputedInputs(student = null) {
+        const register = this.manager.attendance;
+        const marked = register.isActive();
+        this.inputs.attendance.disabled = marked;
+        this.inputs.attendance.title = marked ? 'Computed from roll call' : 'Typed in until roll call has been taken';
+        this.inputs.attendance.placeholder = marked ? 'No sessions yet' : 'e.g., 95.5';
+        if (marked) this.inputs.attendance.value = (student && register.getRate(student.id)) ?? '';
+
+        const gradebook = this.manager.gradebook;
+        const computed = gradebook.isActive();
+        this.inputs.gpa.disabled = computed;
+        this.inputs.gpa.title = computed ? 'Computed from the gradebook' : 'Typed in until the gradebook has courses';
+        this.inputs.gpa.placeholder = computed ? 'No gradebook scores yet' : GradingScale.current().placeholder;
+        if (computed) this.inputs.gpa.value = (student && gradebook.getGPA(student.id)) ?? '';
+    }
+
+    sortByName() {
+        this.setSort('name');
+        this.showToast(`Sorted by name (${this.currentSort.direction === 'asc' ? 'A-Z' : 'Z-A'})`, 'info');
+    }
+
+    sortByGPA() {
+        this.setSort('gpa');
+        this.showToast(`Sorted by GPA (${this.currentSort.direction === 'desc' ? 'highest' : 'lowest'} first)`, 'info');
+    }
+
+    downloadFile(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async exportDataJSON(students = this.manager.getAllStudents()) {
+        const jsonData = await this.manager.exportToFile(students);
+        this.downloadFile(new Blob([jsonData], { type: 'application/json' }), `students-${new Date().toISOString().split('T')[0]}.json`);
+        this.showToast(Vault.current() ? 'Encrypted JSON exported successfully! 🔒' : 'JSON exported successfully! 📥', 'success');
+    }
+
+    exportDataCSV() {
+        const options = this.loadCSVExportOptions();
+        const columnOrder = [
+            ...options.columns,
+            ...CSV_COLUMNS.map(c => c.key).filter(key => !options.columns.includes(key))
+        ];
+
+        this.csvColumnList.innerHTML = columnOrder.map(key => {
+            const column = CSV_COLUMNS.find(c => c.key === key);
+            return `
+                <li class="csv-column" data-key="${key}">
+                    <label>
+                        <input type="checkbox" ${options.columns.includes(key) ? 'checked' : ''}>
+                        ${this.escapeHtml(getCSVColumnLabel(column))}
+                    </label>
+                    <span>
+                        <button type="button" class="action-btn" data-move="-1" title="Move up">↑</button>
+                        <button type="button" class="action-btn" data-move="1" title="Move down">↓</button>
+                    </span>
+                </li>
+            `;
+        }).join('');
+
+        this.csvDelimiter.innerHTML = Object.entries(CSV_DELIMITERS)
+            .map(([value, label]) => `<option value="${value === '\t' ? 'tab' : value}">${label}</option>`)
+            .join('');
+        this.csvDelimiter.value = options.delimiter === '\t' ? 'tab' : options.delimiter;
+        this.csvEncoding.value = options.encoding;
+        this.csvScope.value = this.manager.selectedIds.size > 0 ? 'selected' : options.scope;
+        this.csvExportModal.classList.add('active');
+    }
+
+    loadCSVExportOptions() {
+        const defaults = {
+            columns: CSV_COLUMNS.map(c => c.key),
+            delimiter: ',',
+            encoding: 'utf-8-bom',
+            scope: 'all'
+        };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem('csvExportOptions')) };
+        } catch (e) {
+            return defaults;
+        }
+    }
+
+    moveCSVColumn(button) {
+        const item = button.closest('.csv-column');
+        if (button.dataset.move === '-1' && item.previousElementSibling) {
+            item.parentNode.insertBefore(item, item.previousElementSibling);
+        } else if (button.dataset.move === '1' && item.nextElementSibling) {
+            item.parentNode.insertBefore(item.nextElementSibling, item);
+        }
+    }
+
+    getExportScopeStudents(scope) {
+        if (scope === 'all') return this.manager.getAllStudents();
+        const students = this.getFilteredStudents();
+        return scope === 'selected'
+            ? students.filter(s => this.manager.selectedIds.has(s.id))
+            : students;
+    }
+
+    confirmCSVExport() {
+        const options = {
+            columns: [...this.csvColumnList.querySelectorAll('.csv-column')]
+                .filter(item => item.querySelector('input').checked)
+                .map(item => item.dataset.key),
+            delimiter: this.csvDelimiter.value === 'tab' ? '\t' : this.csvDelimiter.value,
+            encoding: this.csvEncoding.value,
+            scope: this.csvScope.value
+        };
+
+        if (options.columns.length === 0) {
+            this.showToast('Pick at least one column to export!', 'error');
+            return;
+        }
+
+        if (!this.downloadCSV(this.getExportScopeStudents(options.scope), options)) return;
+        localStorage.setItem('csvExportOptions', JSON.stringify(options));
+        this.closeCSVExportModal();
+    }
+
+    downloadCSV(students, options) {
+        const csvData = this.manager.exportToCSV(students, options);
+        if (!csvData) {
+            this.showToast('No data to export!', 'error');
+            return false;
+        }
+
+        // Excel only detects UTF-8 when the file starts with a byte order mark
+        const content = options.encoding === 'utf-8-bom' ? '\uFEFF' + csvData : csvData;
+        const extension = options.delimiter === '\t' ? 'tsv' : 'csv';
+        const blob = new Blob([content], { type: `text/${extension === 'tsv' ? 'tab-separated-values' : 'csv'};charset=utf-8` });
+        this.downloadFile(blob, `students-${new Date().toISOString().split('T')[0]}.${extension}`);
+        this.showToast('CSV exported successfully! 📊', 'success');
+        return true;
+    }
+
+    closeCSVExportModal() {
+        this.csvExportModal.classList.remove('active');
+    }
+
+    // ==================================================
+    // History: undo/redo and the change journal
+    // ==================================================
+
+    handleShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+        // Text fields keep the browser's own undo
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) {
+            this.redo();
+        } else {
+            this.undo();
+        }
+    }
+
+    undo() {
+        if (!this.allowed('editRecords')) return;
+        try {
+            const entry = this.manager.undo();
+            if (!entry) {
+                this.showToast('Nothing to undo', 'info');
+                return;
+            }
+            this.refreshAfterHistoryChange();
+            this.showToast(`Undone: ${entry.summary} ↶`, 'info');
+        } catch (error) {
+            this.showToast(`Can't undo: ${error.message}`, 'error');
+        }
+    }
+
+    redo() {
+        if (!this.allowed('editRecords')) return;
+        try {
+            const entry = this.manager.redo();
+            if (!entry) {
+                this.showToast('Nothing to redo', 'info');
+                return;
+            }
+            this.refreshAfterHistoryChange();
+            this.showToast(`Redone: ${entry.summary} ↷`, 'info');
+        } catch (error) {
+            this.showToast(`Can't redo: ${error.message}`, 'error');
+        }
+    }
+
+    restoreVersion(entryId, recordId) {
+        if (!this.allowed('editRecords')) return;
+        try {
+            const student = this.manager.restoreVersion(entryId, recordId);
+            this.refreshAfterHistoryChange();
+            this.showToast(`${student.name} restored ♻️`, 'success');
+        } catch (error) {
+            this.showToast(`Can't restore: ${error.message}`, 'error');
+        }
+    }
+
+    refreshAfterHistoryChange() {
+        // The record being edited may have just been removed or rewritten
+        if (this.manager.editingId) {
+            this.cancelEditing();
+        }
+        this.render();
+        if (this.isAnalyticsVisible()) {
+            this.renderCharts();
+        }
+        if (this.historyModal.classList.contains('active')) {
+            this.renderHistory();
+        }
+        if (this.trashModal.classList.contains('active')) {
+            this.renderTrash();
+        }
+    }
+
+    updateUndoButtons() {
+        const undo = this.manager.journal.peekUndo();
+        const redo = this.manager.journal.peekRedo();
+        this.undoBtn.disabled = !undo;
+        this.redoBtn.disabled = !redo;
+        this.undoBtn.title = undo ? `Undo: ${undo.summary} (Ctrl+Z)` : 'Nothing to undo';
+        this.redoBtn.title = redo ? `Redo: ${redo.summary} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+
+    // Whole journal when recordId is null, otherwise every version of one student
+    showHistory(recordId = null) {
+        this.historyRecordId = recordId;
+        this.auditActorInput.value = getAuditActor();
+        this.renderHistory();
+        this.historyModal.classList.add('active');
+    }
+
+    renderHistory() {
+        const recordId = this.historyRecordId;
+
+        if (!recordId) {
+            const entries = this.manager.journal.getRecent();
+            this.historyTitle.textContent = 'Change History';
+            this.historyList.innerHTML = entries.length === 0
+                ? '<p>No changes recorded yet.</p>'
+                : entries.map(entry => `
+                    <div class="history-entry">
+                        ${this.renderHistoryMeta(entry)}
+                        ${entry.changes.length <= 5 ? entry.changes.map(change => `
+                            <div class="history-change">
+                                <button class="action-btn" onclick="ui.showHistory('${change.id}')">
+                                    ${this.escapeHtml((change.after || change.before).name)}
+                                </button>
+                                ${this.renderChangeDiff(entry, change)}
+                            </div>
+                        `).join('') : `<p>${entry.changes.length} records changed</p>`}
+                    </div>
+                `).join('');
+            return;
+        }
+
+        const items = this.manager.journal.getRecordHistory(recordId);
+        const current = this.manager.getStudentById(recordId);
+        const latest = current || (items[0] && (items[0].change.after || items[0].change.before));
+        // Purged records stay in the audit trail but can't be brought back
+        const purged = !current && items.length > 0 && items[0].entry.action === 'purge';
+        this.historyTitle.textContent = `History: ${latest ? latest.name : 'Unknown student'}`;
+
+        this.historyList.innerHTML = items.length === 0
+            ? '<p>No changes recorded for this student yet.</p>'
+            : items.map(({ entry, change }, index) => {
+                // The newest snapshot of a record that still exists is what the table already shows
+                const isCurrent = index === 0 && current && change.after;
+                let action = '';
+                if (isCurrent) {
+                    action = `<span class="history-current">${current.deletedAt ? 'Current version (in trash)' : 'Current version'}</span>`;
+                } else if (!purged && can('editRecords')) {
+                    action = `<button class="btn btn-ghost" onclick="ui.restoreVersion('${entry.id}', '${recordId}')">
+                                ♻️ Restore ${change.after ? 'this version' : 'deleted record'}
+                            </button>`;
+                }
+                return `
+                    <div class="history-entry">
+                        ${this.renderHistoryMeta(entry, `Version ${items.length - index}`)}
+                        ${this.renderChangeDiff(entry, change)}
+                        ${action}
+                    </div>
+                `;
+            }).join('');
+    }
+
+    renderHistoryMeta(entry, label = '') {
+        return `
+            <div class="history-meta">
+                <strong>${label ? `${label} · ` : ''}${JOURNAL_ACTIONS[entry.action] || entry.action}</strong>
+                <span>${new Date(entry.at).toLocaleString()} · ${this.escapeHtml(entry.actor)}</span>
+            </div>
+            <p class="history-summary">${this.escapeHtml(entry.summary)}</p>
+        `;
+    }
+
+    renderChangeDiff(entry, change) {
+        if (!change.before) {
+            const created = entry.action === 'add' || entry.action === 'import';
+            return `<div class="history-diff">${created ? 'Record created' : 'Record brought back'}</div>`;
+        }
+        if (!change.after) return '<div class="history-diff">Record permanently deleted</div>';
+        if (Boolean(change.before.deletedAt) !== Boolean(change.after.deletedAt)) {
+            return `<div class="history-diff">${change.after.deletedAt ? 'Moved to trash' : 'Restored from trash'}</div>`;
+        }
+
+        return `
+            <div class="history-diff">
+                ${diffRecords(change.before, change.after).map(c => `
+                    <div><strong>${c.field}</strong>: ${this.formatImportValue(c.field, c.from)} → ${this.formatImportValue(c.field, c.to)}</div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    closeHistoryModal() {
+        this.historyModal.classList.remove('active');
+        this.historyRecordId = null;
+    }
+
+    // ==================================================
+    // Trash: restore, purge and retention
+    // ==================================================
+
+    updateTrashCount() {
+        const count = this.manager.getTrashedStudents().length;
+        this.trashCount.textContent = count;
+        this.trashCount.hidden = count === 0;
+    }
+
+    showTrash() {
+        if (!this.allowed('editRecords')) return;
+        this.trashRetention.innerHTML = Object.entries(TRASH_RETENTION_OPTIONS)
+            .map(([days, label]) => `<option value="${days}">${label}</option>`)
+            .join('');
+        this.trashRetention.value = String(getTrashRetentionDays());
+        this.renderTrash();
+        this.trashModal.classList.add('active');
+    }
+
+    renderTrash() {
+        const retention = getTrashRetentionDays();
+        const trashed = this.manager.getTrashedStudents()
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+        this.trashSummary.textContent = trashed.length === 0
+            ? 'The trash is empty.'
+            : `${trashed.length} student(s) in the trash. Their Student IDs stay reserved until purged.`;
+        [this.restoreTrashBtn, this.purgeTrashBtn, this.emptyTrashBtn].forEach(btn => { btn.disabled = trashed.length === 0; });
+
+        const purgeLabel = (student) => {
+            if (!retention) return 'Never';
+            const purgeAt = new Date(student.deletedAt).getTime() + retention * 24 * 60 * 60 * 1000;
+            const days = Math.max(0, Math.ceil((purgeAt - Date.now()) / (24 * 60 * 60 * 1000)));
+            return days === 0 ? 'Today' : `In ${days} day(s)`;
+        };
+
+        this.trashList.innerHTML = trashed.length === 0 ? '' : `
+            <table class="import-table">
+                <thead>
+                    <tr>
+                        <th><input type="checkbox" id="trashSelectAll"></th>
+                        <th>Student</th>
+                        <th>Deleted</th>
+                        <th>Auto-purge</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${trashed.map(student => `
+                        <tr>
+                            <td><input type="checkbox" class="trash-select" value="${student.id}"></td>
+                            <td>${this.escapeHtml(student.name)}<br><small>${this.escapeHtml(student.studentId)}</small></td>
+                            <td>${new Date(student.deletedAt).toLocaleString()}</td>
+                            <td>${purgeLabel(student)}</td>
+                            <td>
+                                <div class="table-actions-cell">
+                                    <button class="action-btn edit-btn" onclick="ui.restoreFromTrash(['${student.id}'])">♻️ Restore</button>
+                                    <button class="action-btn delete-btn" onclick="ui.purgeFromTrash(['${student.id}'])">✖ Purge</button>
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    getTrashSelection() {
+        return [...this.trashList.querySelectorAll('.trash-select:checked')].map(box => box.value);
+    }
+
+    restoreFromTrash(ids) {
+        if (!this.allowed('editRecords')) return;
+        if (ids.length === 0) {
+            this.showToast('Select students to restore', 'error');
+            return;
+        }
+        const restored = this.manager.restoreFromTrash(ids);
+        this.refreshAfterHistoryChange();
+        this.showToast(`Restored ${restored} student(s) ♻️`, 'success');
+    }
+
+    purgeFromTrash(ids) {
+        if (!this.allowed('editRecords')) return;
+        if (ids.length === 0) {
+            this.showToast('Select students to purge', 'error');
+            return;
+        }
+        if (!confirm(`Permanently delete ${ids.length} student(s)? This cannot be undone.`)) return;
+
+        const purged = this.manager.purgeStudents(ids);
+        this.refreshAfterHistoryChange();
+        this.showToast(`Permanently deleted ${purged} student(s)`, 'success');
+    }
+
+    setTrashRetention(days) {
+        if (!this.allowed('editRecords')) return;
+        localStorage.setItem(TRASH_RETENTION_KEY, days);
+        const purged = this.manager.purgeExpiredTrash();
+        this.refreshAfterHistoryChange();
+        this.showToast(purged > 0
+            ? `Retention updated; ${purged} expired student(s) purged`
+            : 'Trash retention updated', 'info');
+    }
+
+    closeTrashModal() {
+        this.trashModal.classList.remove('active');
+    }
+
+    // ==================================================
+    // Attendance: roll call and per-student history
+    // ==================================================
+
+    // Catalog courses plus any still on records; starts on the course being filtered on,
+    // else the one most of the filtered roster takes
+    fillSessionCourses(select) {
+        const courses = new Set([
+            ...this.manager.catalog.getCourses().map(course => course.name),
+            ...this.manager.getAllStudents().map(s => s.course).filter(Boolean)
+        ]);
+        select.innerHTML = [...courses]
+            .filter(course => can('takeAttendance', course))
+            .map(course => `<option value="${this.escapeHtml(course)}">${this.escapeHtml(course)}</option>`)
+            .join('');
+
+        const counts = {};
+        this.getFilteredStudents()
+            .filter(s => can('takeAttendance', s.course))
+            .forEach(s => { counts[s.course] = (counts[s.course] || 0) + 1; });
+        const busiest = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+        select.value = this.currentFilters.course || busiest || select.value;
+        // A filter on a course this person can't take attendance for matches no option
+        if (!select.value && select.options.length > 0) select.selectedIndex = 0;
+    }
+
+    showRollCall() {
+        if (!this.allowed('takeAttendance')) return;
+        this.fillSessionCourses(this.rollCallCourse);
+        this.rollCallDate.value = new Date().toISOString().split('T')[0];
+
+        this.renderRollCall();
+        this.rollCallModal.classList.add('active');
+    }
+
+    // The filtered roster for the chosen course, pre-marked from any session already taken that day
+    getRollCallStudents() {
+        return this.getFilteredStudents().filter(s => s.course === this.rollCallCourse.value);
+    }
+
+    renderRollCall() {
+        const register = this.manager.attendance;
+        const course = this.rollCallCourse.value;
+        const session = register.findSession(course, this.rollCallDate.value);
+        const students = this.getRollCallStudents();
+        const earlier = register.getSessions(course).filter(s => !session || s.id !== session.id).length;
+
+        this.rollCallSummary.textContent = [
+            session
+                ? `Editing the session taken on ${session.date} (${Object.keys(session.marks).length} marked).`
+                : 'New session.',
+            `${students.length} student(s) in the current view take ${course || 'this course'}.`,
+            earlier > 0 ? `${earlier} other session(s) recorded for this course.` : ''
+        ].filter(Boolean).join(' ');
+        this.deleteSessionBtn.hidden = !session;
+        this.saveRollCallBtn.disabled = students.length === 0;
+
+        this.rollCallList.innerHTML = students.length === 0 ? '' : `
+            <table class="import-table">
+                <thead>
+                    <tr>
+                        <th>Student</th>
+                        <th>Mark</th>
+                        <th>Attendance</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${students.map(student => {
+                        const mark = session ? session.marks[student.id] || '' : '';
+                        return `
+                            <tr class="roll-call-row" data-id="${student.id}">
+                                <td>${this.escapeHtml(student.name)}<br><small>${this.escapeHtml(student.studentId)}</small></td>
+                                <td class="roll-call-marks">
+                                    ${Object.entries(ATTENDANCE_STATUSES).map(([status, { label, short }]) => `
+                                        <label class="roll-call-mark mark-${status}" title="${label}">
+                                            <input type="radio" name="mark-${student.id}" value="${status}" ${mark === status ? 'checked' : ''}>
+                                            <span>${short}</span>
+                                        </label>
+                                    `).join('')}
+                                </td>
+                                <td>${formatAttendance(student)}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    markAllRollCall(status) {
+        this.rollCallList.querySelectorAll('.roll-call-row').forEach(row => {
+            row.querySelectorAll('input[type="radio"]').forEach(radio => { radio.checked = radio.value === status; });
+        });
+    }
+
+    saveRollCall() {
+        if (!this.allowed('takeAttendance', this.rollCallCourse.value)) return;
+        const marks = {};
+        this.rollCallList.querySelectorAll('.roll-call-row').forEach(row => {
+            const checked = row.querySelector('input[type="radio"]:checked');
+            marks[row.dataset.id] = checked ? checked.value : '';
+        });
+
+        try {
+            const session = this.manager.attendance.saveSession(this.rollCallCourse.value, this.rollCallDate.value, marks);
+            const marked = Object.values(marks).filter(Boolean).length;
+            this.showToast(`Attendance saved for ${session.course} on ${session.date} (${marked} marked) 📋`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        this.closeRollCallModal();
+        this.render();
+        if (this.isAnalyticsVisible()) {
+            this.renderCharts();
+        }
+    }
+
+    deleteRollCallSession() {
+        if (!this.allowed('takeAttendance', this.rollCallCourse.value)) return;
+        const session = this.manager.attendance.findSession(this.rollCallCourse.value, this.rollCallDate.value);
+        if (!session) return;
+        if (!confirm(`Delete the ${session.course} session on ${session.date}? Its marks are removed from every student's attendance.`)) return;
+
+        this.manager.attendance.removeSession(session.id);
+        this.renderRollCall();
+        this.render();
+        this.showToast('Session deleted', 'success');
+    }
+
+    // Hands the roll call's course and date over to the scanner; each scan saves straight to the session
+    scanIntoRollCall() {
+        const course = this.rollCallCourse.value;
+        const date = this.rollCallDate.value;
+        this.closeRollCallModal();
+        this.showScanner('rollCall', course, date);
+    }
+
+    closeRollCallModal() {
+        this.rollCallModal.classList.remove('active');
+    }
+
+    showAttendance(recordId) {
+        const student = this.manager.getStudentById(recordId);
+        if (!student) return;
+
+        const register = this.manager.attendance;
+        const tally = register.getTally(recordId);
+        const history = register.getStudentHistory(recordId);
+
+        this.attendanceTitle.textContent = `📅 Attendance: ${student.name}`;
+        this.attendanceSummary.textContent = tally
+            ? `${formatAttendance(student)} attended. ` + Object.entries(ATTENDANCE_STATUSES)
+                .map(([status, { label }]) => `${label}: ${tally[status]}`)
+                .join(' · ')
+            : `No roll-call sessions yet${!register.isActive() && student.attendance !== null
+                ? `; showing the typed-in figure of ${student.attendance}% until roll call is taken`
+                : ''}.`;
+
+        this.attendanceList.innerHTML = history.length === 0 ? '' : `
+            <table class="import-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Course</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${history.map(({ session, status }) => `
+                        <tr>
+                            <td>${this.escapeHtml(session.date)}</td>
+                            <td>${this.escapeHtml(session.course)}</td>
+                            <td><span class="attendance-status mark-${status}">${ATTENDANCE_STATUSES[status].label}</span></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        this.attendanceModal.classList.add('active');
+    }
+
+    closeAttendanceModal() {
+        this.attendanceModal.classList.remove('active');
+    }
+
+    // ==================================================
+    // Scanner: QR codes and barcodes from the camera, image files or a USB scanner
+    // ==================================================
+
+    showScanner(mode = 'open', course = null, date = null) {
+        this.fillSessionCourses(this.scanCourse);
+        if (course) this.scanCourse.value = course;
+        this.scanDate.value = date || new Date().toISOString().split('T')[0];
+        this.scanMode.value = mode;
+        this.scanLog.innerHTML = '';
+        this.lastScan = null;
+        this.updateScanMode();
+        this.scanModal.classList.add('active');
+        this.scanManual.focus();
+    }
+
+    updateScanMode() {
+        const rollCall = this.scanMode.value === 'rollCall';
+        this.scanRollCallOptions.hidden = !rollCall;
+        this.scanStatus.textContent = rollCall
+            ? 'Every student scanned is marked present for the course and date above, and saved right away.'
+            : 'The first student recognised is opened in the form.';
+    }
+
+    async toggleScanCamera() {
+        if (this.scanner.isRunning()) {
+            this.stopScanCamera();
+            return;
+        }
+        try {
+            this.scanVideo.hidden = false;
+            this.scanCameraBtn.textContent = '⏹️ Stop Camera';
+            await this.scanner.start(this.scanVideo, codes => this.handleScannedCodes(codes, 'camera'));
+        } catch (error) {
+            this.stopScanCamera();
+            this.showToast(`Camera unavailable: ${error.message}`, 'error');
+        }
+    }
+
+    stopScanCamera() {
+        this.scanner.stop();
+        this.scanVideo.srcObject = null;
+        this.scanVideo.hidden = true;
+        this.scanCameraBtn.textContent = '📷 Start Camera';
+    }
+
+    async scanImageFile(e) {
+        const file = e.target.files[0];
+        this.scanFile.value = '';
+        if (!file) return;
+
+        try {
+            const codes = await this.scanner.decodeFile(file);
+            if (codes.length === 0) {
+                this.addScanLog('❓', `No code found in ${file.name}`);
+                return;
+            }
+            this.handleScannedCodes(codes, 'image');
+        } catch (error) {
+            this.showToast(`Scan failed: ${error.message}`, 'error');
+        }
+    }
+
+    // Looking up stops at the first student found; roll call takes every code
+    handleScannedCodes(codes, source) {
+        const now = Date.now();
+        codes.some(code => {
+            const text = String(code).trim();
+            if (!text) return false;
+            if (source === 'camera' && this.lastScan && this.lastScan.code === text && now - this.lastScan.at < SCAN_REPEAT_MS) {
+                return false;
+            }
+            this.lastScan = { code: text, at: now };
+            return this.handleScan(text) && this.scanMode.value === 'open';
+        });
+    }
+
+    handleScan(code) {
+        const student = this.manager.findByStudentId(code);
+        if (!student) {
+            this.addScanLog('❓', `No student with ID ${code}`);
+            return false;
+        }
+        if (student.deletedAt) {
+            this.addScanLog('🗑️', `${student.name} (${student.studentId}) is in the trash`);
+            return false;
+        }
+
+        if (this.scanMode.value !== 'rollCall') {
+            this.closeScanModal();
+            if (can('editRecords')) {
+                this.editStudent(student.id);
+            } else {
+                // Roles that can't edit get the student's row instead of the form
+                this.searchInput.value = student.studentId;
+                this.handleSearch(student.studentId);
+            }
+            this.showToast(`Opened ${student.name} 📷`, 'success');
+            return true;
+        }
+
+        const course = this.scanCourse.value;
+        if (!this.allowed('takeAttendance', course)) return false;
+        const session = this.manager.attendance.findSession(course, this.scanDate.value);
+        if (session && session.marks[student.id] === 'present') {
+            this.addScanLog('ℹ️', `${student.name} (${student.studentId}) is already marked present`);
+            return true;
+        }
+        try {
+            this.manager.attendance.saveSession(course, this.scanDate.value, { [student.id]: 'present' });
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return false;
+        }
+        const note = student.course !== course ? ` (takes ${student.course})` : '';
+        this.addScanLog('✅', `${student.name} (${student.studentId}) marked present${note}`);
+        this.render();
+        return true;
+    }
+
+    addScanLog(icon, message) {
+        const item = document.createElement('li');
+        item.textContent = `${new Date().toLocaleTimeString()} ${icon} ${message}`;
+        this.scanLog.prepend(item);
+    }
+
+    closeScanModal() {
+        this.stopScanCamera();
+        this.scanModal.classList.remove('active');
+    }
+
+    // ==================================================
+    // Gradebook: courses, assessments, scores and transcripts
+    // ==================================================
+
+    showGradebook(courseId = this.gradebookCourse.value) {
+        if (!this.allowed('enterGrades')) return;
+        // Teachers only see the gradebook courses taught in their catalog courses
+        const courses = this.manager.gradebook.courses
+            .filter(c => can('enterGrades', c.catalogCourse || ''))
+            .sort((a, b) => a.term.localeCompare(b.term) || a.code.localeCompare(b.code));
+        this.gradebookCourse.innerHTML = courses
+            .map(c => `<option value="${c.id}">${this.escapeHtml(`${c.code} ${c.name} (${c.term})`)}</option>`)
+            .join('');
+        if (courses.some(c => c.id === courseId)) this.gradebookCourse.value = courseId;
+
+        this.closeCourseForm();
+        this.renderGradebookScores();
+        this.gradebookModal.classList.add('active');
+    }
+
+    // One row per student of the course's catalog course in the current view, one score column per assessment;
+    // courses set up before they were linked to the catalog list the whole view
+    renderGradebookScores() {
+        const gradebook = this.manager.gradebook;
+        const course = gradebook.getCourse(this.gradebookCourse.value);
+        const students = course
+            ? this.getFilteredStudents().filter(s => !course.catalogCourse || s.course === course.catalogCourse)
+            : [];
+        [this.editGradebookCourseBtn, this.deleteGradebookCourseBtn].forEach(btn => { btn.disabled = !course; });
+        this.saveScoresBtn.disabled = !course || students.length === 0;
+
+        if (!course) {
+            this.gradebookSummary.textContent = gradebook.courses.length > 0
+                ? 'None of the gradebook\'s courses are taught in the courses on your account.'
+                : 'No courses yet. Click "New Course" to set one up with its assessments.';
+            this.gradebookScores.innerHTML = '';
+            return;
+        }
+
+        const totalWeight = course.assessments.reduce((sum, a) => sum + a.weight, 0);
+        this.gradebookSummary.textContent = [
+            `${course.credits} credit hour(s); ${course.assessments.map(a => `${a.name} ${a.weight}%`).join(', ')}.`,
+            totalWeight !== 100 ? `Weights add up to ${totalWeight}%, so they are scaled proportionally.` : '',
+            course.catalogCourse
+                ? `Showing the ${students.length} student(s) taking ${course.catalogCourse} in the current view; leave a score blank if it isn't graded yet.`
+                : `Not linked to a catalog course yet, so showing all ${students.length} student(s) in the current view; edit the course to link it.`
+        ].filter(Boolean).join(' ');
+
+        this.gradebookScores.innerHTML = students.length === 0 ? '' : `
+            <table class="import-table">
+                <thead>
+                    <tr>
+                        <th>Student</th>
+                        ${course.assessments.map(a => `<th>${this.escapeHtml(a.name)}<br><small>/ ${a.maxScore}</small></th>`).join('')}
+                        <th>Course Result</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${students.map(student => {
+                        const scores = course.scores[student.id] || {};
+                        return `
+                            <tr class="score-row" data-id="${student.id}">
+                                <td>${this.escapeHtml(student.name)}<br><small>${this.escapeHtml(student.studentId)}</small></td>
+                                ${course.assessments.map(a => `
+                                    <td><input type="number" class="filter-select score-input" data-assessment="${a.id}"
+                                        min="0" max="${a.maxScore}" step="any" value="${scores[a.id] ?? ''}"></td>
+                                `).join('')}
+                                <td class="score-result"></td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+        this.gradebookScores.querySelectorAll('.score-row').forEach(row => this.previewScoreRow(row));
+    }
+
+    readScoreRow(row) {
+        const scores = {};
+        row.querySelectorAll('.score-input').forEach(input => { scores[input.dataset.assessment] = input.value; });
+        return scores;
+    }
+
+    // Live course result for the scores typed so far
+    previewScoreRow(row) {
+        const course = this.manager.gradebook.getCourse(this.gradebookCourse.value);
+        const scores = {};
+        Object.entries(this.readScoreRow(row)).forEach(([id, value]) => { scores[id] = toNumberOrNull(value); });
+        const percent = this.manager.gradebook.getCoursePercent({ ...course, scores: { [row.dataset.id]: scores } }, row.dataset.id);
+        row.querySelector('.score-result').textContent = percent === null
+            ? '-'
+            : `${percent}% · ${GradingScale.current().format(percentToGrade(percent))}`;
+    }
+
+    saveScores() {
+        const course = this.manager.gradebook.getCourse(this.gradebookCourse.value);
+        if (!course || !this.allowed('enterGrades', course.catalogCourse || '')) return;
+        const scores = {};
+        this.gradebookScores.querySelectorAll('.score-row').forEach(row => {
+            if (this.manager.getStudentById(row.dataset.id)) scores[row.dataset.id] = this.readScoreRow(row);
+        });
+
+        try {
+            this.manager.gradebook.setScores(course.id, scores);
+            this.showToast(`Scores saved for ${course.code} 📒`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        this.renderGradebookScores();
+        this.render();
+        if (this.isAnalyticsVisible()) {
+            this.renderCharts();
+        }
+    }
+
+    openCourseForm(course) {
+        if (!this.allowed('manageCourses')) return;
+        this.editingCourseId = course ? course.id : null;
+        document.getElementById('gradebookCode').value = course ? course.code : '';
+        document.getElementById('gradebookName').value = course ? course.name : '';
+        document.getElementById('gradebookTerm').value = course ? course.term : '';
+        document.getElementById('gradebookCredits').value = course ? course.credits : 3;
+        // Archived catalog courses can't be picked, except the one a course is already linked to
+        const linked = (course && course.catalogCourse) || '';
+        const catalogCourses = this.manager.catalog.getCourses({ includeArchived: true })
+            .filter(c => !c.archived || c.name === linked);
+        this.gradebookCatalogCourse.innerHTML = '<option value="">Select Course</option>' + catalogCourses
+            .map(c => `<option value="${this.escapeHtml(c.name)}">${this.escapeHtml(c.name)}</option>`)
+            .join('');
+        this.gradebookCatalogCourse.value = linked || this.currentFilters.course;
+        this.gradebookAssessments.innerHTML = '';
+        (course ? course.assessments : DEFAULT_ASSESSMENTS).forEach(a => this.addAssessmentRow(a));
+        this.gradebookCourseForm.hidden = false;
+    }
+
+    addAssessmentRow(assessment = { name: '', type: 'assignment', weight: '', maxScore: 100 }) {
+        const row = document.createElement('tr');
+        row.className = 'assessment-row';
+        row.dataset.id = assessment.id || '';
+        row.innerHTML = `
+            <td><input type="text" class="filter-select" data-field="name" value="${this.escapeHtml(assessment.name)}" placeholder="e.g., Quiz 1"></td>
+            <td>
+                <select class="filter-select" data-field="type">
+                    ${Object.entries(ASSESSMENT_TYPES).map(([type, label]) =>
+                        `<option value="${type}" ${type === assessment.type ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </td>
+            <td><input type="number" class="filter-select" data-field="weight" min="0" step="any" value="${assessment.weight}"></td>
+            <td><input type="number" class="filter-select" data-field="maxScore" min="0" step="any" value="${assessment.maxScore}"></td>
+            <td><button type="button" class="action-btn delete-btn remove-assessment" title="Remove">✖</button></td>
+        `;
+        this.gradebookAssessments.appendChild(row);
+    }
+
+    saveCourseForm(e) {
+        e.preventDefault();
+        if (!this.allowed('manageCourses')) return;
+        const data = {
+            code: document.getElementById('gradebookCode').value,
+            name: document.getElementById('gradebookName').value,
+            term: document.getElementById('gradebookTerm').value,
+            credits: document.getElementById('gradebookCredits').value,
+            catalogCourse: this.gradebookCatalogCourse.value,
+            assessments: [...this.gradebookAssessments.querySelectorAll('.assessment-row')].map(row => {
+                const assessment = { id: row.dataset.id || null };
+                row.querySelectorAll('[data-field]').forEach(input => { assessment[input.dataset.field] = input.value; });
+                return assessment;
+            })
+        };
+
+        const existing = this.editingCourseId && this.manager.gradebook.getCourse(this.editingCourseId);
+        const dropped = existing
+            ? existing.assessments.filter(a => !data.assessments.some(d => d.id === a.id))
+            : [];
+        if (dropped.length > 0 && !confirm(`Remove ${dropped.map(a => a.name).join(', ')} and every score entered for it?`)) return;
+
+        try {
+            const course = this.manager.gradebook.saveCourse(data, this.editingCourseId);
+            this.showToast(`${course.code} saved 📒`, 'success');
+            this.showGradebook(course.id);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+        this.render();
+    }
+
+    closeCourseForm() {
+        this.gradebookCourseForm.hidden = true;
+        this.editingCourseId = null;
+    }
+
+    deleteGradebookCourse() {
+        if (!this.allowed('manageCourses')) return;
+        const course = this.manager.gradebook.getCourse(this.gradebookCourse.value);
+        if (!course) return;
+        if (!confirm(`Delete ${course.code} (${course.term}) and all of its scores? GPAs are recalculated without it.`)) return;
+
+        this.manager.gradebook.removeCourse(course.id);
+        this.showGradebook();
+        this.render();
+        this.showToast(`${course.code} deleted`, 'success');
+    }
+
+    closeGradebookModal() {
+        this.gradebookModal.classList.remove('active');
+        this.closeCourseForm();
+    }
+
+    // ==================================================
+    // Course catalog
+    // ==================================================
+
+    // Course pickers follow the catalog; archived courses stay filterable but can't be picked for new records
+    renderCourseOptions(formCourse = this.inputs.course.value) {
+        const catalog = this.manager.catalog;
+        const active = catalog.getCourses();
+        const archived = catalog.getCourses({ includeArchived: true }).filter(c => c.archived);
+        const option = (course, label = course.name) =>
+            `<option value="${this.escapeHtml(course.name)}">${this.escapeHtml(label)}</option>`;
+
+        this.courseFilter.innerHTML = '<option value="">All Courses</option>' +
+            active.map(c => option(c)).join('') +
+            archived.map(c => option(c, `${c.name} (archived)`)).join('');
+        this.courseFilter.value = this.currentFilters.course;
+
+        // A record being edited keeps its archived course
+        const kept = archived.filter(c => c.name === formCourse);
+        this.inputs.course.innerHTML = '<option value="">Select Course</option>' +
+            [...active, ...kept].map(c => option(c)).join('');
+        this.inputs.course.value = formCourse;
+
+        const bulkCourse = this.bulkCourse.value;
+        this.bulkCourse.innerHTML = '<option value="">Keep current</option>' + active.map(c => option(c)).join('');
+        this.bulkCourse.value = bulkCourse;
+    }
+
+    showCatalog() {
+        if (!this.allowed('manageCourses')) return;
+        this.closeCatalogForms();
+        this.renderCatalog();
+        this.catalogModal.classList.add('active');
+    }
+
+    renderCatalog() {
+        const courses = this.manager.catalog.getCourses({ includeArchived: true });
+        const archived = courses.filter(c => c.archived).length;
+        this.catalogSummary.textContent = [
+            `${courses.length} course(s)${archived > 0 ? `, ${archived} archived` : ''}.`,
+            'Archived courses stay on existing records but can\'t be picked for new ones.'
+        ].join(' ');
+
+        this.catalogList.innerHTML = `
+            <table class="import-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>Course</th>
+                        <th>Code</th>
+                        <th>Department</th>
+                        <th>Credit Hours</th>
+                        <th>Students</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${courses.map(course => `
+                        <tr class="${course.archived ? 'catalog-archived' : ''}">
+                            <td><span class="course-swatch" style="background: ${course.color}"></span></td>
+                            <td>${this.escapeHtml(course.name)}${course.archived ? ' <small>(archived)</small>' : ''}</td>
+                            <td>${this.escapeHtml(course.code) || '-'}</td>
+                            <td>${this.escapeHtml(course.department) || '-'}</td>
+                            <td>${course.credits ?? '-'}</td>
+                            <td>${this.manager.countCourseStudents(course.name)}</td>
+                            <td>
+                                <div class="table-actions-cell">
+                                    <button class="action-btn edit-btn" onclick="ui.openCatalogForm('${course.id}')">✏️ Edit</button>
+                                    <button class="action-btn" onclick="ui.toggleCourseArchived('${course.id}')">
+                                        ${course.archived ? '📤 Unarchive' : '📥 Archive'}
+                                    </button>
+                                    <button class="action-btn delete-btn" onclick="ui.openCatalogMerge('${course.id}')">🔀 Merge</button>
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    openCatalogForm(id = null) {
+        const course = id ? this.manager.catalog.getCourse(id) : null;
+        this.closeCatalogForms();
+        this.editingCatalogId = course ? course.id : null;
+        document.getElementById('catalogName').value = course ? course.name : '';
+        document.getElementById('catalogCode').value = course ? course.code : '';
+        document.getElementById('catalogDepartment').value = course ? course.department : '';
+        document.getElementById('catalogCredits').value = course ? course.credits ?? '' : '';
+        document.getElementById('catalogColor').value = course
+            ? course.color
+            : COURSE_PALETTE[this.manager.catalog.courses.length % COURSE_PALETTE.length];
+        this.catalogForm.hidden = false;
+    }
+
+    saveCatalogForm(e) {
+        e.preventDefault();
+        if (!this.allowed('manageCourses')) return;
+        const data = {
+            name: document.getElementById('catalogName').value,
+            code: document.getElementById('catalogCode').value,
+            department: document.getElementById('catalogDepartment').value,
+            credits: document.getElementById('catalogCredits').value,
+            color: document.getElementById('catalogColor').value
+        };
+
+        const existing = this.editingCatalogId && this.manager.catalog.getCourse(this.editingCatalogId);
+        const students = existing ? this.manager.countCourseStudents(existing.name) : 0;
+        const renamed = existing && existing.name !== data.name.trim();
+        if (renamed && students > 0 && !confirm(`Rename ${existing.name} to ${data.name.trim()} on ${students} student record(s)?`)) return;
+
+        try {
+            const course = this.manager.saveCourse(data, this.editingCatalogId);
+            this.showToast(`${course.name} saved 🏷️`, 'success');
+            if (renamed) this.followCourse(existing.name, course.name);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+        this.closeCatalogForms();
+        this.renderCatalog();
+        this.refreshAfterCourseChange();
+    }
+
+    toggleCourseArchived(id) {
+        if (!this.allowed('manageCourses')) return;
+        const course = this.manager.catalog.getCourse(id);
+        if (!course) return;
+        const updated = this.manager.catalog.setArchived(id, !course.archived);
+        this.showToast(updated.archived ? `${course.name} archived` : `${course.name} is back in the course list`, 'success');
+        this.renderCatalog();
+        this.refreshAfterCourseChange();
+    }
+
+    openCatalogMerge(id) {
+        const course = this.manager.catalog.getCourse(id);
+        if (!course) return;
+        const targets = this.manager.catalog.getCourses({ includeArchived: true }).filter(c => c.id !== id);
+        if (targets.length === 0) {
+            this.showToast('There is no other course to merge into', 'error');
+            return;
+        }
+
+        this.closeCatalogForms();
+        this.mergingCourseId = id;
+        this.catalogMergeSummary.textContent =
+            `${course.name} is removed from the catalog; its ${this.manager.countCourseStudents(course.name)} student(s) and roll-call sessions move to the course picked below.`;
+        this.catalogMergeTarget.innerHTML = targets
+            .map(c => `<option value="${c.id}">${this.escapeHtml(c.name)}${c.archived ? ' (archived)' : ''}</option>`)
+            .join('');
+        this.catalogMergeForm.hidden = false;
+    }
+
+    confirmCatalogMerge() {
+        if (!this.allowed('manageCourses')) return;
+        const source = this.manager.catalog.getCourse(this.mergingCourseId);
+        const target = this.manager.catalog.getCourse(this.catalogMergeTarget.value);
+        if (!source || !target) return;
+        if (!confirm(`Merge ${source.name} into ${target.name}? This can't be undone.`)) return;
+
+        try {
+            const { moved } = this.manager.mergeCourses(source.id, target.id);
+            this.followCourse(source.name, target.name);
+            this.showToast(`${source.name} merged into ${target.name} (${moved} student(s)) 🔀`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+        this.closeCatalogForms();
+        this.renderCatalog();
+        this.refreshAfterCourseChange();
+    }
+
+    // Keeps the course filter and the open form on a course that was renamed or merged away
+    followCourse(from, to) {
+        if (this.currentFilters.course === from) {
+            this.currentFilters.course = to;
+            this.updateViewHash();
+        }
+        if (this.inputs.course.value === from) {
+            this.renderCourseOptions(to);
+        }
+    }
+
+    refreshAfterCourseChange() {
+        this.render();
+        if (this.isAnalyticsVisible()) {
+            this.renderCharts();
+        }
+    }
+
+    closeCatalogForms() {
+        this.catalogForm.hidden = true;
+        this.catalogMergeForm.hidden = true;
+        this.editingCatalogId = null;
+        this.mergingCourseId = null;
+    }
+
+    closeCatalogModal() {
+        this.catalogModal.classList.remove('active');
+        this.closeCatalogForms();
+    }
+
+    showTranscript(recordId) {
+        const student = this.manager.getStudentById(recordId);
+        if (!student) return;
+
+        const scale = GradingScale.current();
+        const transcript = this.manager.gradebook.getTranscript(recordId);
+        this.transcriptTitle.textContent = `📒 Grades: ${student.name}`;
+        this.transcriptSummary.textContent = transcript.terms.length > 0
+            ? `Cumulative ${scale.shortLabel}: ${scale.format(transcript.gpa)} over ${transcript.credits} credit hour(s).`
+            : `No gradebook scores yet${!this.manager.gradebook.isActive() && student.gpa !== null
+                ? `; showing the typed-in ${scale.shortLabel} of ${scale.format(student.gpa)} until the gradebook has courses`
+                : ''}.`;
+
+        this.transcriptList.innerHTML = transcript.terms.map(term => `
+            <table class="import-table transcript-term">
+                <thead>
+                    <tr>
+                        <th>${this.escapeHtml(term.term)}</th>
+                        <th>Credits</th>
+                        <th>Score</th>
+                        <th>${scale.shortLabel}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${term.courses.map(r => `
+                        <tr>
+                            <td>${this.escapeHtml(`${r.course.code} ${r.course.name}`)}</td>
+                            <td>${r.course.credits}</td>
+                            <td>${r.percent}%</td>
+                            <td>${scale.format(r.grade)}</td>
+                        </tr>
+                    `).join('')}
+                    <tr class="transcript-total">
+                        <td>Term ${scale.shortLabel}</td>
+                        <td>${term.credits}</td>
+                        <td></td>
+                        <td>${scale.format(term.gpa)}</td>
+                    </tr>
+                </tbody>
+            </table>
+        `).join('');
+        this.transcriptModal.classList.add('active');
+    }
+
+    closeTranscriptModal() {
+        this.transcriptModal.classList.remove('active');
+    }
+
+    describeCurrentView() {
+        const parts = [];
+        if (this.currentSearch) parts.push(`search "${this.currentSearch}"`);
+        if (this.currentFilters.course) parts.push(this.currentFilters.course);
+        if (this.currentFilters.year) parts.push(`Year ${this.currentFilters.year}`);
+        if (this.currentFilters.gpa) parts.push(GradingScale.current().describeBand(this.currentFilters.gpa));
+        if (this.currentFilters.favorite) parts.push('favorites');
+        return parts.length > 0 ? `Filtered: ${parts.join(', ')}` : 'All students';
+    }
+
+    exportDataPDF(students = this.getFilteredStudents(), description = this.describeCurrentView()) {
+        if (students.length === 0) {
+            this.showToast('No data to export!', 'error');
+            return;
+        }
+
+        try {
+            const doc = new PDFExporter().buildRoster(
+                students,
+                this.manager.getStatistics(students),
+                description
+            );
+            doc.save(`students-${new Date().toISOString().split('T')[0]}.pdf`);
+            this.showToast('PDF exported successfully! 📄', 'success');
+        } catch (error) {
+            this.showToast(`PDF export failed: ${error.message}`, 'error');
+        }
+    }
+
+    // ==================================================
+    // Duplicates: warning while typing, finder and field-by-field merge
+    // ==================================================
+
+    // Probable duplicates of what has been typed so far, listed under the form
+    checkFormDuplicates() {
+        const record = {
+            id: this.manager.editingId,
+            name: this.inputs.name.value,
+            email: this.inputs.email.value,
+            phone: this.inputs.phone.value,
+            dob: this.inputs.dob.value
+        };
+        const matches = findDuplicatesOf(record, this.manager.getAllStudents()).slice(0, 3);
+        this.duplicateWarning.hidden = matches.length === 0;
+        this.duplicateWarning.innerHTML = matches.map(({ student, reasons }) => `
+            <div>
+                ⚠️ Possibly the same student as <strong>${this.escapeHtml(student.name)}</strong>
+                (${this.escapeHtml(student.studentId)}): ${reasons.join(', ')}
+                <button type="button" class="action-btn" onclick="ui.editStudent('${student.id}')">Open</button>
+            </div>
+        `).join('');
+    }
+
+    showDuplicates() {
+        if (!this.allowed('editRecords')) return;
+        this.renderDuplicates();
+        this.duplicatesModal.classList.add('active');
+    }
+
+    renderDuplicates() {
+        const pairs = this.manager.findDuplicates();
+        this.duplicatePairs = pairs;
+        this.comparingPair = null;
+        this.duplicatesList.hidden = false;
+        this.duplicateCompare.hidden = true;
+        this.confirmMergeBtn.hidden = true;
+        this.backToDuplicatesBtn.hidden = true;
+
+        this.duplicatesSummary.textContent = pairs.length === 0
+            ? 'No probable duplicates found.'
+            : `${pairs.length} pair(s) that probably describe the same student, most likely first. Compare a pair to merge it field by field.`;
+        this.duplicatesList.innerHTML = pairs.length === 0 ? '' : `
+            <table class="import-table">
+                <thead>
+                    <tr>
+                        <th>Match</th>
+                        <th>Student</th>
+                        <th>Student</th>
+                        <th>Why</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${pairs.map(pair => `
+                        <tr>
+                            <td><strong>${pair.score}%</strong></td>
+                            ${[pair.a, pair.b].map(s => `
+                                <td>${this.escapeHtml(s.name)}<br><small>${this.escapeHtml(s.studentId)}</small></td>
+                            `).join('')}
+                            <td>${pair.reasons.join(', ')}</td>
+                            <td>
+                                <div class="table-actions-cell">
+                                    <button class="action-btn edit-btn" onclick="ui.compareDuplicate('${pair.key}')">🔍 Compare</button>
+                                    <button class="action-btn" onclick="ui.dismissDuplicatePair('${pair.key}')">Not a duplicate</button>
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    compareDuplicate(key) {
+        const pair = this.duplicatePairs.find(p => p.key === key);
+        if (!pair) return;
+        this.comparingPair = pair;
+        this.duplicatesList.hidden = true;
+        this.duplicateCompare.hidden = false;
+        this.confirmMergeBtn.hidden = false;
+        this.backToDuplicatesBtn.hidden = false;
+        this.duplicatesSummary.textContent = 'Pick the record to keep and, where the two differ, the value it should end up with. ' +
+            'The other record moves to the trash; undo reverses the merge.';
+        // The older record is kept by default, so its Student ID and history carry on
+        this.renderDuplicateCompare(pair.a.createdAt <= pair.b.createdAt ? 'a' : 'b');
+    }
+
+    // Choices already made survive switching which record is kept
+    renderDuplicateCompare(keep) {
+        const records = { a: this.comparingPair.a, b: this.comparingPair.b };
+        const picked = this.getMergeChoices();
+        const label = field => this.getFieldLabel(field);
+
+        this.duplicateCompare.innerHTML = `
+            <table class="import-table">
+                <tbody>
+                    <tr>
+                        <th>Keep record</th>
+                        ${['a', 'b'].map(side => `
+                            <td>
+                                <label>
+                                    <input type="radio" name="merge-keep" value="${side}" ${side === keep ? 'checked' : ''}>
+                                    <strong>${this.escapeHtml(records[side].studentId)}</strong>
+                                </label>
+                            </td>
+                        `).join('')}
+                    </tr>
+                    ${MERGE_FIELDS.map(field => {
+                        if ((records.a[field] ?? null) === (records.b[field] ?? null)) {
+                            return `<tr><th>${label(field)}</th><td colspan="2">${this.formatMergeValue(field, records.a[field])}</td></tr>`;
+                        }
+                        const other = keep === 'a' ? 'b' : 'a';
+                        const fallback = isBlank(records[keep][field]) ? other : keep;
+                        const choice = picked[field] || fallback;
+                        return `
+                            <tr class="merge-differs">
+                                <th>${label(field)}</th>
+                                ${['a', 'b'].map(side => `
+                                    <td>
+                                        <label>
+                                            <input type="radio" name="merge-${field}" value="${side}" ${side === choice ? 'checked' : ''}>
+                                            ${this.formatMergeValue(field, records[side][field])}
+                                        </label>
+                                    </td>
+                                `).join('')}
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    getFieldLabel(field) {
+        const column = CSV_COLUMNS.find(c => c.key === field);
+        return column ? getCSVColumnLabel(column) : 'Photo';
+    }
+
+    formatMergeValue(field, value) {
+        if (field === 'photo' && value) return `<img src="${this.escapeHtml(value)}" alt="Photo" class="merge-photo">`;
+        if (field === 'favorite') return value ? '⭐ Yes' : 'No';
+        return this.formatImportValue(field, value);
+    }
+
+    // { field: 'a' | 'b' } for the fields that differ
+    getMergeChoices() {
+        const choices = {};
+        this.duplicateCompare.querySelectorAll('input[type="radio"]:checked').forEach(input => {
+            if (input.name !== 'merge-keep') choices[input.name.replace('merge-', '')] = input.value;
+        });
+        return choices;
+    }
+
+    confirmMerge() {
+        if (!this.allowed('editRecords')) return;
+        const pair = this.comparingPair;
+        if (!pair) return;
+        const keepSide = this.duplicateCompare.querySelector('input[name="merge-keep"]:checked').value;
+        const keep = pair[keepSide];
+        const duplicate = pair[keepSide === 'a' ? 'b' : 'a'];
+        const choices = this.getMergeChoices();
+        const values = {};
+        MERGE_FIELDS.forEach(field => {
+            values[field] = (choices[field] ? pair[choices[field]] : keep)[field];
+        });
+
+        if (!confirm(`Merge ${duplicate.name} (${duplicate.studentId}) into ${keep.studentId}? ${duplicate.studentId} moves to the trash.`)) return;
+
+        try {
+            const merged = this.manager.mergeStudents(keep.id, duplicate.id, values);
+            this.showToast(`Merged into ${merged.name} (${merged.studentId}) 👥`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+        this.refreshAfterHistoryChange();
+        this.renderDuplicates();
+    }
+
+    dismissDuplicatePair(key) {
+        if (!this.allowed('editRecords')) return;
+        dismissDuplicate(key);
+        this.renderDuplicates();
+        this.showToast('Pair marked as not a duplicate', 'info');
+    }
+
+    closeDuplicatesModal() {
+        this.duplicatesModal.classList.remove('active');
+        this.comparingPair = null;
+    }
+
+    // ==================================================
+    // Tab sync and edit conflicts
+    // ==================================================
+
+    // Saves in other tabs redraw this one; a burst of them is handled once
+    setupSync() {
+        this.manager.onSync = ({ conflicts }) => this.afterSync(conflicts);
+        const sync = TabSync.current();
+        if (!sync) return;
+
+        const topics = new Set();
+        let timer = null;
+        sync.subscribe(message => {
+            // Encryption turned on or off, or "Lock" pressed, in another tab: start again from the lock screen.
+            // Likewise when another tab connects to or disconnects from a server
+            if (message.topic === 'vault' || message.topic === 'server') {
+                window.location.reload();
+                return;
+            }
+            if (message.topic === 'accounts') {
+                this.handleAccountsChange();
+                return;
+            }
+            topics.add(message.topic);
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                const pending = [...topics];
+                topics.clear();
+                this.handleSync(pending);
+            }, SYNC_REFRESH_MS);
+        });
+    }
+
+    async handleSync(topics) {
+        try {
+            // Merging the roster redraws through manager.onSync
+            if (topics.includes('students')) await this.manager.syncFromStorage();
+
+            const stores = { attendance: this.manager.attendance, gradebook: this.manager.gradebook, catalog: this.manager.catalog };
+            const reloaded = topics.filter(topic => stores[topic] || topic === 'history');
+            for (const topic of reloaded) {
+                if (topic === 'history') {
+                    await this.manager.journal.reload();
+                } else {
+                    await stores[topic].pendingSave;
+                    await stores[topic].load();
+                }
+            }
+            if (reloaded.length > 0) this.afterSync();
+        } catch (error) {
+            console.error('Failed to sync with another tab:', error);
+        }
+    }
+
+    afterSync(conflicts = []) {
+        const id = this.manager.editingId;
+        const editing = id && this.manager.getStudentById(id);
+        if (id && (!editing || editing.revision !== this.manager.editingRevision) && this.syncNotice !== `${id}:${editing && editing.revision}`) {
+            this.syncNotice = `${id}:${editing && editing.revision}`;
+            this.showToast('The student you are editing was changed in another tab; saving will ask which version to keep', 'info');
+        }
+
+        this.applyGradingScale();
+        this.render();
+        if (this.isAnalyticsVisible()) {
+            this.renderCharts();
+        }
+        if (this.historyModal.classList.contains('active')) {
+            this.renderHistory();
+        }
+        if (this.trashModal.classList.contains('active')) {
+            this.renderTrash();
+        }
+
+        this.conflicts.push(...conflicts.map(conflict => ({ ...conflict, fromForm: false })));
+        this.showNextConflict();
+    }
+
+    showNextConflict() {
+        if (this.conflicts.length === 0 || this.conflictModal.classList.contains('active')) return;
+        const { mine, theirs, fromForm } = this.conflicts[0];
+        // The form holds only what was typed; the photo and computed fields come from the saved record
+        const yours = fromForm ? { ...theirs, ...mine, photo: mine.photo || theirs.photo } : mine;
+        const name = this.escapeHtml((theirs || mine).name);
+        // Connected to a server, the other change may come from anyone on the team
+        const elsewhere = this.manager.storage instanceof RemoteStorageAdapter ? 'by someone else' : 'in another tab';
+
+        if (fromForm) {
+            this.conflictSummary.innerHTML = theirs.deletedAt
+                ? `<strong>${name}</strong> was moved to the trash ${elsewhere} after you started editing.`
+                : `<strong>${name}</strong> was saved ${elsewhere} after you started editing.`;
+        } else {
+            this.conflictSummary.innerHTML = theirs
+                ? `<strong>${name}</strong> was changed here and ${elsewhere} at the same time; the other version was saved.`
+                : `<strong>${name}</strong> was purged ${elsewhere} while this tab changed it.`;
+        }
+
+        const changes = theirs ? diffRecords(theirs, yours) : [];
+        this.conflictDetails.innerHTML = changes.length === 0 ? '' : `
+            <table class="import-table">
+                <thead>
+                    <tr>
+                        <th>Field</th>
+                        <th>This tab</th>
+                        <th>Other tab</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${changes.map(c => `
+                        <tr>
+                            <th>${this.getFieldLabel(c.field)}</th>
+                            <td>${this.formatMergeValue(c.field, c.to)}</td>
+                            <td>${this.formatMergeValue(c.field, c.from)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        this.keepTheirsBtn.textContent = fromForm ? 'Discard My Changes' : 'Keep Their Version';
+        this.keepEditingBtn.hidden = !fromForm;
+        this.conflictModal.classList.add('active');
+    }
+
+    keepMyVersion() {
+        const conflict = this.conflicts.shift();
+        this.conflictModal.classList.remove('active');
+        if (conflict.fromForm) {
+            this.saveForm(conflict.mine, null);
+        } else {
+            try {
+                const student = this.manager.keepLocalVersion(conflict.mine);
+                this.showToast(`Kept this tab's changes to ${student.name} ✅`, 'success');
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            }
+            this.render();
+        }
+        this.showNextConflict();
+    }
+
+    keepTheirVersion() {
+        const conflict = this.conflicts.shift();
+        this.conflictModal.classList.remove('active');
+        if (conflict.fromForm) {
+            this.form.reset();
+            this.cancelEditing();
+            this.showToast('Kept the version saved in the other tab', 'info');
+        }
+        this.showNextConflict();
+    }
+
+    // Back to the form; saving again asks again
+    closeConflictModal() {
+        this.conflicts.shift();
+        this.conflictModal.classList.remove('active');
+        this.showNextConflict();
+    }
+
+    // ==================================================
+    // Validation rules
+    // ==================================================
+
+    // Rules are edited on a copy; nothing changes until they are saved
+    showRules() {
+        if (!this.allowed('manageSettings')) return;
+        this.rulesDraft = JSON.parse(JSON.stringify(getValidationRules()));
+        this.newRuleField.innerHTML = Object.keys(VALIDATED_FIELDS)
+            .map(field => `<option value="${field}">${getValidatedFieldLabel(field)}</option>`).join('');
+        this.newRuleType.innerHTML = Object.entries(RULE_TYPES)
+            .map(([type, ruleType]) => `<option value="${type}">${ruleType.label}</option>`).join('');
+        this.renderRules();
+        this.rulesModal.classList.add('active');
+    }
+
+    renderRules() {
+        const rows = [];
+        Object.keys(VALIDATED_FIELDS).forEach(field => {
+            const rules = this.rulesDraft[field] || [];
+            const label = `<strong>${getValidatedFieldLabel(field)}</strong>`;
+            if (rules.length === 0) {
+                rows.push(`<tr><td>${label}</td><td colspan="5"><em>No rules</em></td></tr>`);
+                return;
+            }
+            rules.forEach((rule, index) => {
+                const data = `data-field="${field}" data-index="${index}"`;
+                rows.push(`
+                    <tr>
+                        <td>${index === 0 ? label : ''}</td>
+                        <td>${RULE_TYPES[rule.type] ? RULE_TYPES[rule.type].label : this.escapeHtml(rule.type)}</td>
+                        <td>${this.renderRuleParams(field, rule, data)}</td>
+                        <td>
+                            <input type="text" class="filter-select" ${data} data-param="message"
+                                value="${this.escapeHtml(rule.message || '')}"
+                                placeholder="${this.escapeHtml(getRuleMessage(field, { ...rule, message: '' }))}">
+                        </td>
+                        <td><input type="checkbox" ${data} data-param="enabled" title="Enabled" ${rule.enabled !== false ? 'checked' : ''}></td>
+                        <td><button type="button" class="action-btn delete-btn" onclick="ui.removeRule('${field}', ${index})" title="Remove">✖</button></td>
+                    </tr>
+                `);
+            });
+        });
+
+        this.rulesList.innerHTML = `
+            <table class="import-table">
+                <thead>
+                    <tr>
+                        <th>Field</th>
+                        <th>Rule</th>
+                        <th>Settings</th>
+                        <th>Message</th>
+                        <th>On</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+        `;
+    }
+
+    renderRuleParams(field, rule, data) {
+        switch (rule.type) {
+            case 'pattern':
+                return `<input type="text" class="filter-select rule-pattern" ${data} data-param="pattern"
+                    value="${this.escapeHtml(rule.pattern || '')}" placeholder="Regular expression, e.g. ^STU\\d{3}$">`;
+            case 'range':
+            case 'age':
+                return ['min', 'max'].map(param => `
+                    <input type="number" class="filter-select rule-bound" ${data} data-param="${param}" step="any"
+                        value="${rule[param] ?? ''}" placeholder="${param}">
+                `).join(' to ');
+            case 'compare':
+                return `
+                    <select class="filter-select" ${data} data-param="operator">
+                        ${Object.entries(COMPARE_OPERATORS).map(([operator, { label }]) =>
+                            `<option value="${operator}" ${operator === rule.operator ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <select class="filter-select" ${data} data-param="otherField">
+                        ${DATE_FIELDS.filter(other => other !== field).map(other =>
+                            `<option value="${other}" ${other === rule.otherField ? 'selected' : ''}>${getValidatedFieldLabel(other)}</option>`).join('')}
+                    </select>
+                `;
+            default:
+                return '—';
+        }
+    }
+
+    updateRuleDraft(input) {
+        const { field, index, param } = input.dataset;
+        if (!param) return;
+        this.rulesDraft[field][index][param] = input.type === 'checkbox' ? input.checked : input.value;
+    }
+
+    addRule() {
+        const field = this.newRuleField.value;
+        const type = this.newRuleType.value;
+        const rule = { type, enabled: true, message: '' };
+        if (type === 'pattern') rule.pattern = '';
+        if (type === 'range') Object.assign(rule, { min: 0, max: 100 });
+        if (type === 'age') Object.assign(rule, { min: 10, max: 100 });
+        if (type === 'compare') {
+            Object.assign(rule, { operator: 'after', otherField: DATE_FIELDS.find(other => other !== field) });
+        }
+        this.rulesDraft[field] = [...(this.rulesDraft[field] || []), rule];
+        this.renderRules();
+    }
+
+    removeRule(field, index) {
+        this.rulesDraft[field].splice(index, 1);
+        this.renderRules();
+    }
+
+    saveRules() {
+        if (!this.allowed('manageSettings')) return;
+        try {
+            saveValidationRules(this.rulesDraft);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+        this.closeRulesModal();
+        this.showToast('Validation rules saved ✅', 'success');
+    }
+
+    // Puts the defaults in the editor; they apply once saved
+    resetRules() {
+        this.rulesDraft = JSON.parse(JSON.stringify(DEFAULT_VALIDATION_RULES));
+        this.renderRules();
+        this.showToast('Default rules restored; save to apply them', 'info');
+    }
+
+    closeRulesModal() {
+        this.rulesModal.classList.remove('active');
+        this.rulesDraft = null;
+    }
+
+    // ==================================================
+    // Encryption and locking
+    // ==================================================
+
+    setupLock() {
+        this.autoLock = new AutoLock(() => this.lockApp());
+        this.updateLockState();
+    }
+
+    updateLockState() {
+        const encrypted = Vault.current() !== null;
+        this.lockBtn.hidden = !encrypted;
+        if (encrypted) {
+            this.autoLock.start();
+        } else {
+            this.autoLock.stop();
+        }
+    }
+
+    // Reloading drops the key and every decrypted record from memory and comes back at the lock screen
+    async lockApp() {
+        await this.manager.flushSaves();
+        if (Vault.current()) Vault.current().lock();
+        window.location.reload();
+    }
+
+    lockAllTabs() {
+        TabSync.notify('vault');
+        this.lockApp();
+    }
+
+    showSecurity() {
+        if (!this.allowed('manageSettings')) return;
+        this.renderSecurity();
+        this.securityModal.classList.add('active');
+    }
+
+    renderSecurity() {
+        const encrypted = Vault.current() !== null;
+        this.securityStatus.textContent = encrypted
+            ? 'Records, photos, history, attendance and grades are encrypted in this browser, and JSON exports are encrypted with the same passphrase.'
+            : 'Records are stored unencrypted in this browser. Once encrypted, the app asks for the passphrase every time it opens; without it the records can\'t be recovered.';
+        this.securityOff.hidden = encrypted;
+        this.securityOn.hidden = !encrypted;
+        this.autoLockMinutes.innerHTML = AUTO_LOCK_OPTIONS
+            .map(minutes => `<option value="${minutes}">${minutes === 0 ? 'Never' : `${minutes} minutes idle`}</option>`)
+            .join('');
+        this.autoLockMinutes.value = String(AutoLock.getMinutes());
+        [this.newPassphrase, this.confirmPassphrase, this.currentPassphrase, this.changedPassphrase, this.confirmChangedPassphrase]
+            .forEach(input => { input.value = ''; });
+    }
+
+    async enableEncryption() {
+        if (!this.allowed('manageSettings')) return;
+        if (!Vault.isSupported()) {
+            this.showToast('Encryption needs the app served over https or opened from a local file', 'error');
+            return;
+        }
+        if (RemoteStorageAdapter.loadSettings()) {
+            this.showToast('Records on a shared server can\'t be encrypted; disconnect from the server first', 'error');
+            return;
+        }
+        if (this.newPassphrase.value !== this.confirmPassphrase.value) {
+            this.showToast('The passphrases don\'t match', 'error');
+            return;
+        }
+
+        this.enableEncryptionBtn.disabled = true;
+        let vault = null;
+        try {
+            vault = await Vault.create(this.newPassphrase.value);
+            // Saved first: if rewriting stops halfway, what was encrypted can still be read
+            vault.saveConfig();
+            await this.manager.switchStorage(new EncryptedStorageAdapter(this.manager.storage, vault));
+            Vault.setCurrent(vault);
+            TabSync.notify('vault');
+            this.updateLockState();
+            this.renderSecurity();
+            this.showToast('Records encrypted 🔒', 'success');
+        } catch (error) {
+            // Nothing was rewritten when another tab saved first
+            if (vault && error instanceof StaleStorageError) Vault.removeConfig();
+            this.showToast(error.message, 'error');
+        } finally {
+            this.enableEncryptionBtn.disabled = false;
+        }
+    }
+
+    async changePassphrase() {
+        if (!this.allowed('manageSettings')) return;
+        if (this.changedPassphrase.value !== this.confirmChangedPassphrase.value) {
+            this.showToast('The new passphrases don\'t match', 'error');
+            return;
+        }
+        this.changePassphraseBtn.disabled = true;
+        try {
+            await Vault.current().changePassphrase(this.currentPassphrase.value, this.changedPassphrase.value);
+            this.renderSecurity();
+            this.showToast('Passphrase changed; exports made before still need the old one', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        } finally {
+            this.changePassphraseBtn.disabled = false;
+        }
+    }
+
+    async disableEncryption() {
+        if (!this.allowed('manageSettings')) return;
+        this.disableEncryptionBtn.disabled = true;
+        try {
+            await new Vault(Vault.current().config).unlock(this.currentPassphrase.value);
+            if (!confirm('Store the records unencrypted in this browser again?')) return;
+            await this.manager.switchStorage(this.manager.storage.inner);
+            // Removed last: if rewriting stops halfway, what is still encrypted can still be read
+            Vault.removeConfig();
+            Vault.setCurrent(null);
+            TabSync.notify('vault');
+            this.updateLockState();
+            this.renderSecurity();
+            this.showToast('Encryption turned off', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        } finally {
+            this.disableEncryptionBtn.disabled = false;
+        }
+    }
+
+    closeSecurityModal() {
+        this.securityModal.classList.remove('active');
+        this.renderSecurity();
+    }
+
+    // ==================================================
+    // User accounts and permissions
+    // ==================================================
+
+    // Refuses with a message unless the signed-in person's role allows it
+    allowed(permission, course = null) {
+        if (can(permission, course)) return true;
+        this.showToast(new PermissionError(permission, course).message, 'error');
+        return false;
+    }
+
+    // Hides every control the signed-in person's role can't use
+    applyPermissions() {
+        const account = getSignedInAccount();
+        this.signedInAs.hidden = !account;
+        this.signOutBtn.hidden = !account;
+        this.signedInAs.textContent = account ? `👤 ${account.name} (${ROLES[account.role].label})` : '';
+        this.auditActorInput.disabled = !!account;
+
+        const editRecords = can('editRecords');
+        this.formSection.hidden = !editRecords;
+        [this.importBtn, this.bulkEditBtn, this.promoteSelectedBtn, this.deleteSelectedBtn,
+            this.undoBtn, this.redoBtn, this.duplicatesBtn, this.trashBtn].forEach(control => { control.hidden = !editRecords; });
+        [this.catalogBtn, this.newGradebookCourseBtn, this.editGradebookCourseBtn, this.deleteGradebookCourseBtn]
+            .forEach(control => { control.hidden = !can('manageCourses'); });
+        this.rollCallBtn.hidden = !can('takeAttendance');
+        this.scanMode.querySelector('option[value="rollCall"]').disabled = !can('takeAttendance');
+        this.gradebookBtn.hidden = !can('enterGrades');
+        [this.rulesBtn, this.securityBtn, this.gradingScaleSelect].forEach(control => { control.hidden = !can('manageSettings'); });
+        this.usersBtn.hidden = !can('manageUsers');
+        this.serverBtn.hidden = !can('manageSettings');
+        if (!can('manageUsers')) this.closeUsersModal();
+
+        if (!editRecords && this.manager.editingId) this.cancelEditing();
+        this.render();
+    }
+
+    // An admin changed accounts in another tab; a removed account is signed out
+    handleAccountsChange() {
+        const accounts = UserAccounts.current();
+        accounts.load();
+        if (accounts.isEnabled() && !accounts.getSignedIn()) {
+            window.location.reload();
+            return;
+        }
+        this.applyPermissions();
+        if (this.usersModal.classList.contains('active')) this.renderUsers();
+    }
+
+    signOut() {
+        UserAccounts.current().signOut();
+        window.location.reload();
+    }
+
+    showUsers() {
+        if (!this.allowed('manageUsers')) return;
+        this.userRole.innerHTML = Object.entries(ROLES)
+            .map(([role, { label }]) => `<option value="${role}">${label}</option>`)
+            .join('');
+        this.resetUserForm();
+        this.renderUsers();
+        this.usersModal.classList.add('active');
+    }
+
+    renderUsers() {
+        const accounts = UserAccounts.current().accounts;
+        this.usersSummary.textContent = accounts.length === 0
+            ? 'No accounts yet, so anyone opening the app can change everything. Create an admin account to start signing in.'
+            : 'Admins can do everything; registrars edit records, courses, attendance and grades; teachers take attendance and enter grades for their courses; viewers can only look and export.';
+
+        this.usersList.innerHTML = accounts.length === 0 ? '' : `
+            <table class="import-table">
+                <thead><tr><th>Name</th><th>Username</th><th>Role</th><th>Courses</th><th></th></tr></thead>
+                <tbody>
+                    ${accounts.map(account => `
+                        <tr>
+                            <td>${this.escapeHtml(account.name)}</td>
+                            <td>${this.escapeHtml(account.username)}</td>
+                            <td>${ROLES[account.role].label}</td>
+                            <td>${ROLES[account.role].scoped ? this.escapeHtml(account.courses.join(', ') || 'None') : 'All'}</td>
+                            <td>
+                                <div class="table-actions-cell">
+                                    <button class="action-btn edit-btn" onclick="ui.editUser('${account.id}')">✏️ Edit</button>
+                                    <button class="action-btn delete-btn" onclick="ui.removeUser('${account.id}')">🗑️ Delete</button>
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Course checkboxes, only for roles limited to their own courses
+    renderUserCourses(selected = this.getCheckedUserCourses()) {
+        const scoped = ROLES[this.userRole.value].scoped;
+        this.userCoursesLabel.hidden = !scoped;
+        this.userCourses.hidden = !scoped;
+        const courses = [...new Set([...this.manager.catalog.getCourses().map(c => c.name), ...selected])];
+        this.userCourses.innerHTML = courses.map(course => `
+            <label><input type="checkbox" value="${this.escapeHtml(course)}" ${selected.includes(course) ? 'checked' : ''}> ${this.escapeHtml(course)}</label>
+        `).join('');
+    }
+
+    getCheckedUserCourses() {
+        return [...this.userCourses.querySelectorAll('input:checked')].map(input => input.value);
+    }
+
+    editUser(id) {
+        const account = UserAccounts.current().getAccount(id);
+        if (!account) return;
+        this.editingUserId = id;
+        this.userFormTitle.textContent = `Edit ${account.name}`;
+        this.userName.value = account.name;
+        this.userUsername.value = account.username;
+        this.userRole.value = account.role;
+        this.userPassword.value = '';
+        this.userPassword.placeholder = 'Leave blank to keep the current password';
+        this.saveUserBtn.textContent = 'Save Account';
+        this.cancelUserEditBtn.hidden = false;
+        this.renderUserCourses(account.courses);
+    }
+
+    resetUserForm() {
+        const first = !UserAccounts.current().isEnabled();
+        this.editingUserId = null;
+        this.userForm.reset();
+        this.userFormTitle.textContent = first ? 'First Account (Admin)' : 'New Account';
+        this.userRole.value = first ? 'admin' : 'teacher';
+        this.userRole.disabled = first;
+        this.userPassword.placeholder = '';
+        this.saveUserBtn.textContent = 'Add Account';
+        this.cancelUserEditBtn.hidden = true;
+        this.renderUserCourses([]);
+    }
 
+    async saveUser(e) {
+        e.preventDefault();
+        if (!this.allowed('manageUsers')) return;
+        const accounts = UserAccounts.current();
+        const first = !accounts.isEnabled();
+        this.saveUserBtn.disabled = true;
         try {
-            if (this.manager.editingId) {
-                this.manager.updateStudent(this.manager.editingId, formData);
-                this.showToast('Student updated successfully! ✅', 'success');
-            } else {
-                const student = this.manager.addStudent(formData);
-                this.showToast('Student added successfully! 🎉', 'success');
-
-                // Confetti for high GPA!
-                if (parseFloat(formData.gpa) >= 9.0 && typeof confetti !== 'undefined') {
-                    confetti({
-                        particleCount: 100,
-                        spread: 70,
-                        origin: { y: 0.6 }
-                    });
-                }
-            }
+            const account = await accounts.saveAccount({
+                name: this.userName.value,
+                username: this.userUsername.value,
+                role: this.userRole.value,
+                password: this.userPassword.value,
+                courses: this.getCheckedUserCourses()
+            }, this.editingUserId);
+            // Whoever creates the first account is signed in with it, so they aren't locked out
+            if (first) sessionStorage.setItem(SIGNED_IN_KEY, account.id);
+            this.showToast(`${account.name} saved 👤`, 'success');
+            this.resetUserForm();
+            this.renderUsers();
+            this.applyPermissions();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        } finally {
+            this.saveUserBtn.disabled = false;
+        }
+    }
 
-            this.form.reset();
-            this.cancelEditing();
-            this.render();
-            if (document.getElementById('analyticsSection').style.display !== 'none') {
-                this.renderCharts();
-            }
+    removeUser(id) {
+        if (!this.allowed('manageUsers')) return;
+        const accounts = UserAccounts.current();
+        const account = accounts.getAccount(id);
+        if (!account || !confirm(`Delete the account of ${account.name}?`)) return;
+        try {
+            accounts.removeAccount(id);
         } catch (error) {
             this.showToast(error.message, 'error');
+            return;
         }
+        this.showToast(`${account.name}'s account deleted`, 'success');
+        if (this.editingUserId === id) this.resetUserForm();
+        this.renderUsers();
+        // Deleting your own account signs you out
+        if (!accounts.getSignedIn()) this.signOut();
     }
 
-    getFormData() {
-        return {
-            studentId: this.inputs.studentId.value.trim(),
-            name: this.inputs.name.value.trim(),
-            email: this.inputs.email.value.trim(),
-            phone: this.inputs.phone.value.trim(),
-            gender: this.inputs.gender.value,
-            course: this.inputs.course.value,
-            year: this.inputs.year.value,
-            gpa: this.inputs.gpa.value,
-            enrollmentDate: this.inputs.enrollmentDate.value,
-            photo: this.currentPhoto // Will be null if no new photo uploaded
-        };
+    closeUsersModal() {
+        this.usersModal.classList.remove('active');
     }
 
-    validateForm() {
-        let isValid = true;
+    // ==================================================
+    // Shared server
+    // ==================================================
 
-        Object.keys(this.inputs).forEach(key => {
-            this.inputs[key].classList.remove('error');
-            const errorSpan = document.getElementById(`${key}Error`);
-            if (errorSpan) errorSpan.textContent = '';
-        });
+    setupServer() {
+        const storage = this.manager.storage;
+        if (!(storage instanceof RemoteStorageAdapter)) return;
+        storage.onStatus = (status) => this.renderServerStatus(status);
+        this.renderServerStatus(storage.status);
+    }
 
-        if (!this.inputs.studentId.value.trim()) {
-            this.showFieldError('studentId', 'Student ID is required');
-            isValid = false;
+    renderServerStatus({ online, pending, error }) {
+        const waiting = pending > 0 ? ` · ${pending} change(s) waiting` : '';
+        this.serverStatus.hidden = false;
+        if (online === false) {
+            this.serverStatus.textContent = `📴 Offline${waiting}`;
+        } else if (error) {
+            this.serverStatus.textContent = `⚠️ Not synced${waiting}`;
+        } else {
+            this.serverStatus.textContent = pending > 0 ? `⏳ Syncing${waiting}` : '🌐 Synced';
         }
+        this.serverStatus.title = error || (online === false
+            ? 'Changes are kept in this browser and sent when the server is back'
+            : 'Records are shared through the server');
+    }
 
-        if (!this.inputs.name.value.trim()) {
-            this.showFieldError('name', 'Name is required');
-            isValid = false;
-        }
+    showServer() {
+        if (!this.allowed('manageSettings')) return;
+        const settings = RemoteStorageAdapter.loadSettings();
+        const served = location.protocol.startsWith('http') ? location.origin : '';
+        this.serverUrl.value = settings ? settings.url : served;
+        this.serverToken.value = settings ? settings.token : '';
+        this.serverSummary.textContent = settings
+            ? `Records are shared through ${settings.url}. A copy is kept in this browser, so the app keeps working offline and sends changes once the server is back.`
+            : 'Records are kept in this browser only. Connect to a server (started with node server/server.js) to share one roster with the rest of the team.';
+        this.serverUrl.disabled = !!settings;
+        this.serverToken.disabled = !!settings;
+        this.connectServerBtn.hidden = !!settings;
+        this.disconnectServerBtn.hidden = !settings;
+        this.serverModal.classList.add('active');
+    }
 
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!this.inputs.email.value.trim()) {
-            this.showFieldError('email', 'Email is required');
-            isValid = false;
-        } else if (!emailRegex.test(this.inputs.email.value)) {
-            this.showFieldError('email', 'Invalid email format');
-            isValid = false;
+    async connectServer() {
+        if (!this.allowed('manageSettings')) return;
+        if (Vault.current()) {
+            this.showToast('Turn off encryption before connecting: the server keeps records unencrypted', 'error');
+            return;
         }
-
-        if (!this.inputs.phone.value.trim()) {
-            this.showFieldError('phone', 'Phone is required');
-            isValid = false;
+        const settings = { url: this.serverUrl.value.trim(), token: this.serverToken.value.trim() };
+        if (!/^https?:\/\//.test(settings.url)) {
+            this.showToast('Enter the server address, starting with http:// or https://', 'error');
+            return;
         }
 
-        if (!this.inputs.gender.value) {
-            this.showFieldError('gender', 'Please select a gender');
-            isValid = false;
+        this.connectServerBtn.disabled = true;
+        try {
+            const remote = new RemoteStorageAdapter(settings, await openServerCache());
+            const { counts } = await remote.checkConnection();
+            await remote.reset();
+            const local = this.manager.getAllStudents().length;
+            if (counts.students === 0 && local > 0 &&
+                confirm(`The server has no records yet. Upload the ${local} student(s) in this browser, with their history, attendance, grades and courses?`)) {
+                await this.manager.flushSaves();
+                await remote.upload(this.manager.storage);
+            }
+            RemoteStorageAdapter.saveSettings(settings);
+            TabSync.notify('server');
+            window.location.reload();
+        } catch (error) {
+            this.showToast(`Couldn't connect: ${error.message}`, 'error');
+        } finally {
+            this.connectServerBtn.disabled = false;
         }
+    }
 
-        if (!this.inputs.course.value) {
-            this.showFieldError('course', 'Please select a course');
-            isValid = false;
-        }
+    // The records kept in this browser before connecting come back as they were
+    async disconnectServer() {
+        if (!this.allowed('manageSettings')) return;
+        const { pending } = this.manager.storage.status || { pending: 0 };
+        const warning = pending > 0 ? ` ${pending} change(s) haven't reached the server yet and will be lost.` : '';
+        if (!confirm(`Stop using the server and go back to the records kept in this browser?${warning}`)) return;
+        await this.manager.flushSaves();
+        RemoteStorageAdapter.removeSettings();
+        TabSync.notify('server');
+        window.location.reload();
+    }
+
+    closeServerModal() {
+        this.serverModal.classList.remove('active');
+    }
+
+    // ==================================================
+    // ID cards
+    // ==================================================
+
+    showIdCard(id) {
+        const student = this.manager.getStudentById(id);
+        if (student) this.showIdCards([student]);
+    }
 
-        if (!this.inputs.year.value) {
-            this.showFieldError('year', 'Please select a year');
-            isValid = false;
+    showIdCards(students) {
+        if (students.length === 0) {
+            this.showToast('No students to make ID cards for!', 'error');
+            return;
         }
+        this.idCardStudents = students;
+        this.idCardModal.classList.add('active');
+        this.renderIdCardPreview();
+    }
 
-        if (!this.inputs.gpa.value) {
-            this.showFieldError('gpa', 'GPA is required');
-            isValid = false;
-        } else {
-            const gpa = parseFloat(this.inputs.gpa.value);
-            if (gpa < 0 || gpa > 10) {
-                this.showFieldError('gpa', 'CGPA must be between 0 and 10');
-                isValid = false;
-            }
+    // Shows the first sheet at screen resolution; exports redraw everything at print resolution
+    async renderIdCardPreview() {
+        const students = this.idCardStudents;
+        const paper = ID_CARD_PAPERS[this.idCardPaper.value];
+        const perSheet = getIdCardSlots(paper).length;
+        const sheets = Math.ceil(students.length / perSheet);
+        this.idCardSummary.textContent = [
+            `${students.length} card(s) on ${sheets} ${paper.label} sheet(s), ${perSheet} per sheet.`,
+            sheets > 1 ? 'The preview shows the first sheet.' : ''
+        ].join(' ');
+
+        const preview = {};
+        this.idCardPreviewRun = preview;
+        try {
+            const [sheet] = await new IdCardRenderer(undefined, 60).renderSheets(students.slice(0, perSheet), this.idCardPaper.value);
+            // A newer preview (e.g. another paper size) may have started meanwhile
+            if (this.idCardPreviewRun !== preview) return;
+            sheet.className = 'id-card-sheet';
+            this.idCardPreview.replaceChildren(sheet);
+        } catch (error) {
+            if (this.idCardPreviewRun !== preview) return;
+            this.idCardPreview.textContent = `Preview unavailable: ${error.message}`;
         }
+    }
 
-        if (!this.inputs.enrollmentDate.value) {
-            this.showFieldError('enrollmentDate', 'Enrollment date is required');
-            isValid = false;
+    getIdCardFileName() {
+        const students = this.idCardStudents;
+        if (students.length === 1) {
+            return `id-card-${(students[0].studentId || 'student').replace(/[^a-z0-9_-]/gi, '_')}`;
         }
+        return `id-cards-${new Date().toISOString().split('T')[0]}`;
+    }
 
-        return isValid;
+    buildIdCardPDF() {
+        return new PDFExporter().buildIdCards(this.idCardStudents, this.idCardPaper.value);
     }
 
-    showFieldError(fieldName, message) {
-        this.inputs[fieldName].classList.add('error');
-        const errorSpan = document.getElementById(`${fieldName}Error`);
-        if (errorSpan) errorSpan.textContent = message;
+    printIdCards() {
+        try {
+            const doc = this.buildIdCardPDF();
+            doc.autoPrint();
+            if (!window.open(doc.output('bloburl'), '_blank')) {
+                throw new Error('allow pop-ups for this page, or download the PDF instead');
+            }
+        } catch (error) {
+            this.showToast(`Printing failed: ${error.message}`, 'error');
+        }
     }
 
-    handleSearch(query) {
-        this.currentSearch = query;
-        this.renderTable();
+    downloadIdCardsPDF() {
+        try {
+            this.buildIdCardPDF().save(`${this.getIdCardFileName()}.pdf`);
+            this.showToast(`${this.idCardStudents.length} ID card(s) downloaded 🪪`, 'success');
+        } catch (error) {
+            this.showToast(`PDF export failed: ${error.message}`, 'error');
+        }
     }
 
-    handleFilter(type, value) {
-        this.currentFilters[type] = value;
-        this.renderTable();
+    // A single student gets just the card; a selection gets one image per sheet
+    async downloadIdCardsPNG() {
+        const students = this.idCardStudents;
+        try {
+            const renderer = new IdCardRenderer();
+            const images = students.length === 1
+                ? [await renderer.renderCard(students[0])]
+                : await renderer.renderSheets(students, this.idCardPaper.value);
+            const fileName = this.getIdCardFileName();
+            for (const [index, canvas] of images.entries()) {
+                const suffix = images.length > 1 ? `-${index + 1}` : '';
+                this.downloadFile(await canvasToBlob(canvas), `${fileName}${suffix}.png`);
+            }
+            this.showToast(`${images.length} image(s) downloaded 🪪`, 'success');
+        } catch (error) {
+            this.showToast(`PNG export failed: ${error.message}`, 'error');
+        }
     }
 
-    clearFilters() {
-        this.currentFilters = { course: '', year: '' };
-        this.currentSearch = '';
-        this.searchInput.value = '';
-        this.courseFilter.value = '';
-        this.yearFilter.value = '';
-        this.renderTable();
+    closeIdCardModal() {
+        this.idCardModal.classList.remove('active');
+        this.idCardPreview.replaceChildren();
+        this.idCardStudents = [];
+        this.idCardPreviewRun = null;
     }
 
-    editStudent(id) {
+    exportReportCard(id) {
         const student = this.manager.getStudentById(id);
         if (!student) return;
 
-        this.manager.editingId = id;
-
-        Object.keys(this.inputs).forEach(key => {
-            if (student[key] !== undefined && this.inputs[key]) {
-                this.inputs[key].value = student[key];
-            }
-        });
-
-        // Handle photo preview
-        if (student.photo) {
-            this.currentPhoto = student.photo;
-            const previewImg = this.photoPreview.querySelector('img');
-            previewImg.src = student.photo;
-            this.photoPreview.classList.add('active');
-        } else {
-            this.currentPhoto = null;
-            this.photoPreview.classList.remove('active');
+        try {
+            const doc = new PDFExporter().buildReportCard(student, this.calculateAge(student.dob));
+            const safeId = (student.studentId || 'student').replace(/[^a-z0-9_-]/gi, '_');
+            doc.save(`report-card-${safeId}.pdf`);
+            this.showToast(`Report card for ${student.name} downloaded 📄`, 'success');
+        } catch (error) {
+            this.showToast(`PDF export failed: ${error.message}`, 'error');
         }
-
-        this.formTitle.textContent = 'Edit Student';
-        this.submitBtn.innerHTML = '<span>💾</span> Update Student';
-        this.cancelEdit.style.display = 'inline-flex';
-
-        this.form.scrollIntoView({ behavior: 'smooth', block: 'start' });
     }
 
-    deleteStudent(id) {
-        this.studentToDelete = id;
-        this.deleteModal.classList.add('active');
+    importData(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        if (!this.allowed('editRecords')) {
+            this.importFile.value = '';
+            return;
+        }
 
-        this.confirmDeleteBtn.onclick = () => {
+        if (/\.(csv|xlsx|xls)$/i.test(file.name)) {
+            this.importSpreadsheet(file);
+            this.importFile.value = '';
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = async (event) => {
             try {
-                this.manager.deleteStudent(this.studentToDelete);
-                this.showToast('Student deleted successfully! 🗑️', 'success');
-                this.render();
-                if (document.getElementById('analyticsSection').style.display !== 'none') {
-                    this.renderCharts();
-                }
-                this.closeModal();
+                const jsonString = await this.decryptImport(event.target.result);
+                if (jsonString !== null) this.showImportPreview(this.manager.previewImport(jsonString));
             } catch (error) {
                 this.showToast(error.message, 'error');
             }
         };
+        reader.readAsText(file);
+        this.importFile.value = '';
     }
 
-    closeModal() {
-        this.deleteModal.classList.remove('active');
-        this.studentToDelete = null;
-    }
-
-    toggleRowSelection(id, checked) {
-        if (checked) {
-            this.manager.selectedIds.add(id);
-        } else {
-            this.manager.selectedIds.delete(id);
+    // Encrypted exports open with this device's key when they came from its vault, otherwise with
+    // the passphrase they were exported under; null when that prompt is cancelled
+    async decryptImport(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            return text;
         }
-        this.updateBulkDeleteButton();
-    }
+        if (!Vault.isEncryptedExport(file)) return text;
 
-    toggleSelectAll(checked) {
-        const students = this.getFilteredStudents();
-        students.forEach(s => {
-            if (checked) {
-                this.manager.selectedIds.add(s.id);
-            } else {
-                this.manager.selectedIds.delete(s.id);
-            }
+        const vault = Vault.current();
+        if (vault && vault.canOpenExport(file)) return JSON.stringify(await vault.decrypt(file.data));
+
+        let records = null;
+        const passphrase = await this.lockScreen.ask({
+            title: 'Encrypted export',
+            message: 'Enter the passphrase this file was exported with.',
+            cancellable: true,
+            check: async (value) => { records = await Vault.openExport(file, value); }
         });
-        this.renderTable();
-        this.updateBulkDeleteButton();
+        return passphrase === null ? null : JSON.stringify(records);
     }
 
-    updateBulkDeleteButton() {
-        const count = this.manager.selectedIds.size;
-        this.selectedCount.textContent = count;
-        this.bulkDeleteBtn.style.display = count > 0 ? 'inline-flex' : 'none';
-    }
+    showImportPreview(plan) {
+        this.pendingImport = plan;
+        const { added, changed, identical, invalid } = plan;
+
+        this.importSummary.textContent =
+            `${added.length} new, ${changed.length} changed, ${identical.length} identical, ${invalid.length} invalid`;
+        this.importResolveAll.value = 'keep';
+
+        const resolutionOptions = Object.entries(IMPORT_RESOLUTIONS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+
+        const sections = [];
+        if (changed.length > 0) {
+            sections.push(`
+                <h4>Conflicts (${changed.length})</h4>
+                <table class="import-table">
+                    <thead><tr><th>Student</th><th>Changes</th><th>Resolution</th></tr></thead>
+                    <tbody>
+                        ${changed.map(({ row, existing, changes }) => `
+                            <tr>
+                                <td>${this.escapeHtml(existing.studentId)}<br><small>${this.escapeHtml(existing.name)}</small></td>
+                                <td>${changes.map(c => `
+                                    <div><strong>${c.field}</strong>: ${this.formatImportValue(c.field, c.from)} → ${this.formatImportValue(c.field, c.to)}</div>
+                                `).join('')}</td>
+                                <td>
+                                    <select class="filter-select import-resolution" data-row="${row}">${resolutionOptions}</select>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `);
+        }
+        if (added.length > 0) {
+            sections.push(`
+                <h4>New students (${added.length})</h4>
+                <ul class="import-list">
+                    ${added.map(({ record }) => `<li>${this.escapeHtml(record.studentId)} - ${this.escapeHtml(record.name)}</li>`).join('')}
+                </ul>
+            `);
+        }
+        if (invalid.length > 0) {
+            sections.push(`
+                <h4>Invalid rows (${invalid.length}) - will be skipped</h4>
+                <ul class="import-list import-invalid">
+                    ${invalid.map(({ row, record, errors }) => `
+                        <li>Row ${row}${record.studentId ? ` (${this.escapeHtml(record.studentId)})` : ''}: ${errors.map(e => this.escapeHtml(e)).join('; ')}</li>
+                    `).join('')}
+                </ul>
+            `);
+        }
+        if (identical.length > 0) {
+            sections.push(`<p>${identical.length} record(s) already match the roster and will be left alone.</p>`);
+        }
 
-    showBulkDeleteModal() {
-        const count = this.manager.selectedIds.size;
-        this.bulkDeleteCount.textContent = count;
-        this.bulkDeleteModal.classList.add('active');
+        this.importDetails.innerHTML = sections.join('') || '<p>The file contains no student records.</p>';
+        this.confirmImportBtn.disabled = added.length === 0 && changed.length === 0;
+        this.importModal.classList.add('active');
     }
 
-    closeBulkDeleteModal() {
-        this.bulkDeleteModal.classList.remove('active');
+    formatImportValue(field, value) {
+        if (value === null || value === '') return '<em>empty</em>';
+        if (field === 'photo') return '<em>photo</em>';
+        return this.escapeHtml(value);
     }
 
-    confirmBulkDelete() {
-        const ids = Array.from(this.manager.selectedIds);
-        this.manager.bulkDelete(ids);
-        this.manager.selectedIds.clear();
-        this.selectAllCheckbox.checked = false;
-        this.closeBulkDeleteModal();
-        this.showToast(`Deleted ${ids.length} student(s) successfully! 🗑️`, 'success');
+    confirmImport() {
+        if (!this.pendingImport || !this.allowed('editRecords')) return;
+
+        const resolutions = {};
+        this.importDetails.querySelectorAll('.import-resolution').forEach(select => {
+            resolutions[select.dataset.row] = select.value;
+        });
+
+        const result = this.manager.applyImport(this.pendingImport, resolutions);
+        this.closeImportModal();
         this.render();
-        if (document.getElementById('analyticsSection').style.display !== 'none') {
+        if (this.isAnalyticsVisible()) {
             this.renderCharts();
         }
+        this.showToast(`Imported: ${result.added} added, ${result.updated} updated, ${result.invalid} invalid skipped 📤`, 'success');
     }
 
-    cancelEditing() {
-        this.manager.editingId = null;
-        this.currentPhoto = null;
-        this.photoPreview.classList.remove('active');
-        this.formTitle.textContent = 'Add New Student';
-        this.submitBtn.innerHTML = '<span>➕</span> Add Student';
-        this.cancelEdit.style.display = 'none';
+    closeImportModal() {
+        this.importModal.classList.remove('active');
+        this.pendingImport = null;
     }
 
-    sortByName() {
-        this.manager.sortByName();
-        this.renderTable();
-        this.showToast('Sorted by name', 'info');
+    async importSpreadsheet(file) {
+        try {
+            const importer = await SpreadsheetImporter.fromFile(file);
+            if (importer.rows.length === 0) {
+                this.showToast('No rows found in the file!', 'error');
+                return;
+            }
+            this.pendingSheet = importer;
+            this.renderColumnMapping();
+            this.renderMappingPreview();
+            this.mappingModal.classList.add('active');
+        } catch (error) {
+            this.showToast('Failed to read file: ' + error.message, 'error');
+        }
     }
 
-    sortByGPA() {
-        this.manager.sortByGPA();
-        this.renderTable();
-        this.showToast('Sorted by GPA (highest first)', 'info');
-    }
+    renderColumnMapping() {
+        const importer = this.pendingSheet;
+        const fieldOptions = IMPORT_FIELDS
+            .map(f => `<option value="${f.field}">${f.label}</option>`)
+            .join('');
+
+        this.mappingFields.innerHTML = importer.headers.map((header, index) => `
+            <div class="mapping-row">
+                <span class="mapping-source">${this.escapeHtml(header || `Column ${index + 1}`)}</span>
+                <span>→</span>
+                <select class="filter-select mapping-select" data-column="${index}">
+                    <option value="">Ignore column</option>
+                    ${fieldOptions}
+                </select>
+            </div>
+        `).join('');
 
-    exportDataJSON() {
-        const jsonData = this.manager.exportToJSON();
-        const blob = new Blob([jsonData], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `students-${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
-        this.showToast('JSON exported successfully! 📥', 'success');
+        this.mappingFields.querySelectorAll('.mapping-select').forEach(select => {
+            select.value = importer.mapping[select.dataset.column];
+        });
     }
 
-    exportDataCSV() {
-        const csvData = this.manager.exportToCSV();
-        if (!csvData) {
-            this.showToast('No data to export!', 'error');
-            return;
-        }
-        const blob = new Blob([csvData], { type: 'text/csv' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `students-${new Date().toISOString().split('T')[0]}.csv`;
-        a.click();
-        URL.revokeObjectURL(url);
-        this.showToast('CSV exported successfully! 📊', 'success');
+    handleMappingChange(select) {
+        this.pendingSheet.setMapping(Number(select.dataset.column), select.value);
+        // Another column may have given up this field
+        this.renderColumnMapping();
+        this.renderMappingPreview();
     }
 
-    importData(e) {
-        const file = e.target.files[0];
-        if (!file) return;
+    renderMappingPreview() {
+        const results = this.pendingSheet.buildRecords(this.manager.students);
+        const valid = results.filter(r => r.errors.length === 0).length;
+        const previewLimit = 100;
+
+        this.mappingSummary.textContent =
+            `${this.pendingSheet.fileName}: ${results.length} row(s), ${valid} ready to import, ${results.length - valid} with errors`;
+        this.confirmMappingBtn.textContent = `Import ${valid} student(s)`;
+        this.confirmMappingBtn.disabled = valid === 0;
+
+        // Rows with errors first so they're visible without scrolling
+        const rows = [...results].sort((a, b) => b.errors.length - a.errors.length || a.line - b.line);
+        this.mappingPreview.innerHTML = `
+            <table class="import-table">
+                <thead>
+                    <tr><th>Row</th><th>Student ID</th><th>Name</th><th>Email</th><th>Course</th><th>Year</th><th>GPA</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.slice(0, previewLimit).map(({ line, record, errors }) => `
+                        <tr>
+                            <td>${line}</td>
+                            <td>${this.escapeHtml(record.studentId)}</td>
+                            <td>${this.escapeHtml(record.name)}</td>
+                            <td>${this.escapeHtml(record.email)}</td>
+                            <td>${this.escapeHtml(record.course)}</td>
+                            <td>${this.escapeHtml(record.year)}</td>
+                            <td>${this.escapeHtml(record.gpa)}</td>
+                            <td class="${errors.length ? 'import-invalid' : 'import-valid'}">
+                                ${errors.length ? errors.map(e => this.escapeHtml(e)).join('<br>') : '✓ OK'}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${rows.length > previewLimit ? `<p>Showing ${previewLimit} of ${rows.length} rows.</p>` : ''}
+        `;
+    }
 
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            try {
-                this.manager.importFromJSON(event.target.result);
-                this.render();
-                if (document.getElementById('analyticsSection').style.display !== 'none') {
-                    this.renderCharts();
+    confirmMapping() {
+        if (!this.pendingSheet || !this.allowed('editRecords')) return;
+
+        const results = this.pendingSheet.buildRecords(this.manager.students);
+        let added = 0;
+        const source = this.pendingSheet.fileName || 'spreadsheet';
+        this.manager.runBatch('import', changes => `Imported ${changes.length} student(s) from ${source}`, () => {
+            results.filter(r => r.errors.length === 0).forEach(({ record }) => {
+                try {
+                    this.manager.addStudent(record);
+                    added++;
+                } catch (error) {
+                    console.warn('Skipped imported row:', error.message);
                 }
-                this.showToast('Data imported successfully! 📤', 'success');
-            } catch (error) {
-                this.showToast(error.message, 'error');
-            }
-        };
-        reader.readAsText(file);
-        this.importFile.value = '';
+            });
+        });
+
+        this.closeMappingModal();
+        this.render();
+        if (this.isAnalyticsVisible()) {
+            this.renderCharts();
+        }
+        this.showToast(`Imported ${added} student(s), skipped ${results.length - added} 📤`, 'success');
     }
 
-    getFilteredStudents() {
-        let students = this.manager.getAllStudents();
+    closeMappingModal() {
+        this.mappingModal.classList.remove('active');
+        this.pendingSheet = null;
+    }
 
-        if (this.currentSearch) {
-            students = this.manager.searchStudents(this.currentSearch);
-        }
+    getFilteredStudents() {
+        const students = this.manager.filterStudents({ ...this.currentFilters, search: this.currentSearch });
+        return this.manager.sortStudents(students, this.currentSort.key, this.currentSort.direction);
+    }
 
-        students = students.filter(student => {
-            if (this.currentFilters.course && student.course !== this.currentFilters.course) return false;
-            if (this.currentFilters.year && student.year !== this.currentFilters.year) return false;
-            return true;
-        });
+    hasActiveFilters() {
+        return Boolean(this.currentSearch) || Object.values(this.currentFilters).some(Boolean);
+    }
 
-        return students;
+    toggleFavorite(id) {
+        if (!this.allowed('editRecords')) return;
+        const student = this.manager.toggleFavorite(id);
+        this.renderTable();
+        this.updateUndoButtons();
+        this.showToast(student.favorite ? `${student.name} starred ⭐` : `${student.name} unstarred`, 'info');
     }
 
     getAvatarInitials(name) {
         return name.split(' ').map(n => n[0]).join('').substring(0, 2).toUpperCase();
     }
 
-    getAvatarClass(course) {
-        const classMap = {
-            'Computer Science': 'avatar-cs',
-            'Engineering': 'avatar-engineering',
-            'Business': 'avatar-business',
-            'Arts': 'avatar-arts',
-            'Science': 'avatar-science',
-            'Mathematics': 'avatar-mathematics'
-        };
-        return classMap[course] || 'avatar-cs';
-    }
 
     renderTable() {
         const students = this.getFilteredStudents();
@@ -805,10 +4698,10 @@ class UIController {
         if (students.length === 0) {
             this.tableBody.innerHTML = `
                 <tr class="empty-state">
-                    <td colspan="12">
+                    <td colspan="${this.visibleColumns.length + 2}">
                         <div class="empty-state-content">
                             <span class="empty-icon">📝</span>
-                            <p>${this.currentSearch || this.currentFilters.course || this.currentFilters.year
+                            <p>${this.hasActiveFilters()
                     ? 'No students found matching your criteria.'
                     : 'No student records yet. Add your first student!'}</p>
                         </div>
@@ -818,31 +4711,38 @@ class UIController {
             return;
         }
 
+        const query = new StudentQuery(this.currentSearch);
+        const cell = (key, value) => query.highlight(key, value, text => this.escapeHtml(text));
+
+        const editable = can('editRecords');
         this.tableBody.innerHTML = students.map(student => `
             <tr class="fade-in ${this.manager.selectedIds.has(student.id) ? 'row-selected' : ''}">
                 <td><input type="checkbox" ${this.manager.selectedIds.has(student.id) ? 'checked' : ''} onchange="ui.toggleRowSelection('${student.id}', this.checked)"></td>
-                <td>
-                    ${student.photo
-                ? `<img src="${student.photo}" class="student-photo" alt="${student.name}">`
-                : `<div class="student-avatar ${this.getAvatarClass(student.course)}">${this.getAvatarInitials(student.name)}</div>`
-            }
-                </td>
-                <td>${this.escapeHtml(student.studentId)}</td>
-                <td>${this.escapeHtml(student.name)}</td>
-                <td>${this.escapeHtml(student.gender || '-')}</td>
-                <td>${this.escapeHtml(student.email)}</td>
-                <td>${this.escapeHtml(student.phone)}</td>
-                <td>${this.escapeHtml(student.course)}</td>
-                <td>Year ${student.year}</td>
-                <td>${student.gpa || 'N/A'}</td>
-                <td>${this.formatDate(student.enrollmentDate)}</td>
+                ${this.visibleColumns.map(key => `<td>${this.renderCell(key, student, cell)}</td>`).join('')}
                 <td>
                     <div class="table-actions-cell">
-                        <button class="action-btn edit-btn" onclick="ui.editStudent('${student.id}')">
-                            ✏️ Edit
+                        ${editable ? `
+                            <button class="action-btn edit-btn" onclick="ui.editStudent('${student.id}')">
+                                ✏️ Edit
+                            </button>
+                            <button class="action-btn delete-btn" onclick="ui.deleteStudent('${student.id}')">
+                                🗑️ Delete
+                            </button>
+                        ` : ''}
+                        <button class="action-btn" onclick="ui.exportReportCard('${student.id}')" title="Report card PDF">
+                            📄 Report
                         </button>
-                        <button class="action-btn delete-btn" onclick="ui.deleteStudent('${student.id}')">
-                            🗑️ Delete
+                        <button class="action-btn" onclick="ui.showIdCard('${student.id}')" title="Printable ID card">
+                            🪪 ID Card
+                        </button>
+                        <button class="action-btn" onclick="ui.showHistory('${student.id}')" title="Past versions">
+                            🕘 History
+                        </button>
+                        <button class="action-btn" onclick="ui.showAttendance('${student.id}')" title="Roll-call history">
+                            📅 Attendance
+                        </button>
+                        <button class="action-btn" onclick="ui.showTranscript('${student.id}')" title="Gradebook results">
+                            📒 Grades
                         </button>
                     </div>
                 </td>
@@ -850,17 +4750,45 @@ class UIController {
         `).join('');
     }
 
+    renderCell(key, student, cell) {
+        switch (key) {
+            case 'photo':
+                return student.photo
+                    ? `<img src="${this.escapeHtml(student.photo)}" class="student-photo" alt="${this.escapeHtml(student.name)}">`
+                    : `<div class="student-avatar" style="background: ${getCourseColor(student.course)}">${this.escapeHtml(this.getAvatarInitials(student.name))}</div>`;
+            case 'name':
+                return `
+                    <button class="favorite-btn ${student.favorite ? 'active' : ''}" onclick="ui.toggleFavorite('${student.id}')"
+                        title="${student.favorite ? 'Remove from favorites' : 'Add to favorites'}" ${can('editRecords') ? '' : 'disabled'}>${student.favorite ? '★' : '☆'}</button>
+                    ${cell('name', student.name)}
+                `;
+            case 'age':
+                return this.calculateAge(student.dob) ?? '-';
+            case 'year':
+                if (student.graduationDate) {
+                    return `<span class="graduated-badge" title="Graduated ${this.escapeHtml(student.graduationDate)}">🎓 Graduated</span>`;
+                }
+                return student.year ? `Year ${student.year}` : '-';
+            case 'gpa':
+                return GradingScale.current().format(getStudentGPA(student));
+            case 'attendance':
+                return formatAttendance(student);
+            default:
+                return cell(key, student[key]);
+        }
+    }
+
     renderStatistics() {
         const stats = this.manager.getStatistics();
         this.totalStudents.textContent = stats.total;
         this.avgGPA.textContent = stats.avgGPA;
-        this.topGPA.textContent = stats.topGPA;
+        if (this.topGPA) this.topGPA.textContent = stats.topGPA;
         this.totalCourses.textContent = stats.courses;
     }
 
     renderCharts() {
         // Only render if visible
-        if (document.getElementById('analyticsSection').style.display === 'none') return;
+        if (!this.isAnalyticsVisible()) return;
 
         // Destroy existing charts
         Object.values(this.charts).forEach(chart => chart?.destroy());
@@ -879,14 +4807,7 @@ class UIController {
                     labels: Object.keys(courseData),
                     datasets: [{
                         data: Object.values(courseData),
-                        backgroundColor: [
-                            '#667eea',
-                            '#f093fb',
-                            '#4facfe',
-                            '#43e97b',
-                            '#fa709a',
-                            '#30cfd0'
-                        ]
+                        backgroundColor: Object.keys(courseData).map(getCourseColor)
                     }]
                 },
                 options: {
@@ -971,9 +4892,14 @@ class UIController {
     }
 
     render() {
+        this.renderCourseOptions();
+        // Scores, roll calls and courses saved here or elsewhere can lock or unlock the computed form fields
+        this.updateComputedInputs(this.manager.editingId ? this.manager.getStudentById(this.manager.editingId) : null);
         this.renderTable();
         this.renderStatistics();
-        this.updateBulkDeleteButton();
+        this.updateBulkActions();
+        this.updateUndoButtons();
+        this.updateTrashCount();
     }
 
     showToast(message, type = 'info') {
@@ -985,11 +4911,24 @@ class UIController {
         }, 3000);
     }
 
+    // Safe in text and in quoted attribute values
     escapeHtml(text) {
         if (text === null || text === undefined) return '';
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    calculateAge(dob) {
+        if (!dob) return null;
+        const birthDate = new Date(dob);
+        const today = new Date();
+        let age = today.getFullYear() - birthDate.getFullYear();
+        const monthDiff = today.getMonth() - birthDate.getMonth();
+        if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
+            age--;
+        }
+        return age;
     }
 
     formatDate(dateString) {
@@ -1005,9 +4944,15 @@ class UIController {
 // Initialize Application
 let manager, ui;
 
-document.addEventListener('DOMContentLoaded', () => {
-    manager = new StudentManager();
+document.addEventListener('DOMContentLoaded', async () => {
+    TabSync.setCurrent(new TabSync());
+    UserAccounts.setCurrent(new UserAccounts());
+    const storage = await unlockStorage(await openStorageAdapter());
+    await signIn();
+    manager = new StudentManager(storage);
+    await manager.loadFromStorage();
     ui = new UIController(manager);
+    new OfflineApp().register().catch(e => console.warn('Offline support unavailable:', e));
 
     console.log('🎓 Student Record Management System - Ultimate Edition');
 });
@@ -0,0 +1,196 @@
+// ==========================================
+// ATTENDANCE REGISTER
+// Roll-call sessions per course and date, and the rates computed from them
+// ==========================================
+
+const ATTENDANCE_STATUSES = {
+    present: { label: 'Present', short: 'P' },
+    late: { label: 'Late', short: 'L' },
+    absent: { label: 'Absent', short: 'A' },
+    excused: { label: 'Excused', short: 'E' }
+};
+
+// Late still counts as attended; excused sessions are left out of the rate entirely
+const ATTENDED_STATUSES = ['present', 'late'];
+
+class AttendanceRegister {
+    constructor(storage) {
+        this.storage = storage;
+        // { id, course, date, marks: { [recordId]: status }, createdAt, updatedAt }
+        this.sessions = [];
+        this.tallies = new Map();
+        this.pendingSave = Promise.resolve();
+    }
+
+    // The register loaded on this page; sorting, search, exports and charts read rates through it
+    static current() {
+        return AttendanceRegister.active;
+    }
+
+    static setCurrent(register) {
+        AttendanceRegister.active = register;
+    }
+
+    async load() {
+        if (this.storage && typeof this.storage.loadSessions === 'function') {
+            this.sessions = await this.storage.loadSessions();
+        }
+        this.computeTallies();
+        return this.sessions;
+    }
+
+    save() {
+        this.computeTallies();
+        if (!this.storage || typeof this.storage.saveSessions !== 'function') return this.pendingSave;
+        const sessions = [...this.sessions];
+        this.pendingSave = this.pendingSave
+            .then(() => this.storage.saveSessions(sessions))
+            .then(() => TabSync.notify('attendance'))
+            .catch(e => console.error('Failed to save attendance sessions:', e));
+        return this.pendingSave;
+    }
+
+    // Status counts per student, rebuilt whenever sessions change
+    computeTallies() {
+        this.tallies = new Map();
+        this.sessions.forEach(session => {
+            Object.entries(session.marks).forEach(([recordId, status]) => {
+                if (!ATTENDANCE_STATUSES[status]) return;
+                if (!this.tallies.has(recordId)) {
+                    this.tallies.set(recordId, { present: 0, late: 0, absent: 0, excused: 0 });
+                }
+                this.tallies.get(recordId)[status]++;
+            });
+        });
+    }
+
+    // Once any session is taken, attendance comes from roll call alone and typed-in figures are retired
+    isActive() {
+        return this.sessions.length > 0;
+    }
+
+    getTally(recordId) {
+        return this.tallies.get(recordId) || null;
+    }
+
+    // Percentage of counted sessions attended, or null until a student has been marked
+    getRate(recordId) {
+        const tally = this.getTally(recordId);
+        if (!tally) return null;
+        const counted = tally.present + tally.late + tally.absent;
+        if (counted === 0) return null;
+        const attended = ATTENDED_STATUSES.reduce((sum, status) => sum + tally[status], 0);
+        return Math.round(attended / counted * 1000) / 10;
+    }
+
+    findSession(course, date) {
+        return this.sessions.find(s => s.course === course && s.date === date) || null;
+    }
+
+    // Newest first
+    getSessions(course = '') {
+        return this.sessions
+            .filter(s => !course || s.course === course)
+            .sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    // marks: { recordId: status }, '' clears a mark; students left out keep what the session already had
+    saveSession(course, date, marks) {
+        if (!course || !date) throw new Error('Pick a course and date for the session!');
+
+        const now = new Date().toISOString();
+        const existing = this.findSession(course, date);
+        const session = existing
+            ? { ...existing, marks: { ...existing.marks }, updatedAt: now }
+            : { id: createRecordId(), course, date, marks: {}, createdAt: now, updatedAt: now };
+
+        Object.entries(marks).forEach(([recordId, status]) => {
+            if (ATTENDANCE_STATUSES[status]) {
+                session.marks[recordId] = status;
+            } else {
+                delete session.marks[recordId];
+            }
+        });
+
+        this.sessions = existing
+            ? this.sessions.map(s => (s.id === existing.id ? session : s))
+            : [...this.sessions, session];
+        this.save();
+        return session;
+    }
+
+    removeSession(id) {
+        const before = this.sessions.length;
+        this.sessions = this.sessions.filter(s => s.id !== id);
+        if (this.sessions.length === before) throw new Error('Session not found!');
+        this.save();
+    }
+
+    // Moves sessions onto a renamed or merged course; same-day sessions are combined, keeping the target's marks
+    renameCourse(from, to) {
+        const moving = this.sessions.filter(s => s.course === from);
+        if (moving.length === 0) return;
+
+        const now = new Date().toISOString();
+        let sessions = this.sessions.filter(s => s.course !== from);
+        moving.forEach(session => {
+            const target = sessions.find(s => s.course === to && s.date === session.date);
+            sessions = target
+                ? sessions.map(s => (s === target ? { ...target, marks: { ...session.marks, ...target.marks }, updatedAt: now } : s))
+                : [...sessions, { ...session, course: to, updatedAt: now }];
+        });
+        this.sessions = sessions;
+        this.save();
+    }
+
+    // Copies a merged duplicate's marks onto the surviving record wherever it has none of its own;
+    // returns what was copied as { sessionId: status } so undoing the merge can take it back off
+    copyMarks(fromId, toId) {
+        const copied = {};
+        const now = new Date().toISOString();
+        this.sessions = this.sessions.map(session => {
+            if (!session.marks[fromId] || session.marks[toId]) return session;
+            copied[session.id] = session.marks[fromId];
+            return { ...session, marks: { ...session.marks, [toId]: session.marks[fromId] }, updatedAt: now };
+        });
+        if (Object.keys(copied).length > 0) this.save();
+        return copied;
+    }
+
+    // Takes marks copied by copyMarks back off a record; marks changed since are left alone
+    removeCopiedMarks(recordId, copied) {
+        let removed = 0;
+        const now = new Date().toISOString();
+        this.sessions = this.sessions.map(session => {
+            if (!copied[session.id] || session.marks[recordId] !== copied[session.id]) return session;
+            const marks = { ...session.marks };
+            delete marks[recordId];
+            removed++;
+            return { ...session, marks, updatedAt: now };
+        });
+        if (removed > 0) this.save();
+    }
+
+    // Sessions a student was marked in, newest first
+    getStudentHistory(recordId) {
+        return this.getSessions()
+            .filter(session => session.marks[recordId])
+            .map(session => ({ session, status: session.marks[recordId] }));
+    }
+}
+
+// Empty until a page loads its sessions
+AttendanceRegister.active = new AttendanceRegister(null);
+
+// Attendance shown everywhere: the typed-in figure until roll call has been taken, then only the computed rate
+// (null for students not marked yet)
+function getAttendanceRate(student) {
+    const register = AttendanceRegister.current();
+    return register.isActive() ? register.getRate(student.id) : student.attendance;
+}
+
+function formatAttendance(student) {
+    const rate = getAttendanceRate(student);
+    if (rate !== null) return `${rate}%`;
+    return AttendanceRegister.current().isActive() ? 'No sessions' : '-';
+}
@@ -0,0 +1,169 @@
+// ==========================================
+// COURSE CATALOG
+// The courses students can take: code, department, credit hours and a colour
+// ==========================================
+
+// Colours handed out to new courses in turn
+const COURSE_PALETTE = ['#667eea', '#f5576c', '#4facfe', '#43e97b', '#fa709a', '#30cfd0', '#f6ad55', '#9f7aea'];
+
+// Seeded on first run from the options the app used to hard-code
+const DEFAULT_COURSES = [
+    { name: 'Computer Science', code: 'CS', department: 'Computing', credits: 120, color: '#667eea' },
+    { name: 'Engineering', code: 'ENG', department: 'Engineering', credits: 120, color: '#f5576c' },
+    { name: 'Business', code: 'BUS', department: 'Business', credits: 120, color: '#4facfe' },
+    { name: 'Arts', code: 'ART', department: 'Humanities', credits: 120, color: '#43e97b' },
+    { name: 'Science', code: 'SCI', department: 'Natural Sciences', credits: 120, color: '#fa709a' },
+    { name: 'Mathematics', code: 'MATH', department: 'Natural Sciences', credits: 120, color: '#30cfd0' }
+];
+
+class CourseCatalog {
+    constructor(storage) {
+        this.storage = storage;
+        // { id, name, code, department, credits, color, archived, createdAt, updatedAt }
+        this.courses = [];
+        this.pendingSave = Promise.resolve();
+    }
+
+    // The catalog loaded on this page; avatars, filters and charts read course colours through it
+    static current() {
+        return CourseCatalog.active;
+    }
+
+    static setCurrent(catalog) {
+        CourseCatalog.active = catalog;
+    }
+
+    async load() {
+        if (this.storage && typeof this.storage.loadCatalog === 'function') {
+            this.courses = await this.storage.loadCatalog();
+        }
+        if (this.courses.length === 0) {
+            const now = new Date().toISOString();
+            this.courses = DEFAULT_COURSES.map(course => ({
+                ...course, id: createRecordId(), archived: false, createdAt: now, updatedAt: now
+            }));
+            this.save();
+        }
+        return this.courses;
+    }
+
+    save() {
+        if (!this.storage || typeof this.storage.saveCatalog !== 'function') return this.pendingSave;
+        const courses = [...this.courses];
+        this.pendingSave = this.pendingSave
+            .then(() => this.storage.saveCatalog(courses))
+            .then(() => TabSync.notify('catalog'))
+            .catch(e => console.error('Failed to save course catalog:', e));
+        return this.pendingSave;
+    }
+
+    // Alphabetical; archived courses are left out unless asked for
+    getCourses({ includeArchived = false } = {}) {
+        return this.courses
+            .filter(c => includeArchived || !c.archived)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getCourse(id) {
+        return this.courses.find(c => c.id === id) || null;
+    }
+
+    findByName(name) {
+        return this.courses.find(c => c.name === name) || null;
+    }
+
+    // Course names found on records (imports, older data) that the catalog doesn't know yet
+    adopt(names) {
+        const now = new Date().toISOString();
+        const added = [...new Set(names)]
+            .filter(name => name && !this.findByName(name))
+            .map((name, index) => ({
+                id: createRecordId(),
+                name,
+                code: '',
+                department: '',
+                credits: null,
+                color: COURSE_PALETTE[(this.courses.length + index) % COURSE_PALETTE.length],
+                archived: false,
+                createdAt: now,
+                updatedAt: now
+            }));
+        added.forEach(course => this.courses.push(course));
+        if (added.length > 0) this.save();
+        return added;
+    }
+
+    // Creates or updates a course; returns the course and the name it had before (for renames)
+    saveCourse(data, id = null) {
+        const name = trimString(data.name);
+        const code = trimString(data.code).toUpperCase();
+        const department = trimString(data.department);
+        const credits = toNumberOrNull(data.credits);
+        const color = /^#[0-9a-f]{6}$/i.test(data.color) ? data.color.toLowerCase() : null;
+        if (!name) throw new Error('Course name is required!');
+        if (credits !== null && !(credits > 0)) throw new Error('Credit hours must be greater than 0!');
+        const clash = this.courses.find(c => c.id !== id && c.name.toLowerCase() === name.toLowerCase());
+        if (clash) throw new Error(`${clash.name} is already in the catalog!`);
+        if (code && this.courses.some(c => c.id !== id && c.code === code)) {
+            throw new Error(`Course code ${code} is already in use!`);
+        }
+
+        const now = new Date().toISOString();
+        const existing = id ? this.getCourse(id) : null;
+        if (id && !existing) throw new Error('Course not found!');
+        const course = {
+            id: existing ? existing.id : createRecordId(),
+            name,
+            code,
+            department,
+            credits,
+            color: color || (existing ? existing.color : COURSE_PALETTE[this.courses.length % COURSE_PALETTE.length]),
+            archived: existing ? existing.archived : false,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+        this.courses = existing
+            ? this.courses.map(c => (c.id === existing.id ? course : c))
+            : [...this.courses, course];
+        this.save();
+        return { course, previousName: existing ? existing.name : null };
+    }
+
+    // Archived courses stay on existing records but can't be picked for new ones
+    setArchived(id, archived) {
+        const course = this.getCourse(id);
+        if (!course) throw new Error('Course not found!');
+        const updated = { ...course, archived: Boolean(archived), updatedAt: new Date().toISOString() };
+        this.courses = this.courses.map(c => (c.id === id ? updated : c));
+        this.save();
+        return updated;
+    }
+
+    // Removes the source course; the caller moves its students over to the target
+    merge(sourceId, targetId) {
+        const source = this.getCourse(sourceId);
+        const target = this.getCourse(targetId);
+        if (!source || !target) throw new Error('Course not found!');
+        if (source.id === target.id) throw new Error('Pick a different course to merge into!');
+        this.courses = this.courses.filter(c => c.id !== source.id);
+        this.save();
+        return { source, target };
+    }
+}
+
+// Empty until a page loads its catalog
+CourseCatalog.active = new CourseCatalog(null);
+
+// Colour for a course name; courses outside the catalog get a stable palette colour
+function getCourseColor(name) {
+    const course = CourseCatalog.current().findByName(name);
+    if (course) return course.color;
+    const hash = [...String(name || '')].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+    return COURSE_PALETTE[hash % COURSE_PALETTE.length];
+}
+
+// '#667eea' -> [102, 126, 234] (jsPDF wants RGB components)
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
@@ -27,14 +27,28 @@ class ThemeManager {
 
 // Analytics Manager
 class AnalyticsManager {
-    constructor() {
-        this.students = this.loadStudents();
+    constructor(storage) {
+        this.storage = storage;
+        this.students = [];
         this.charts = {};
     }
 
-    loadStudents() {
-        const data = localStorage.getItem('studentRecords');
-        return data ? JSON.parse(data) : [];
+    async loadStudents() {
+        // The dashboard never shows photos, so skip decoding them
+        // Trashed records are left out of every chart
+        this.students = migrateRecords(await this.storage.load({ includePhotos: false })).students
+            .filter(s => !s.deletedAt);
+
+        const register = new AttendanceRegister(this.storage);
+        await register.load();
+        AttendanceRegister.setCurrent(register);
+        const gradebook = new Gradebook(this.storage);
+        await gradebook.load();
+        Gradebook.setCurrent(gradebook);
+        const catalog = new CourseCatalog(this.storage);
+        await catalog.load();
+        CourseCatalog.setCurrent(catalog);
+        return this.students;
     }
 
     calculateAge(dob) {
@@ -50,41 +64,25 @@ class AnalyticsManager {
     }
 
     getStatistics() {
+        const scale = GradingScale.current();
         const total = this.students.length;
-        const avgGPA = total > 0
-            ? (this.students.reduce((sum, s) => sum + (parseFloat(s.gpa) || 0), 0) / total).toFixed(2)
-            : '0.00';
+        // Like attendance below, averaged over the students who have a grade
+        const points = this.students.map(s => scale.toPoints(getStudentGPA(s))).filter(p => p !== null);
+        const avgGPA = points.length > 0
+            ? scale.format(scale.fromPoints(points.reduce((sum, p) => sum + p, 0) / points.length))
+            : scale.format(scale.min);
         const courses = new Set(this.students.map(s => s.course)).size;
-        const avgAttendance = total > 0
-            ? (this.students.reduce((sum, s) => sum + (parseFloat(s.attendance) || 0), 0) / total).toFixed(1)
+        // Averaged over students with an attendance figure: only computed rates once roll call has been taken
+        const rates = this.students.map(s => getAttendanceRate(s)).filter(rate => rate !== null);
+        const avgAttendance = rates.length > 0
+            ? (rates.reduce((sum, rate) => sum + rate, 0) / rates.length).toFixed(1)
             : '0';
 
         return { total, avgGPA, courses, avgAttendance };
     }
 
     getGPADistribution() {
-        const ranges = {
-            '0.0-1.0': 0,
-            '1.0-2.0': 0,
-            '2.0-2.5': 0,
-            '2.5-3.0': 0,
-            '3.0-3.5': 0,
-            '3.5-4.0': 0
-        };
-
-        this.students.forEach(student => {
-            const gpa = parseFloat(student.gpa);
-            if (isNaN(gpa)) return;
-
-            if (gpa < 1.0) ranges['0.0-1.0']++;
-            else if (gpa < 2.0) ranges['1.0-2.0']++;
-            else if (gpa < 2.5) ranges['2.0-2.5']++;
-            else if (gpa < 3.0) ranges['2.5-3.0']++;
-            else if (gpa < 3.5) ranges['3.0-3.5']++;
-            else ranges['3.5-4.0']++;
-        });
-
-        return ranges;
+        return GradingScale.current().getDistribution(this.students, getStudentGPA);
     }
 
     getCourseDistribution() {
@@ -114,8 +112,8 @@ class AnalyticsManager {
         };
 
         this.students.forEach(student => {
-            const attendance = parseFloat(student.attendance);
-            if (isNaN(attendance)) return;
+            const attendance = getAttendanceRate(student);
+            if (attendance === null) return;
 
             if (attendance < 50) ranges['0-50%']++;
             else if (attendance < 75) ranges['50-75%']++;
@@ -126,11 +124,13 @@ class AnalyticsManager {
         return ranges;
     }
 
+    // Averages are on the scale's numeric axis (grade points for letter grades)
     getGPAByCourse() {
+        const scale = GradingScale.current();
         const coursesData = {};
         this.students.forEach(student => {
             const course = student.course;
-            const gpa = parseFloat(student.gpa) || 0;
+            const gpa = scale.toPoints(getStudentGPA(student)) || 0;
 
             if (!coursesData[course]) {
                 coursesData[course] = { total: 0, count: 0 };
@@ -142,7 +142,7 @@ class AnalyticsManager {
 
         const result = {};
         Object.keys(coursesData).forEach(course => {
-            result[course] = (coursesData[course].total / coursesData[course].count).toFixed(2);
+            result[course] = (coursesData[course].total / coursesData[course].count).toFixed(scale.decimals);
         });
 
         return result;
@@ -213,6 +213,7 @@ class ChartRenderer {
                 datasets: [{
                     label: 'Number of Students',
                     data: Object.values(data),
+                    // Buckets run low to high, so scales with fewer buckets still end on success
                     backgroundColor: [
                         colors.danger,
                         colors.warning,
@@ -220,7 +221,7 @@ class ChartRenderer {
                         colors.info,
                         colors.primary,
                         colors.success
-                    ],
+                    ].slice(-Object.keys(data).length),
                     borderColor: colors.textColor,
                     borderWidth: 1
                 }]
@@ -270,14 +271,7 @@ class ChartRenderer {
                 labels: Object.keys(data),
                 datasets: [{
                     data: Object.values(data),
-                    backgroundColor: [
-                        colors.primary,
-                        colors.secondary,
-                        colors.success,
-                        colors.warning,
-                        colors.danger,
-                        colors.info
-                    ],
+                    backgroundColor: Object.keys(data).map(getCourseColor),
                     borderWidth: 2,
                     borderColor: this.isDark ? '#1f2937' : '#ffffff'
                 }]
@@ -394,15 +388,16 @@ class ChartRenderer {
         const data = this.analytics.getGPAByCourse();
         const colors = this.getChartColors();
         const ctx = document.getElementById('gpaByCourseChart');
+        const scale = GradingScale.current();
 
         return new Chart(ctx, {
             type: 'bar',
             data: {
                 labels: Object.keys(data),
                 datasets: [{
-                    label: 'Average GPA',
+                    label: `Average ${scale.shortLabel}`,
                     data: Object.values(data),
-                    backgroundColor: colors.primary,
+                    backgroundColor: Object.keys(data).map(getCourseColor),
                     borderColor: colors.textColor,
                     borderWidth: 1
                 }]
@@ -420,9 +415,12 @@ class ChartRenderer {
                 scales: {
                     y: {
                         beginAtZero: true,
-                        max: 4,
+                        min: scale.min,
+                        max: scale.max,
                         ticks: {
-                            color: colors.textColor
+                            color: colors.textColor,
+                            // Letter scales plot grade points but label them as letters
+                            callback: (value) => scale.isLetter ? scale.fromPoints(value) : value
                         },
                         grid: {
                             color: colors.gridColor
@@ -491,9 +489,9 @@ class ChartRenderer {
 }
 
 // Initialize Dashboard
-let analytics, renderer, themeManager, charts;
+let analytics, renderer, themeManager, charts, storage;
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     // Initialize theme
     themeManager = new ThemeManager();
 
@@ -503,17 +501,39 @@ document.addEventListener('DOMContentLoaded', () => {
         themeToggleBtn.addEventListener('click', () => {
             themeManager.toggle();
             // Reload charts with new theme
-            destroyCharts();
-            initializeCharts();
+            refreshCharts();
         });
     }
 
     // Initialize analytics
-    initializeCharts();
+    UserAccounts.setCurrent(new UserAccounts());
+    storage = await unlockStorage(await openStorageAdapter());
+    await signIn();
+    refreshCharts();
+
+    // Redraw whenever another tab saves records, attendance, grades or courses
+    const sync = new TabSync();
+    TabSync.setCurrent(sync);
+    let refreshTimer = null;
+    sync.subscribe(message => {
+        // Encryption turned on or off, or locked, or a server connected or disconnected, in another tab
+        if (message.topic === 'vault' || message.topic === 'server') {
+            window.location.reload();
+            return;
+        }
+        if (message.topic === 'history') return;
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(refreshCharts, SYNC_REFRESH_MS);
+    });
+
+    if (Vault.current()) new AutoLock(() => window.location.reload()).start();
+
+    new OfflineApp().register().catch(e => console.warn('Offline support unavailable:', e));
 });
 
-function initializeCharts() {
-    analytics = new AnalyticsManager();
+async function initializeCharts() {
+    analytics = new AnalyticsManager(storage);
+    await analytics.loadStudents();
     renderer = new ChartRenderer(analytics);
 
     // Update statistics
@@ -530,10 +550,23 @@ function initializeCharts() {
     console.log(`📈 Visualizing data for ${stats.total} students`);
 }
 
+// Redraws run one after another: two at once would both draw on the same canvases
+let pendingRefresh = Promise.resolve();
+function refreshCharts() {
+    pendingRefresh = pendingRefresh
+        .then(() => {
+            destroyCharts();
+            return initializeCharts();
+        })
+        .catch(e => console.error('Failed to draw the dashboard:', e));
+    return pendingRefresh;
+}
+
 function destroyCharts() {
     if (charts) {
         Object.values(charts).forEach(chart => {
             if (chart) chart.destroy();
         });
+        charts = null;
     }
 }
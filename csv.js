@@ -0,0 +1,146 @@
+// ==========================================
+// CSV PARSING & WRITING
+// RFC 4180: quoted fields, escaped quotes, embedded newlines
+// ==========================================
+
+// Columns available to the CSV exporter, in their default order
+const CSV_COLUMNS = [
+    { key: 'studentId', label: 'Student ID', value: s => s.studentId },
+    { key: 'name', label: 'Name', value: s => s.name },
+    { key: 'gender', label: 'Gender', value: s => s.gender },
+    { key: 'dob', label: 'Date of Birth', value: s => s.dob },
+    { key: 'email', label: 'Email', value: s => s.email },
+    { key: 'phone', label: 'Phone', value: s => s.phone },
+    { key: 'course', label: 'Course', value: s => s.course },
+    { key: 'year', label: 'Year', value: s => s.year },
+    {
+        key: 'gpa',
+        label: () => `${GradingScale.current().shortLabel} (${GradingScale.current().label})`,
+        value: s => {
+            const gpa = getStudentGPA(s);
+            return gpa !== null ? GradingScale.current().format(gpa) : '';
+        }
+    },
+    { key: 'attendance', label: 'Attendance %', value: s => getAttendanceRate(s) },
+    { key: 'enrollmentDate', label: 'Enrollment Date', value: s => s.enrollmentDate },
+    { key: 'graduationDate', label: 'Graduation Date', value: s => s.graduationDate },
+    { key: 'notes', label: 'Notes', value: s => s.notes },
+    { key: 'favorite', label: 'Favorite', value: s => (s.favorite ? 'Yes' : 'No') },
+    { key: 'createdAt', label: 'Created At', value: s => s.createdAt },
+    { key: 'updatedAt', label: 'Updated At', value: s => s.updatedAt }
+];
+
+const CSV_DELIMITERS = {
+    ',': 'Comma',
+    ';': 'Semicolon',
+    '\t': 'Tab'
+};
+
+function getCSVColumnLabel(column) {
+    return typeof column.label === 'function' ? column.label() : column.label;
+}
+
+// Spreadsheet apps run cells starting with these as formulas (CSV injection); phone numbers too,
+// since Excel would work +1-555-123-4567 out as a sum. Imports drop the quote again.
+function neutralizeFormula(text) {
+    return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+function escapeCSVCell(value, delimiter) {
+    const text = neutralizeFormula(value === null || value === undefined ? '' : String(value));
+    const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// rows: array of arrays; records are joined with CRLF as RFC 4180 specifies
+function toCSV(rows, delimiter = ',') {
+    return rows
+        .map(row => row.map(cell => escapeCSVCell(cell, delimiter)).join(delimiter))
+        .join('\r\n');
+}
+
+function buildStudentCSV(students, { columns = CSV_COLUMNS.map(c => c.key), delimiter = ',' } = {}) {
+    const selected = columns
+        .map(key => CSV_COLUMNS.find(c => c.key === key))
+        .filter(Boolean);
+
+    return toCSV([
+        selected.map(getCSVColumnLabel),
+        ...students.map(student => selected.map(column => column.value(student)))
+    ], delimiter);
+}
+
+// Picks the most frequent candidate delimiter on the header line (outside quotes)
+function detectDelimiter(text) {
+    const candidates = [',', ';', '\t'];
+    const counts = { ',': 0, ';': 0, '\t': 0 };
+    let inQuotes = false;
+
+    for (const char of text) {
+        if (char === '"') inQuotes = !inQuotes;
+        else if (!inQuotes && (char === '\n' || char === '\r')) break;
+        else if (!inQuotes && char in counts) counts[char]++;
+    }
+
+    return candidates.reduce((best, c) => (counts[c] > counts[best] ? c : best), ',');
+}
+
+// Returns an array of rows, each an array of string cells
+function parseCSV(text, delimiter = detectDelimiter(text)) {
+    if (text.charCodeAt(0) === 0xFEFF) {
+        text = text.slice(1);
+    }
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    cell += '"';
+                    i += 2;
+                    continue;
+                }
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+            i++;
+            continue;
+        }
+
+        if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\r' || char === '\n') {
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+            if (char === '\r' && text[i + 1] === '\n') i++;
+        } else {
+            cell += char;
+        }
+        i++;
+    }
+
+    if (inQuotes) {
+        throw new Error('Unterminated quoted field in CSV');
+    }
+
+    // A trailing newline doesn't start another record
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+}
@@ -0,0 +1,150 @@
+// ==========================================
+// DUPLICATE DETECTION
+// Scores pairs of records that probably describe the same person
+// ==========================================
+
+// Points per matching signal; pairs scoring DUPLICATE_THRESHOLD or more are reported
+const DUPLICATE_WEIGHTS = {
+    email: 60,
+    phone: 50,
+    dob: 30,
+    name: 35,
+    similarName: 20
+};
+const DUPLICATE_THRESHOLD = 50;
+
+// Names this close (1 = identical after normalising) count as the same person spelled differently
+const SIMILAR_NAME_RATIO = 0.8;
+
+const DISMISSED_DUPLICATES_KEY = 'dismissedDuplicates';
+
+// Case and +tags don't make a different mailbox
+function normalizeEmail(email) {
+    const [local, domain] = trimString(email).toLowerCase().split('@');
+    if (!domain) return local || '';
+    return `${local.split('+')[0]}@${domain}`;
+}
+
+// Digits only, compared on the last 10 so a country code or trunk prefix doesn't matter
+function normalizePhone(phone) {
+    const digits = trimString(phone).replace(/\D/g, '');
+    return digits.length >= 7 ? digits.slice(-10) : '';
+}
+
+// Lowercase, accents and punctuation dropped, word order ignored ("Doe, John" = "john doe")
+function normalizeName(name) {
+    return trimString(name)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean)
+        .sort()
+        .join(' ');
+}
+
+function nameSimilarity(a, b) {
+    const left = normalizeName(a);
+    const right = normalizeName(b);
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+    return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+}
+
+// { score (0-100), reasons: [text] }
+function scoreDuplicate(a, b) {
+    let score = 0;
+    const reasons = [];
+
+    const email = normalizeEmail(a.email);
+    if (email && email === normalizeEmail(b.email)) {
+        score += DUPLICATE_WEIGHTS.email;
+        reasons.push('same email');
+    }
+    const phone = normalizePhone(a.phone);
+    if (phone && phone === normalizePhone(b.phone)) {
+        score += DUPLICATE_WEIGHTS.phone;
+        reasons.push('same phone');
+    }
+    if (a.dob && b.dob) {
+        if (a.dob === b.dob) {
+            score += DUPLICATE_WEIGHTS.dob;
+            reasons.push('same date of birth');
+        } else {
+            // Two real people can share contact details, but not two birthdays
+            score -= DUPLICATE_WEIGHTS.dob;
+        }
+    }
+
+    const similarity = nameSimilarity(a.name, b.name);
+    if (similarity === 1) {
+        score += DUPLICATE_WEIGHTS.name;
+        reasons.push('same name');
+    } else if (similarity >= SIMILAR_NAME_RATIO) {
+        score += DUPLICATE_WEIGHTS.similarName;
+        reasons.push('similar name');
+    }
+
+    return { score: Math.max(0, Math.min(100, score)), reasons };
+}
+
+// A name alone never reaches the threshold, so only records sharing an email, phone or birthday are compared
+function findDuplicatePairs(students, dismissed = new Set()) {
+    const buckets = new Map();
+    const addTo = (key, student) => {
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(student);
+    };
+    students.forEach(student => {
+        const email = normalizeEmail(student.email);
+        const phone = normalizePhone(student.phone);
+        if (email) addTo(`email:${email}`, student);
+        if (phone) addTo(`phone:${phone}`, student);
+        if (student.dob) addTo(`dob:${student.dob}`, student);
+    });
+
+    const pairs = new Map();
+    buckets.forEach(group => {
+        for (let i = 0; i < group.length; i++) {
+            for (let j = i + 1; j < group.length; j++) {
+                const key = duplicatePairKey(group[i].id, group[j].id);
+                if (pairs.has(key) || dismissed.has(key)) continue;
+                const { score, reasons } = scoreDuplicate(group[i], group[j]);
+                if (score >= DUPLICATE_THRESHOLD) {
+                    pairs.set(key, { key, a: group[i], b: group[j], score, reasons });
+                }
+            }
+        }
+    });
+
+    return [...pairs.values()].sort((x, y) => y.score - x.score);
+}
+
+// Records on the roster a record being typed probably duplicates, best match first
+function findDuplicatesOf(record, students) {
+    return students
+        .filter(student => student.id !== record.id)
+        .map(student => ({ student, ...scoreDuplicate(record, student) }))
+        .filter(match => match.score >= DUPLICATE_THRESHOLD)
+        .sort((x, y) => y.score - x.score);
+}
+
+function duplicatePairKey(idA, idB) {
+    return [idA, idB].sort().join('|');
+}
+
+// Pairs marked "not a duplicate" stay out of the finder; an unreadable list counts as empty
+function getDismissedDuplicates() {
+    try {
+        const keys = JSON.parse(localStorage.getItem(DISMISSED_DUPLICATES_KEY));
+        return new Set(Array.isArray(keys) ? keys : []);
+    } catch (e) {
+        return new Set();
+    }
+}
+
+function dismissDuplicate(key) {
+    const dismissed = getDismissedDuplicates();
+    dismissed.add(key);
+    localStorage.setItem(DISMISSED_DUPLICATES_KEY, JSON.stringify([...dismissed]));
+}
@@ -0,0 +1,289 @@
+// ==========================================
+// GRADEBOOK
+// Courses with weighted assessments; GPA per term and cumulative, weighted by credit hours
+// ==========================================
+
+const ASSESSMENT_TYPES = {
+    assignment: 'Assignment',
+    quiz: 'Quiz',
+    project: 'Project',
+    midterm: 'Midterm',
+    final: 'Final'
+};
+
+const DEFAULT_ASSESSMENTS = [
+    { name: 'Assignments', type: 'assignment', weight: 30, maxScore: 100 },
+    { name: 'Midterm', type: 'midterm', weight: 30, maxScore: 100 },
+    { name: 'Final Exam', type: 'final', weight: 40, maxScore: 100 }
+];
+
+class Gradebook {
+    constructor(storage) {
+        this.storage = storage;
+        // { id, code, name, term, credits, catalogCourse, assessments: [{ id, name, type, weight, maxScore }],
+        //   scores: { [recordId]: { [assessmentId]: score } }, createdAt, updatedAt }
+        // catalogCourse names the catalog course it is taught in; teachers grade it if that course is on their account
+        this.courses = [];
+        this.results = new Map();
+        this.pendingSave = Promise.resolve();
+    }
+
+    // The gradebook loaded on this page; statistics, sorting, search, exports and charts read GPAs through it
+    static current() {
+        return Gradebook.active;
+    }
+
+    static setCurrent(gradebook) {
+        Gradebook.active = gradebook;
+    }
+
+    async load() {
+        if (this.storage && typeof this.storage.loadGradebook === 'function') {
+            this.courses = await this.storage.loadGradebook();
+        }
+        this.computeResults();
+        return this.courses;
+    }
+
+    save() {
+        this.computeResults();
+        if (!this.storage || typeof this.storage.saveGradebook !== 'function') return this.pendingSave;
+        const courses = [...this.courses];
+        this.pendingSave = this.pendingSave
+            .then(() => this.storage.saveGradebook(courses))
+            .then(() => TabSync.notify('gradebook'))
+            .catch(e => console.error('Failed to save gradebook:', e));
+        return this.pendingSave;
+    }
+
+    // Course percentages per student; grades on the active scale are derived on read,
+    // so switching scales never needs a conversion
+    computeResults() {
+        this.results = new Map();
+        this.courses.forEach(course => {
+            Object.keys(course.scores).forEach(recordId => {
+                const percent = this.getCoursePercent(course, recordId);
+                if (percent === null) return;
+                if (!this.results.has(recordId)) this.results.set(recordId, []);
+                this.results.get(recordId).push({ course, percent });
+            });
+        });
+    }
+
+    // Weighted score over the assessments graded so far, or null before any are
+    getCoursePercent(course, recordId) {
+        const scores = course.scores[recordId] || {};
+        let earned = 0;
+        let weight = 0;
+        course.assessments.forEach(assessment => {
+            const score = scores[assessment.id];
+            if (score === null || score === undefined) return;
+            earned += assessment.weight * (score / assessment.maxScore);
+            weight += assessment.weight;
+        });
+        return weight > 0 ? Math.round(earned / weight * 1000) / 10 : null;
+    }
+
+    hasResults(recordId) {
+        return this.results.has(recordId);
+    }
+
+    // Credit-weighted average on the active scale's points axis
+    averageGrade(results) {
+        const scale = GradingScale.current();
+        const credits = results.reduce((sum, r) => sum + r.course.credits, 0);
+        if (credits === 0) return null;
+        const points = results.reduce((sum, r) => sum + r.course.credits * scale.toPoints(percentToGrade(r.percent)), 0);
+        return scale.fromPoints(points / credits);
+    }
+
+    // { terms: [{ term, courses: [{ course, percent, grade }], credits, gpa }], credits, gpa }
+    getTranscript(recordId) {
+        const results = this.results.get(recordId) || [];
+        const terms = [...new Set(results.map(r => r.course.term))].sort((a, b) => a.localeCompare(b));
+
+        return {
+            terms: terms.map(term => {
+                const termResults = results.filter(r => r.course.term === term);
+                return {
+                    term,
+                    courses: termResults.map(r => ({ ...r, grade: percentToGrade(r.percent) })),
+                    credits: termResults.reduce((sum, r) => sum + r.course.credits, 0),
+                    gpa: this.averageGrade(termResults)
+                };
+            }),
+            credits: results.reduce((sum, r) => sum + r.course.credits, 0),
+            gpa: this.averageGrade(results)
+        };
+    }
+
+    // Once any course is set up, grades come from the gradebook alone and typed-in ones are retired
+    isActive() {
+        return this.courses.length > 0;
+    }
+
+    // Cumulative grade on the active scale, or null for students without gradebook scores
+    getGPA(recordId) {
+        const results = this.results.get(recordId);
+        return results ? this.averageGrade(results) : null;
+    }
+
+    getCourse(id) {
+        return this.courses.find(c => c.id === id) || null;
+    }
+
+    // Creates or updates a course's details and assessments; scores for removed assessments are dropped
+    saveCourse(data, id = null) {
+        const code = trimString(data.code);
+        const name = trimString(data.name);
+        const term = trimString(data.term);
+        const credits = toNumberOrNull(data.credits);
+        const catalogCourse = trimString(data.catalogCourse);
+        if (!code || !name || !term) throw new Error('Course code, name and term are required!');
+        if (!catalogCourse) throw new Error('Pick the catalog course this is taught in!');
+        if (!(credits > 0)) throw new Error('Credit hours must be greater than 0!');
+        if (this.courses.some(c => c.id !== id && c.code === code && c.term === term)) {
+            throw new Error(`${code} already exists for ${term}!`);
+        }
+
+        const assessments = (data.assessments || []).map(a => ({
+            id: a.id || createRecordId(),
+            name: trimString(a.name),
+            type: ASSESSMENT_TYPES[a.type] ? a.type : 'assignment',
+            weight: toNumberOrNull(a.weight),
+            maxScore: toNumberOrNull(a.maxScore)
+        }));
+        if (assessments.length === 0) throw new Error('Add at least one assessment!');
+        assessments.forEach(a => {
+            if (!a.name) throw new Error('Every assessment needs a name!');
+            if (!(a.weight > 0) || !(a.maxScore > 0)) throw new Error(`${a.name}: weight and max score must be greater than 0!`);
+        });
+
+        const now = new Date().toISOString();
+        const existing = id ? this.getCourse(id) : null;
+        const kept = new Set(assessments.map(a => a.id));
+        const scores = {};
+        Object.entries(existing ? existing.scores : {}).forEach(([recordId, byAssessment]) => {
+            const remaining = Object.entries(byAssessment).filter(([assessmentId]) => kept.has(assessmentId));
+            if (remaining.length > 0) scores[recordId] = Object.fromEntries(remaining);
+        });
+
+        const course = {
+            id: existing ? existing.id : createRecordId(),
+            code,
+            name,
+            term,
+            credits,
+            catalogCourse,
+            assessments,
+            scores,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+        this.courses = existing
+            ? this.courses.map(c => (c.id === existing.id ? course : c))
+            : [...this.courses, course];
+        this.save();
+        return course;
+    }
+
+    removeCourse(id) {
+        if (!this.getCourse(id)) throw new Error('Course not found!');
+        this.courses = this.courses.filter(c => c.id !== id);
+        this.save();
+    }
+
+    // Follows a renamed or merged catalog course
+    renameCourse(from, to) {
+        if (!this.courses.some(c => c.catalogCourse === from)) return;
+        const now = new Date().toISOString();
+        this.courses = this.courses.map(c => (c.catalogCourse === from ? { ...c, catalogCourse: to, updatedAt: now } : c));
+        this.save();
+    }
+
+    // Copies a merged duplicate's scores onto the surviving record for assessments it has no score in;
+    // returns what was copied as { courseId: { assessmentId: score } } so undoing the merge can take it back off
+    copyScores(fromId, toId) {
+        const copied = {};
+        const now = new Date().toISOString();
+        this.courses = this.courses.map(course => {
+            const from = course.scores[fromId];
+            if (!from) return course;
+            const to = { ...course.scores[toId] };
+            Object.entries(from).forEach(([assessmentId, score]) => {
+                if (to[assessmentId] !== undefined) return;
+                to[assessmentId] = score;
+                copied[course.id] = { ...copied[course.id], [assessmentId]: score };
+            });
+            if (!copied[course.id]) return course;
+            return { ...course, scores: { ...course.scores, [toId]: to }, updatedAt: now };
+        });
+        if (Object.keys(copied).length > 0) this.save();
+        return copied;
+    }
+
+    // Takes scores copied by copyScores back off a record; scores changed since are left alone
+    removeCopiedScores(recordId, copied) {
+        let removed = 0;
+        const now = new Date().toISOString();
+        this.courses = this.courses.map(course => {
+            const scores = { ...course.scores[recordId] };
+            const matching = Object.entries(copied[course.id] || {}).filter(([assessmentId, score]) => scores[assessmentId] === score);
+            if (matching.length === 0) return course;
+            matching.forEach(([assessmentId]) => delete scores[assessmentId]);
+            removed += matching.length;
+            const rest = { ...course.scores };
+            if (Object.keys(scores).length > 0) rest[recordId] = scores;
+            else delete rest[recordId];
+            return { ...course, scores: rest, updatedAt: now };
+        });
+        if (removed > 0) this.save();
+    }
+
+    // scores: { recordId: { assessmentId: score or null } }; students left out keep their scores
+    setScores(courseId, scores) {
+        const course = this.getCourse(courseId);
+        if (!course) throw new Error('Course not found!');
+
+        const updated = { ...course, scores: { ...course.scores }, updatedAt: new Date().toISOString() };
+        Object.entries(scores).forEach(([recordId, byAssessment]) => {
+            const row = { ...updated.scores[recordId] };
+            Object.entries(byAssessment).forEach(([assessmentId, value]) => {
+                const assessment = course.assessments.find(a => a.id === assessmentId);
+                if (!assessment) return;
+                const score = toNumberOrNull(value);
+                if (score === null) {
+                    delete row[assessmentId];
+                } else if (score < 0 || score > assessment.maxScore) {
+                    throw new Error(`${assessment.name} scores must be between 0 and ${assessment.maxScore}!`);
+                } else {
+                    row[assessmentId] = score;
+                }
+            });
+            if (Object.keys(row).length > 0) {
+                updated.scores[recordId] = row;
+            } else {
+                delete updated.scores[recordId];
+            }
+        });
+
+        this.courses = this.courses.map(c => (c.id === courseId ? updated : c));
+        this.save();
+        return updated;
+    }
+}
+
+// Empty until a page loads its gradebook
+Gradebook.active = new Gradebook(null);
+
+// A course percentage expressed on the active grading scale
+function percentToGrade(percent) {
+    return GradingScale.get('percentage').convertTo(percent, GradingScale.current());
+}
+
+// GPA shown everywhere: the typed-in grade until the gradebook has courses, then only the computed one
+// (null for students without scores yet)
+function getStudentGPA(student) {
+    const gradebook = Gradebook.current();
+    return gradebook.isActive() ? gradebook.getGPA(student.id) : student.gpa;
+}
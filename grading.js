@@ -0,0 +1,251 @@
+// ==========================================
+// GRADING SCALES
+// Shared by the form, statistics, charts and exports
+// ==========================================
+
+const GRADING_SCALE_KEY = 'gradingScale';
+const DEFAULT_GRADING_SCALE = 'cgpa10';
+
+// Standard 4.0 grade points, highest first
+const LETTER_GRADES = [
+    { letter: 'A', points: 4.0 },
+    { letter: 'A-', points: 3.7 },
+    { letter: 'B+', points: 3.3 },
+    { letter: 'B', points: 3.0 },
+    { letter: 'B-', points: 2.7 },
+    { letter: 'C+', points: 2.3 },
+    { letter: 'C', points: 2.0 },
+    { letter: 'C-', points: 1.7 },
+    { letter: 'D+', points: 1.3 },
+    { letter: 'D', points: 1.0 },
+    { letter: 'D-', points: 0.7 },
+    { letter: 'F', points: 0 }
+];
+
+// GPA filter bands as fractions of the scale (3.5 and 2.5 on a 4.0 scale)
+const GPA_BANDS = [
+    { id: 'honor', label: 'Honor Roll', min: 0.875, max: Infinity },
+    { id: 'good', label: 'Good', min: 0.625, max: 0.875 },
+    { id: 'warning', label: 'At Risk', min: -Infinity, max: 0.625 }
+];
+
+class GradingScale {
+    constructor(config) {
+        Object.assign(this, config);
+    }
+
+    static get(id) {
+        return GRADING_SCALES[id] || GRADING_SCALES[DEFAULT_GRADING_SCALE];
+    }
+
+    static current() {
+        return GradingScale.get(localStorage.getItem(GRADING_SCALE_KEY));
+    }
+
+    static setCurrent(id) {
+        localStorage.setItem(GRADING_SCALE_KEY, GradingScale.get(id).id);
+    }
+
+    static all() {
+        return Object.values(GRADING_SCALES);
+    }
+
+    get isLetter() {
+        return this.type === 'letter';
+    }
+
+    // Position of a stored value on this scale's numeric axis (letters map to grade points)
+    toPoints(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (this.isLetter) {
+            const grade = LETTER_GRADES.find(g => g.letter === String(value).trim().toUpperCase());
+            return grade ? grade.points : null;
+        }
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    fromPoints(points) {
+        if (points === null || points === undefined) return null;
+        if (this.isLetter) {
+            const grade = LETTER_GRADES.find(g => points >= g.points - 0.15);
+            return (grade || LETTER_GRADES[LETTER_GRADES.length - 1]).letter;
+        }
+        return Number(Math.min(this.max, Math.max(this.min, points)).toFixed(this.decimals));
+    }
+
+    toFraction(value) {
+        const points = this.toPoints(value);
+        return points === null ? null : (points - this.min) / (this.max - this.min);
+    }
+
+    fromFraction(fraction) {
+        if (fraction === null || fraction === undefined) return null;
+        return this.fromPoints(this.min + fraction * (this.max - this.min));
+    }
+
+    convertTo(value, target) {
+        return target.fromFraction(this.toFraction(value));
+    }
+
+    isValid(value) {
+        const points = this.toPoints(value);
+        return points !== null && points >= this.min && points <= this.max;
+    }
+
+    format(value) {
+        const points = this.toPoints(value);
+        if (points === null) return 'N/A';
+        return this.isLetter ? this.fromPoints(points) : points.toFixed(this.decimals);
+    }
+
+    describeRange() {
+        return this.isLetter
+            ? `${LETTER_GRADES[LETTER_GRADES.length - 1].letter}-${LETTER_GRADES[0].letter}`
+            : `${this.min.toFixed(this.decimals)}-${this.max.toFixed(this.decimals)}`;
+    }
+
+    // Distribution buckets in ascending order
+    getBuckets() {
+        return this.buckets.map((bucket, index) => ({
+            ...bucket,
+            upper: index < this.buckets.length - 1 ? this.buckets[index + 1].min : Infinity
+        }));
+    }
+
+    getDistribution(students, value = s => s.gpa) {
+        const buckets = this.getBuckets();
+        const ranges = {};
+        buckets.forEach(bucket => { ranges[bucket.label] = 0; });
+
+        students.forEach(student => {
+            const points = this.toPoints(value(student));
+            if (points === null) return;
+            const bucket = buckets.find(b => points >= b.min && points < b.upper);
+            if (bucket) ranges[bucket.label]++;
+        });
+
+        return ranges;
+    }
+
+    getBand(value) {
+        const fraction = this.toFraction(value);
+        if (fraction === null) return null;
+        const band = GPA_BANDS.find(b => fraction >= b.min && fraction < b.max);
+        return band ? band.id : null;
+    }
+
+    describeBand(bandId) {
+        const band = GPA_BANDS.find(b => b.id === bandId);
+        if (!band) return '';
+
+        if (this.isLetter) {
+            const letters = LETTER_GRADES.filter(g => this.getBand(g.letter) === band.id);
+            return `${band.label} (${letters[letters.length - 1].letter} to ${letters[0].letter})`;
+        }
+
+        const bound = fraction => (this.min + fraction * (this.max - this.min)).toFixed(this.decimals);
+        if (band.max === Infinity) return `${band.label} (${bound(band.min)}+)`;
+        if (band.min === -Infinity) return `${band.label} (<${bound(band.max)})`;
+        return `${band.label} (${bound(band.min)}-${bound(band.max)})`;
+    }
+
+    // Honours cut-off used for celebrations: top 10% of the scale
+    isHonors(value) {
+        const fraction = this.toFraction(value);
+        return fraction !== null && fraction >= 0.9;
+    }
+}
+
+const GRADING_SCALES = {
+    gpa4: new GradingScale({
+        id: 'gpa4',
+        label: '4.0 GPA',
+        shortLabel: 'GPA',
+        type: 'numeric',
+        min: 0,
+        max: 4,
+        step: 0.01,
+        decimals: 2,
+        placeholder: 'e.g., 3.60',
+        buckets: [
+            { label: '0.0-1.0', min: 0 },
+            { label: '1.0-2.0', min: 1 },
+            { label: '2.0-2.5', min: 2 },
+            { label: '2.5-3.0', min: 2.5 },
+            { label: '3.0-3.5', min: 3 },
+            { label: '3.5-4.0', min: 3.5 }
+        ]
+    }),
+    cgpa10: new GradingScale({
+        id: 'cgpa10',
+        label: '10-point CGPA',
+        shortLabel: 'CGPA',
+        type: 'numeric',
+        min: 0,
+        max: 10,
+        step: 0.01,
+        decimals: 2,
+        placeholder: 'e.g., 8.75',
+        buckets: [
+            { label: 'Below 6.0', min: 0 },
+            { label: '6.0-7.0', min: 6 },
+            { label: '7.0-8.0', min: 7 },
+            { label: '8.0-9.0', min: 8 },
+            { label: '9.0-10.0', min: 9 }
+        ]
+    }),
+    percentage: new GradingScale({
+        id: 'percentage',
+        label: 'Percentage',
+        shortLabel: 'Score %',
+        type: 'numeric',
+        min: 0,
+        max: 100,
+        step: 0.1,
+        decimals: 1,
+        placeholder: 'e.g., 87.5',
+        buckets: [
+            { label: 'Below 60%', min: 0 },
+            { label: '60-70%', min: 60 },
+            { label: '70-80%', min: 70 },
+            { label: '80-90%', min: 80 },
+            { label: '90-100%', min: 90 }
+        ]
+    }),
+    letter: new GradingScale({
+        id: 'letter',
+        label: 'Letter Grades',
+        shortLabel: 'Grade',
+        type: 'letter',
+        min: 0,
+        max: 4,
+        step: 0.1,
+        decimals: 1,
+        placeholder: 'e.g., B+',
+        buckets: [
+            { label: 'F', min: 0 },
+            { label: 'D', min: 0.7 },
+            { label: 'C', min: 1.7 },
+            { label: 'B', min: 2.7 },
+            { label: 'A', min: 3.7 }
+        ]
+    })
+};
+
+// Stored grades are numbers, except letter grades which stay as their letter
+function normalizeGradeValue(value) {
+    if (typeof value === 'string') {
+        const letter = value.trim().toUpperCase();
+        if (LETTER_GRADES.some(g => g.letter === letter)) return letter;
+    }
+    return toNumberOrNull(value);
+}
+
+// Converts a record exported under another scale (see exportToJSON) into the active one
+function fromExportedScale(record) {
+    const { gradingScale, ...student } = record;
+    const current = GradingScale.current();
+    if (!gradingScale || gradingScale === current.id || student.gpa === null) return student;
+    return { ...student, gpa: GradingScale.get(gradingScale).convertTo(student.gpa, current) };
+}
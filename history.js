@@ -0,0 +1,176 @@
+// ==========================================
+// CHANGE JOURNAL
+// Append-only audit log of roster mutations, with undo/redo stacks
+// ==========================================
+
+const AUDIT_ACTOR_KEY = 'auditActor';
+const DEFAULT_AUDIT_ACTOR = 'Local user';
+
+// Snapshots hold a short reference in place of the photo, which would soon fill the quota the roster shares
+const PHOTO_REF_PREFIX = 'photo:';
+
+const JOURNAL_ACTIONS = {
+    add: 'Added',
+    update: 'Edited',
+    delete: 'Moved to trash',
+    bulkDelete: 'Bulk moved to trash',
+    bulkEdit: 'Bulk edited',
+    promote: 'Promoted',
+    renameCourse: 'Renamed course',
+    mergeCourse: 'Merged courses',
+    merge: 'Merged duplicates',
+    import: 'Imported',
+    convert: 'Converted grades',
+    restore: 'Restored',
+    restoreTrash: 'Restored from trash',
+    purge: 'Purged',
+    undo: 'Undo',
+    redo: 'Redo'
+};
+
+// The signed-in account once accounts are set up, otherwise the name typed into the history dialog
+function getAuditActor() {
+    const account = getSignedInAccount();
+    if (account) return `${account.name} (${account.username})`;
+    return localStorage.getItem(AUDIT_ACTOR_KEY) || DEFAULT_AUDIT_ACTOR;
+}
+
+// Length plus an FNV-1a hash of the data URL; the same photo always gets the same reference
+function getPhotoRef(photo) {
+    if (!photo || photo.startsWith(PHOTO_REF_PREFIX)) return photo || null;
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < photo.length; i++) {
+        hash ^= photo.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `${PHOTO_REF_PREFIX}${photo.length}-${(hash >>> 0).toString(16)}`;
+}
+
+function setAuditActor(name) {
+    const actor = String(name || '').trim();
+    if (actor) {
+        localStorage.setItem(AUDIT_ACTOR_KEY, actor);
+    } else {
+        localStorage.removeItem(AUDIT_ACTOR_KEY);
+    }
+}
+
+class ChangeJournal {
+    constructor(storage) {
+        this.storage = storage;
+        this.entries = [];
+        // Entry ids; undo/redo only span the current session
+        this.undoStack = [];
+        this.redoStack = [];
+        // Photos behind this session's snapshot references, so undo and redo can put them back
+        this.photos = new Map();
+        this.pendingWrite = Promise.resolve();
+    }
+
+    async load() {
+        if (typeof this.storage.loadHistory === 'function') {
+            this.entries = await this.storage.loadHistory();
+        }
+        return this.entries;
+    }
+
+    // changes: [{ id, index, before, after }] with full record snapshots (null when absent)
+    record(action, summary, changes, { undoable = true } = {}) {
+        const entry = {
+            id: createRecordId(),
+            at: new Date().toISOString(),
+            actor: getAuditActor(),
+            action,
+            summary,
+            scale: GradingScale.current().id,
+            changes: changes.map(change => ({
+                ...change,
+                before: this.snapshot(change.before),
+                after: this.snapshot(change.after)
+            }))
+        };
+
+        this.entries.push(entry);
+        if (undoable) {
+            this.undoStack.push(entry.id);
+            this.redoStack = [];
+        }
+        this.persist([entry]);
+        return entry;
+    }
+
+    snapshot(record) {
+        if (!record) return null;
+        const photo = getPhotoRef(record.photo);
+        if (photo && photo !== record.photo) this.photos.set(photo, record.photo);
+        return { ...record, photo };
+    }
+
+    // A snapshot's photo as it can be written back to `current` (the record as it is now, or null).
+    // A photo from another session isn't kept anywhere, so the current one stays.
+    resolvePhoto(photo, current) {
+        if (!photo || !photo.startsWith(PHOTO_REF_PREFIX)) return photo || null;
+        if (current && getPhotoRef(current.photo) === photo) return current.photo;
+        if (this.photos.has(photo)) return this.photos.get(photo);
+        return current ? current.photo : null;
+    }
+
+    // Picks up entries other tabs wrote; this tab's entries still being written are kept
+    async reload() {
+        if (typeof this.storage.loadHistory !== 'function') return this.entries;
+        const stored = await this.storage.loadHistory();
+        const ids = new Set(stored.map(e => e.id));
+        this.entries = [...stored, ...this.entries.filter(e => !ids.has(e.id))];
+        return this.entries;
+    }
+
+    persist(entries) {
+        if (typeof this.storage.appendHistory !== 'function') return this.pendingWrite;
+        this.pendingWrite = this.pendingWrite
+            .then(() => this.storage.appendHistory(entries))
+            .then(() => TabSync.notify('history'))
+            .catch(e => console.error('Failed to save change history:', e));
+        return this.pendingWrite;
+    }
+
+    getEntry(id) {
+        return this.entries.find(e => e.id === id) || null;
+    }
+
+    peekUndo() {
+        return this.getEntry(this.undoStack[this.undoStack.length - 1]);
+    }
+
+    peekRedo() {
+        return this.getEntry(this.redoStack[this.redoStack.length - 1]);
+    }
+
+    // Stored grades from before a scale conversion can't be replayed safely
+    resetUndo() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    // Drops undo/redo steps touching records that no longer exist (e.g. purged)
+    forgetRecords(recordIds) {
+        const ids = new Set(recordIds);
+        const keep = entryId => !this.getEntry(entryId).changes.some(change => ids.has(change.id));
+        this.undoStack = this.undoStack.filter(keep);
+        this.redoStack = this.redoStack.filter(keep);
+    }
+
+    // Every journaled change to one record, newest first
+    getRecordHistory(recordId) {
+        const history = [];
+        this.entries.forEach(entry => {
+            entry.changes
+                .filter(change => change.id === recordId)
+                .forEach(change => history.push({ entry, change }));
+        });
+        return history.reverse();
+    }
+
+    getRecent(limit = 100) {
+        return this.entries.slice(-limit).reverse();
+    }
+}
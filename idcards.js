@@ -0,0 +1,192 @@
+// ==========================================
+// STUDENT ID CARDS
+// Card layout on printable sheets, QR codes and PNG rendering (qrcodejs)
+// ==========================================
+
+// ID-1 (credit card) size, in mm
+const ID_CARD_WIDTH = 85.6;
+const ID_CARD_HEIGHT = 54;
+const ID_CARD_GAP = 6;
+const ID_CARD_MARGIN = 10;
+
+const ID_CARD_PAPERS = {
+    a4: { label: 'A4', format: 'a4', width: 210, height: 297 },
+    letter: { label: 'Letter', format: 'letter', width: 215.9, height: 279.4 }
+};
+
+// Card positions on one sheet, centred inside the printable margins (2 × 4 on both paper sizes)
+function getIdCardSlots(paper) {
+    const fit = (length, card) => Math.floor((length - 2 * ID_CARD_MARGIN + ID_CARD_GAP) / (card + ID_CARD_GAP));
+    const columns = fit(paper.width, ID_CARD_WIDTH);
+    const rows = fit(paper.height, ID_CARD_HEIGHT);
+    const left = (paper.width - columns * ID_CARD_WIDTH - (columns - 1) * ID_CARD_GAP) / 2;
+    const top = (paper.height - rows * ID_CARD_HEIGHT - (rows - 1) * ID_CARD_GAP) / 2;
+
+    const slots = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            slots.push({
+                x: left + column * (ID_CARD_WIDTH + ID_CARD_GAP),
+                y: top + row * (ID_CARD_HEIGHT + ID_CARD_GAP)
+            });
+        }
+    }
+    return slots;
+}
+
+// [[{ student, x, y }]], one array per sheet
+function paginateIdCards(students, paper) {
+    const slots = getIdCardSlots(paper);
+    const sheets = [];
+    students.forEach((student, index) => {
+        if (index % slots.length === 0) sheets.push([]);
+        sheets[sheets.length - 1].push({ student, ...slots[index % slots.length] });
+    });
+    return sheets;
+}
+
+// PNG data URL of a QR code; qrcodejs draws into an element, so it gets a detached one
+function createQRDataURL(text, size = 256) {
+    if (typeof QRCode === 'undefined') {
+        throw new Error('ID cards need the QRCode library');
+    }
+    const holder = document.createElement('div');
+    new QRCode(holder, { text, width: size, height: size, correctLevel: QRCode.CorrectLevel.M });
+    const canvas = holder.querySelector('canvas');
+    return canvas ? canvas.toDataURL('image/png') : holder.querySelector('img').src;
+}
+
+// The lines printed beside the photo, shared by the PDF and PNG renderers
+function getIdCardLines(student) {
+    return [
+        `ID: ${student.studentId}`,
+        student.course || '-',
+        student.graduationDate ? `Graduated ${student.graduationDate}` : (student.year ? `Year ${student.year}` : '')
+    ].filter(Boolean);
+}
+
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Could not load image'));
+        image.src = src;
+    });
+}
+
+// Draws cards onto canvases for PNG export and the on-screen preview
+class IdCardRenderer {
+    constructor(title = 'Student Record Management System', dpi = 200) {
+        this.title = title;
+        this.pixelsPerMm = dpi / 25.4;
+    }
+
+    createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * this.pixelsPerMm);
+        canvas.height = Math.round(height * this.pixelsPerMm);
+        const ctx = canvas.getContext('2d');
+        if (!ctx) throw new Error('This browser can\'t draw images');
+        // Everything below is drawn in millimetres
+        ctx.scale(this.pixelsPerMm, this.pixelsPerMm);
+        return { canvas, ctx };
+    }
+
+    async renderCard(student) {
+        const { canvas, ctx } = this.createCanvas(ID_CARD_WIDTH, ID_CARD_HEIGHT);
+        await this.drawCard(ctx, student, 0, 0);
+        return canvas;
+    }
+
+    async renderSheets(students, paperId = 'a4') {
+        const paper = ID_CARD_PAPERS[paperId];
+        const canvases = [];
+        for (const sheet of paginateIdCards(students, paper)) {
+            const { canvas, ctx } = this.createCanvas(paper.width, paper.height);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, paper.width, paper.height);
+            for (const { student, x, y } of sheet) {
+                await this.drawCard(ctx, student, x, y);
+            }
+            canvases.push(canvas);
+        }
+        return canvases;
+    }
+
+    async drawCard(ctx, student, x, y) {
+        const color = getCourseColor(student.course);
+        const textX = x + 30;
+        const textWidth = ID_CARD_WIDTH - 30 - 26;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.roundRect(x, y, ID_CARD_WIDTH, ID_CARD_HEIGHT, 3);
+        ctx.fillStyle = '#ffffff';
+        ctx.fill();
+        ctx.lineWidth = 0.3;
+        ctx.strokeStyle = '#d1d5db';
+        ctx.stroke();
+        ctx.clip();
+
+        ctx.fillStyle = color;
+        ctx.fillRect(x, y, ID_CARD_WIDTH, 11);
+        ctx.fillStyle = '#ffffff';
+        ctx.textBaseline = 'middle';
+        ctx.font = 'bold 3px Helvetica, Arial, sans-serif';
+        ctx.fillText(this.title, x + 4, y + 5.5, ID_CARD_WIDTH - 30);
+        ctx.textAlign = 'right';
+        ctx.font = '2.4px Helvetica, Arial, sans-serif';
+        ctx.fillText('STUDENT ID', x + ID_CARD_WIDTH - 4, y + 5.5);
+        ctx.textAlign = 'left';
+
+        await this.drawPhoto(ctx, student, x + 4, y + 15, 22, color);
+
+        ctx.fillStyle = '#1f2937';
+        ctx.textBaseline = 'alphabetic';
+        ctx.font = 'bold 3.6px Helvetica, Arial, sans-serif';
+        ctx.fillText(student.name, textX, y + 20, textWidth);
+        ctx.font = '2.8px Helvetica, Arial, sans-serif';
+        getIdCardLines(student).forEach((line, index) => {
+            ctx.fillText(line, textX, y + 26 + index * 4.5, textWidth);
+        });
+
+        const qr = await loadImage(createQRDataURL(student.studentId));
+        ctx.drawImage(qr, x + ID_CARD_WIDTH - 24, y + 15, 20, 20);
+
+        if (student.enrollmentDate) {
+            ctx.fillStyle = '#6b7280';
+            ctx.font = '2.4px Helvetica, Arial, sans-serif';
+            ctx.fillText(`Enrolled ${student.enrollmentDate}`, x + 4, y + ID_CARD_HEIGHT - 5);
+        }
+        ctx.restore();
+    }
+
+    async drawPhoto(ctx, student, x, y, size, color) {
+        if (student.photo) {
+            try {
+                ctx.drawImage(await loadImage(student.photo), x, y, size, size);
+                return;
+            } catch (e) {
+                // Unreadable image data falls back to the initials avatar
+            }
+        }
+
+        const initials = (student.name || '?').split(' ').map(n => n[0]).join('').substring(0, 2).toUpperCase();
+        ctx.beginPath();
+        ctx.arc(x + size / 2, y + size / 2, size / 2, 0, Math.PI * 2);
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold ${size * 0.4}px Helvetica, Arial, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(initials, x + size / 2, y + size / 2);
+        ctx.textAlign = 'left';
+    }
+}
+
+function canvasToBlob(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create the image'))), 'image/png');
+    });
+}
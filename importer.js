@@ -0,0 +1,177 @@
+// ==========================================
+// SPREADSHEET IMPORT
+// CSV / Excel rows mapped onto student fields
+// ==========================================
+
+// Target fields with the header spellings registrar exports tend to use
+const IMPORT_FIELDS = [
+    { field: 'studentId', label: 'Student ID', aliases: ['id', 'studentno', 'studentnumber', 'rollno', 'rollnumber', 'registrationno', 'regno', 'matricno'] },
+    { field: 'name', label: 'Name', aliases: ['fullname', 'studentname'] },
+    { field: 'email', label: 'Email', aliases: ['emailaddress', 'mail', 'email id'] },
+    { field: 'phone', label: 'Phone', aliases: ['phonenumber', 'mobile', 'mobileno', 'contact', 'contactnumber', 'tel', 'telephone'] },
+    { field: 'dob', label: 'Date of Birth', aliases: ['dateofbirth', 'birthdate', 'birthday'] },
+    { field: 'gender', label: 'Gender', aliases: ['sex'] },
+    { field: 'course', label: 'Course', aliases: ['program', 'programme', 'major', 'department'] },
+    { field: 'year', label: 'Year', aliases: ['academicyear', 'yearofstudy', 'level', 'class'] },
+    { field: 'gpa', label: 'GPA', aliases: ['cgpa', 'grade', 'score', 'percentage'] },
+    { field: 'attendance', label: 'Attendance', aliases: ['attendancepercent', 'attendancerate'] },
+    { field: 'enrollmentDate', label: 'Enrollment Date', aliases: ['enrolmentdate', 'enrolled', 'admissiondate', 'joiningdate', 'startdate'] },
+    { field: 'graduationDate', label: 'Graduation Date', aliases: ['graduated', 'graduatedon', 'completiondate'] },
+    { field: 'notes', label: 'Notes', aliases: ['comments', 'remarks'] },
+    { field: 'favorite', label: 'Favorite', aliases: ['favourite', 'starred'] }
+];
+
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Suggests a field for each column: exact name/alias matches first, then partial matches
+function suggestColumnMapping(headers) {
+    const mapping = headers.map(() => '');
+    const taken = new Set();
+    const keys = IMPORT_FIELDS.map(f => ({
+        field: f.field,
+        names: [f.field, f.label, ...f.aliases].map(normalizeHeader)
+    }));
+
+    const assign = (matches) => {
+        headers.forEach((header, index) => {
+            if (mapping[index]) return;
+            const normalized = normalizeHeader(header);
+            if (!normalized) return;
+            const match = keys.find(k => !taken.has(k.field) && matches(normalized, k.names));
+            if (match) {
+                mapping[index] = match.field;
+                taken.add(match.field);
+            }
+        });
+    };
+
+    assign((header, names) => names.includes(header));
+    assign((header, names) => header.length >= 3 &&
+        names.some(name => header.includes(name) || name.includes(header)));
+
+    return mapping;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far off midnight a spreadsheet date may be and still count as that day
+const DATE_SLACK_MS = 60 * 1000;
+
+// Read in local time: toISOString() is UTC, which moves dates a day back east of Greenwich
+function formatLocalDate(date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function toISODate(value) {
+    if (value === null || value === undefined || value === '') return '';
+    if (value instanceof Date) {
+        if (isNaN(value)) return '';
+        // SheetJS gives the sheet's date as local midnight, though some builds and files give UTC midnight
+        // or a few seconds before either; a fixed nudge would push UTC midnight a day on east of UTC+12
+        const time = value.getTime();
+        const utcMidnight = Math.round(time / DAY_MS) * DAY_MS;
+        if (Math.abs(time - utcMidnight) <= DATE_SLACK_MS) return new Date(utcMidnight).toISOString().slice(0, 10);
+        return formatLocalDate(new Date(time + DATE_SLACK_MS));
+    }
+    const text = String(value).trim();
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+    // Parsed as local midnight
+    const date = new Date(text);
+    return isNaN(date) ? text : formatLocalDate(date);
+}
+
+// Turns spreadsheet cells into the form's value shapes
+function coerceImportedValue(field, value) {
+    if (value === null || value === undefined) return '';
+    // Drops the quote neutralizeFormula puts before formula-like text, so exports import back as they were
+    if (typeof value === 'string') value = value.replace(/^'(?=[=+\-@\t\r])/, '');
+    switch (field) {
+        case 'dob':
+        case 'enrollmentDate':
+        case 'graduationDate':
+            return toISODate(value);
+        case 'year': {
+            const match = String(value).match(/\d+/);
+            return match ? Number(match[0]) : '';
+        }
+        case 'gender': {
+            const gender = String(value).trim().toLowerCase();
+            if (gender === 'm' || gender === 'male') return 'Male';
+            if (gender === 'f' || gender === 'female') return 'Female';
+            return gender ? 'Other' : '';
+        }
+        case 'attendance':
+            return String(value).replace('%', '').trim();
+        case 'favorite':
+            return value === true || /^(yes|y|true|1|x|★|⭐)$/i.test(String(value).trim());
+        default:
+            return value instanceof Date ? toISODate(value) : String(value).trim();
+    }
+}
+
+class SpreadsheetImporter {
+    constructor(rows, fileName = '') {
+        const [headerRow = [], ...dataRows] = rows;
+        this.fileName = fileName;
+        this.headers = headerRow.map(h => String(h ?? '').trim());
+        // Keep the original spreadsheet line number (header is line 1) for error messages
+        this.rows = dataRows
+            .map((cells, index) => ({ line: index + 2, cells }))
+            .filter(({ cells }) => cells.some(cell => String(cell ?? '').trim() !== ''));
+        this.mapping = suggestColumnMapping(this.headers);
+    }
+
+    static async fromFile(file) {
+        const name = file.name.toLowerCase();
+
+        if (name.endsWith('.xlsx') || name.endsWith('.xls')) {
+            if (typeof XLSX === 'undefined') {
+                throw new Error('Excel import needs the SheetJS (xlsx) library');
+            }
+            const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+            const sheet = workbook.Sheets[workbook.SheetNames[0]];
+            const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' });
+            return new SpreadsheetImporter(rows, file.name);
+        }
+
+        return new SpreadsheetImporter(parseCSV(await file.text()), file.name);
+    }
+
+    setMapping(columnIndex, field) {
+        // A field can only come from one column
+        if (field) {
+            this.mapping = this.mapping.map(f => (f === field ? '' : f));
+        }
+        this.mapping[columnIndex] = field;
+    }
+
+    // Maps and validates every row; existing students are used to reject taken IDs
+    buildRecords(existingStudents = []) {
+        const takenIds = new Set(existingStudents.map(s => s.studentId));
+        const seenIds = new Set();
+
+        return this.rows.map(({ line, cells }) => {
+            const data = {};
+            this.mapping.forEach((field, index) => {
+                if (field) data[field] = coerceImportedValue(field, cells[index]);
+            });
+
+            const record = normalizeRecord(data);
+            // Validate the grade as written in the sheet so junk gets a useful message
+            const errors = Object.values(validateRecord({ ...record, gpa: data.gpa ?? '' }));
+
+            if (record.studentId) {
+                if (takenIds.has(record.studentId)) {
+                    errors.push('Student ID already exists');
+                } else if (seenIds.has(record.studentId)) {
+                    errors.push('Student ID appears more than once in the file');
+                }
+                seenIds.add(record.studentId);
+            }
+
+            return { line, record, errors };
+        });
+    }
+}
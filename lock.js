@@ -0,0 +1,126 @@
+// ==========================================
+// LOCK SCREEN
+// Asks for the passphrase before an encrypted roster is read,
+// and locks the page again after a spell of inactivity
+// ==========================================
+
+const AUTO_LOCK_KEY = 'autoLockMinutes';
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+// Offered in the security settings; 0 never locks
+const AUTO_LOCK_OPTIONS = [0, 5, 15, 30, 60];
+
+// How often idle time is checked; locking can come this much later than the limit
+const AUTO_LOCK_CHECK_MS = 15000;
+
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+
+class LockScreen {
+    constructor() {
+        this.screen = document.getElementById('lockScreen');
+        this.form = document.getElementById('lockForm');
+        this.title = document.getElementById('lockTitle');
+        this.message = document.getElementById('lockMessage');
+        this.input = document.getElementById('lockPassphrase');
+        this.error = document.getElementById('lockError');
+        this.submitBtn = document.getElementById('unlockBtn');
+        this.cancelBtn = document.getElementById('lockCancel');
+        this.defaults = { title: this.title.textContent, message: this.message.textContent };
+    }
+
+    // Resolves with the passphrase once check() accepts it (check throws to have it typed again),
+    // or with null when cancelled
+    ask({ check, title = this.defaults.title, message = this.defaults.message, cancellable = false }) {
+        this.title.textContent = title;
+        this.message.textContent = message;
+        this.error.textContent = '';
+        this.input.value = '';
+        this.cancelBtn.hidden = !cancellable;
+        this.screen.classList.add('active');
+        this.input.focus();
+
+        return new Promise(resolve => {
+            const finish = (passphrase) => {
+                this.screen.classList.remove('active');
+                this.input.value = '';
+                this.form.onsubmit = null;
+                this.cancelBtn.onclick = null;
+                resolve(passphrase);
+            };
+
+            this.form.onsubmit = async (e) => {
+                e.preventDefault();
+                const passphrase = this.input.value;
+                this.submitBtn.disabled = true;
+                this.error.textContent = '';
+                try {
+                    await check(passphrase);
+                    finish(passphrase);
+                } catch (error) {
+                    this.error.textContent = error.message;
+                    this.input.select();
+                } finally {
+                    this.submitBtn.disabled = false;
+                }
+            };
+            this.cancelBtn.onclick = () => finish(null);
+        });
+    }
+}
+
+class AutoLock {
+    constructor(onLock) {
+        this.onLock = onLock;
+        this.lastActivity = Date.now();
+        this.timer = null;
+        this.markActive = () => { this.lastActivity = Date.now(); };
+    }
+
+    static getMinutes() {
+        const saved = localStorage.getItem(AUTO_LOCK_KEY);
+        return saved === null ? DEFAULT_AUTO_LOCK_MINUTES : Number(saved) || 0;
+    }
+
+    static setMinutes(minutes) {
+        localStorage.setItem(AUTO_LOCK_KEY, String(minutes));
+    }
+
+    start() {
+        if (this.timer) return;
+        this.lastActivity = Date.now();
+        ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, this.markActive, { capture: true, passive: true }));
+        this.timer = setInterval(() => this.check(), AUTO_LOCK_CHECK_MS);
+    }
+
+    stop() {
+        ACTIVITY_EVENTS.forEach(type => document.removeEventListener(type, this.markActive, { capture: true }));
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    check() {
+        const minutes = AutoLock.getMinutes();
+        if (minutes > 0 && Date.now() - this.lastActivity >= minutes * 60000) {
+            this.stop();
+            this.onLock();
+        }
+    }
+}
+
+// The adapter a page reads through: the one given while encryption is off, otherwise
+// an encrypting wrapper around it once the lock screen has the right passphrase
+async function unlockStorage(storage) {
+    if (!Vault.isEnabled()) return storage;
+
+    const vault = new Vault();
+    await new LockScreen().ask({
+        check: (passphrase) => {
+            if (!Vault.isSupported()) {
+                throw new Error('This browser can only decrypt the records over https or from a local file');
+            }
+            return vault.unlock(passphrase);
+        }
+    });
+    Vault.setCurrent(vault);
+    return new EncryptedStorageAdapter(storage, vault);
+}
@@ -0,0 +1,247 @@
+// ==========================================
+// PDF EXPORT
+// Printable roster, per-student report cards and ID card sheets (jsPDF + autotable)
+// ==========================================
+
+const PDF_ACCENT = [102, 126, 234];
+
+class PDFExporter {
+    constructor(title = 'Student Record Management System') {
+        if (typeof window.jspdf === 'undefined') {
+            throw new Error('PDF export needs the jsPDF library');
+        }
+        this.title = title;
+    }
+
+    createDocument(orientation = 'portrait', format = 'a4') {
+        const doc = new window.jspdf.jsPDF({ orientation, unit: 'mm', format });
+        if (typeof doc.autoTable !== 'function') {
+            throw new Error('PDF export needs the jsPDF autotable plugin');
+        }
+        return doc;
+    }
+
+    drawHeader(doc, subtitle) {
+        const width = doc.internal.pageSize.getWidth();
+        doc.setFillColor(...PDF_ACCENT);
+        doc.rect(0, 0, width, 22, 'F');
+        doc.setTextColor(255, 255, 255);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(14);
+        doc.text(this.title, 14, 10);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+        doc.text(subtitle, 14, 17);
+        doc.text(new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }),
+            width - 14, 17, { align: 'right' });
+        doc.setTextColor(0, 0, 0);
+    }
+
+    // Page numbers need the final page count, so they are stamped after layout
+    drawPageNumbers(doc) {
+        const pageCount = doc.internal.getNumberOfPages();
+        const width = doc.internal.pageSize.getWidth();
+        const height = doc.internal.pageSize.getHeight();
+
+        for (let page = 1; page <= pageCount; page++) {
+            doc.setPage(page);
+            doc.setFontSize(9);
+            doc.setTextColor(120, 120, 120);
+            doc.text(`Page ${page} of ${pageCount}`, width / 2, height - 8, { align: 'center' });
+        }
+        doc.setTextColor(0, 0, 0);
+    }
+
+    drawPhoto(doc, student, x, y, size) {
+        if (student.photo) {
+            const format = student.photo.startsWith('data:image/png') ? 'PNG' : 'JPEG';
+            try {
+                doc.addImage(student.photo, format, x, y, size, size);
+                return;
+            } catch (e) {
+                // Unreadable image data falls back to the initials avatar
+            }
+        }
+
+        const initials = (student.name || '?').split(' ').map(n => n[0]).join('').substring(0, 2).toUpperCase();
+        doc.setFillColor(...hexToRgb(getCourseColor(student.course)));
+        doc.circle(x + size / 2, y + size / 2, size / 2, 'F');
+        doc.setTextColor(255, 255, 255);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(size * 1.4);
+        doc.text(initials, x + size / 2, y + size / 2, { align: 'center', baseline: 'middle' });
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(0, 0, 0);
+    }
+
+    buildRoster(students, stats, description = 'All students') {
+        const doc = this.createDocument('landscape');
+        const scale = GradingScale.current();
+        const photoSize = 8;
+
+        this.drawHeader(doc, `Student Roster: ${description}`);
+
+        doc.setFontSize(10);
+        doc.text([
+            `Students: ${stats.total}`,
+            `Average ${scale.shortLabel}: ${stats.avgGPA}`,
+            `Top ${scale.shortLabel}: ${stats.topGPA}`,
+            `Courses: ${stats.courses}`
+        ].join('     '), 14, 30);
+
+        doc.autoTable({
+            startY: 35,
+            margin: { top: 28, bottom: 16 },
+            head: [['Photo', 'ID', 'Name', 'Email', 'Phone', 'Course', 'Year', scale.shortLabel, 'Attendance']],
+            body: students.map(s => [
+                '',
+                s.studentId,
+                s.name,
+                s.email,
+                s.phone,
+                s.course,
+                s.graduationDate ? 'Graduated' : (s.year ? `Year ${s.year}` : '-'),
+                scale.format(getStudentGPA(s)),
+                formatAttendance(s)
+            ]),
+            headStyles: { fillColor: PDF_ACCENT },
+            bodyStyles: { minCellHeight: photoSize + 2, valign: 'middle' },
+            columnStyles: { 0: { cellWidth: photoSize + 4 } },
+            didDrawCell: (data) => {
+                if (data.section === 'body' && data.column.index === 0) {
+                    this.drawPhoto(doc, students[data.row.index], data.cell.x + 2, data.cell.y + 1, photoSize);
+                }
+            },
+            didDrawPage: () => this.drawHeader(doc, `Student Roster: ${description}`)
+        });
+
+        this.drawPageNumbers(doc);
+        return doc;
+    }
+
+    buildReportCard(student, age = null) {
+        const doc = this.createDocument();
+        const scale = GradingScale.current();
+        const gpa = getStudentGPA(student);
+        const width = doc.internal.pageSize.getWidth();
+
+        this.drawHeader(doc, 'Student Report Card');
+        this.drawPhoto(doc, student, 14, 30, 30);
+
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(16);
+        doc.text(student.name, 50, 38);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(11);
+        doc.text(`Student ID: ${student.studentId}`, 50, 46);
+        doc.text(`${student.course}${student.year ? `, Year ${student.year}` : ''}`, 50, 53);
+
+        // Headline grade box
+        doc.setDrawColor(...PDF_ACCENT);
+        doc.roundedRect(width - 60, 30, 46, 26, 3, 3);
+        doc.setFontSize(9);
+        doc.text(scale.label, width - 37, 37, { align: 'center' });
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(20);
+        doc.text(scale.format(gpa), width - 37, 49, { align: 'center' });
+        doc.setFont('helvetica', 'normal');
+
+        doc.autoTable({
+            startY: 66,
+            theme: 'grid',
+            head: [['Details', '']],
+            body: [
+                ['Email', student.email || '-'],
+                ['Phone', student.phone || '-'],
+                ['Gender', student.gender || '-'],
+                ['Date of Birth', student.dob ? `${student.dob}${age !== null ? ` (age ${age})` : ''}` : '-'],
+                ['Enrollment Date', student.enrollmentDate || '-'],
+                ...(student.graduationDate ? [['Graduation Date', student.graduationDate]] : []),
+                ['Attendance', formatAttendance(student)],
+                [scale.label, `${scale.format(gpa)} (${scale.describeRange()})`],
+                ['Honors', scale.isHonors(gpa) ? 'Yes' : 'No']
+            ],
+            headStyles: { fillColor: PDF_ACCENT },
+            columnStyles: { 0: { fontStyle: 'bold', cellWidth: 50 } }
+        });
+
+        // Gradebook results, one block of rows per term
+        const transcript = Gradebook.current().getTranscript(student.id);
+        if (transcript.terms.length > 0) {
+            doc.autoTable({
+                startY: doc.lastAutoTable.finalY + 8,
+                theme: 'grid',
+                head: [['Term', 'Course', 'Credits', 'Score', scale.shortLabel]],
+                body: transcript.terms.flatMap(term => [
+                    ...term.courses.map(r => [term.term, `${r.course.code} ${r.course.name}`, r.course.credits, `${r.percent}%`, scale.format(r.grade)]),
+                    [{ content: `${term.term} ${scale.shortLabel}`, colSpan: 2, styles: { fontStyle: 'bold' } }, term.credits, '', scale.format(term.gpa)]
+                ]),
+                headStyles: { fillColor: PDF_ACCENT }
+            });
+        }
+
+        if (student.notes) {
+            const y = doc.lastAutoTable.finalY + 10;
+            doc.setFont('helvetica', 'bold');
+            doc.setFontSize(11);
+            doc.text('Notes', 14, y);
+            doc.setFont('helvetica', 'normal');
+            doc.setFontSize(10);
+            doc.text(doc.splitTextToSize(student.notes, width - 28), 14, y + 6);
+        }
+
+        this.drawPageNumbers(doc);
+        return doc;
+    }
+
+    // Cards laid out on A4 or Letter sheets, ready to print and cut
+    buildIdCards(students, paperId = 'a4') {
+        const paper = ID_CARD_PAPERS[paperId];
+        const doc = this.createDocument('portrait', paper.format);
+        paginateIdCards(students, paper).forEach((sheet, index) => {
+            if (index > 0) doc.addPage(paper.format, 'portrait');
+            sheet.forEach(({ student, x, y }) => this.drawIdCard(doc, student, x, y));
+        });
+        return doc;
+    }
+
+    drawIdCard(doc, student, x, y) {
+        const textX = x + 30;
+        const textWidth = ID_CARD_WIDTH - 30 - 26;
+
+        doc.setDrawColor(209, 213, 219);
+        doc.setLineWidth(0.3);
+        doc.roundedRect(x, y, ID_CARD_WIDTH, ID_CARD_HEIGHT, 3, 3);
+        doc.setFillColor(...hexToRgb(getCourseColor(student.course)));
+        doc.rect(x, y, ID_CARD_WIDTH, 11, 'F');
+
+        doc.setTextColor(255, 255, 255);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(8.5);
+        doc.text(doc.splitTextToSize(this.title, ID_CARD_WIDTH - 30)[0], x + 4, y + 5.5, { baseline: 'middle' });
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(7);
+        doc.text('STUDENT ID', x + ID_CARD_WIDTH - 4, y + 5.5, { align: 'right', baseline: 'middle' });
+
+        this.drawPhoto(doc, student, x + 4, y + 15, 22);
+
+        doc.setTextColor(31, 41, 55);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(10);
+        doc.text(doc.splitTextToSize(student.name, textWidth)[0], textX, y + 20);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(8);
+        getIdCardLines(student).forEach((line, index) => {
+            doc.text(doc.splitTextToSize(line, textWidth)[0], textX, y + 26 + index * 4.5);
+        });
+
+        doc.addImage(createQRDataURL(student.studentId), 'PNG', x + ID_CARD_WIDTH - 24, y + 15, 20, 20);
+
+        if (student.enrollmentDate) {
+            doc.setTextColor(107, 114, 128);
+            doc.setFontSize(7);
+            doc.text(`Enrolled ${student.enrollmentDate}`, x + 4, y + ID_CARD_HEIGHT - 5);
+        }
+        doc.setTextColor(0, 0, 0);
+    }
+}
@@ -0,0 +1,96 @@
+// ==========================================
+// OFFLINE APP
+// Registers the service worker, prompts when a new version is waiting
+// and offers the install button where the browser allows it
+// ==========================================
+
+// Open tabs look for a new deploy this often, besides on every page load
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+class OfflineApp {
+    constructor() {
+        this.registration = null;
+        this.installPrompt = null;
+        this.updating = false;
+        this.banner = document.getElementById('updateBanner');
+        this.installBtn = document.getElementById('installBtn');
+
+        const reloadBtn = document.getElementById('reloadApp');
+        const dismissBtn = document.getElementById('dismissUpdate');
+        if (reloadBtn) reloadBtn.addEventListener('click', () => this.applyUpdate());
+        if (dismissBtn) dismissBtn.addEventListener('click', () => this.dismissUpdate());
+        if (this.installBtn) this.installBtn.addEventListener('click', () => this.install());
+        this.setupInstall();
+    }
+
+    // Service workers need http(s); opened straight from disk the app runs online-only as before
+    static isSupported() {
+        return 'serviceWorker' in navigator && location.protocol !== 'file:';
+    }
+
+    async register() {
+        if (!OfflineApp.isSupported()) return null;
+        const registration = await navigator.serviceWorker.register('sw.js');
+        this.registration = registration;
+
+        // Installed on an earlier visit and still waiting for the old version's tabs to close
+        if (registration.waiting && navigator.serviceWorker.controller) this.offerUpdate();
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) this.offerUpdate();
+            });
+        });
+
+        // Another tab may have accepted the update; only reload here if this one asked for it
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updating) window.location.reload();
+        });
+
+        setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+        return registration;
+    }
+
+    offerUpdate() {
+        if (this.banner) this.banner.hidden = false;
+    }
+
+    applyUpdate() {
+        const waiting = this.registration && this.registration.waiting;
+        if (!waiting) {
+            window.location.reload();
+            return;
+        }
+        this.updating = true;
+        waiting.postMessage({ type: 'skipWaiting' });
+    }
+
+    // The new version still takes over once every tab of the old one is closed
+    dismissUpdate() {
+        if (this.banner) this.banner.hidden = true;
+    }
+
+    setupInstall() {
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            this.installPrompt = e;
+            if (this.installBtn) this.installBtn.hidden = false;
+        });
+        window.addEventListener('appinstalled', () => {
+            this.installPrompt = null;
+            if (this.installBtn) this.installBtn.hidden = true;
+        });
+    }
+
+    async install() {
+        if (!this.installPrompt) return;
+        const prompt = this.installPrompt;
+        this.installPrompt = null;
+        prompt.prompt();
+        await prompt.userChoice;
+        if (this.installBtn) this.installBtn.hidden = true;
+    }
+}
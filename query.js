@@ -0,0 +1,238 @@
+// ==========================================
+// SEARCH QUERY LANGUAGE
+// course:"Computer Science" year:3 gpa>=8 enrolled:2024 -gender:Male
+// ==========================================
+
+// Query field names (and aliases) mapped to record keys and how values compare;
+// `get` reads a derived value instead of the stored one
+const QUERY_FIELDS = {
+    id: { key: 'studentId', type: 'text' },
+    studentid: { key: 'studentId', type: 'text' },
+    name: { key: 'name', type: 'text' },
+    email: { key: 'email', type: 'text' },
+    phone: { key: 'phone', type: 'text' },
+    notes: { key: 'notes', type: 'text' },
+    course: { key: 'course', type: 'enum' },
+    gender: { key: 'gender', type: 'enum' },
+    year: { key: 'year', type: 'number' },
+    attendance: { key: 'attendance', type: 'number', get: s => getAttendanceRate(s) },
+    gpa: { key: 'gpa', type: 'grade', get: s => getStudentGPA(s) },
+    cgpa: { key: 'gpa', type: 'grade', get: s => getStudentGPA(s) },
+    grade: { key: 'gpa', type: 'grade', get: s => getStudentGPA(s) },
+    enrolled: { key: 'enrollmentDate', type: 'date' },
+    enrollment: { key: 'enrollmentDate', type: 'date' },
+    dob: { key: 'dob', type: 'date' },
+    born: { key: 'dob', type: 'date' },
+    graduation: { key: 'graduationDate', type: 'date' },
+    graduated: { key: 'graduationDate', type: 'bool' },
+    favorite: { key: 'favorite', type: 'bool' },
+    starred: { key: 'favorite', type: 'bool' }
+};
+
+// Unqualified terms search these, as the plain search box always did
+const QUERY_DEFAULT_FIELDS = ['name', 'studentId', 'email', 'phone'];
+
+// Unquoted words at least this long tolerate typos
+const FUZZY_MIN_LENGTH = 4;
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// [start, end) ranges of `term` in `text`; fuzzy terms also match whole words a typo or two away
+function findTextMatches(text, term, fuzzy = false) {
+    const haystack = String(text ?? '').toLowerCase();
+    const needle = term.toLowerCase();
+    const ranges = [];
+    if (!needle) return ranges;
+
+    for (let index = haystack.indexOf(needle); index !== -1; index = haystack.indexOf(needle, index + needle.length)) {
+        ranges.push([index, index + needle.length]);
+    }
+
+    if (ranges.length === 0 && fuzzy && needle.length >= FUZZY_MIN_LENGTH) {
+        const maxTypos = needle.length >= 8 ? 2 : 1;
+        for (const match of haystack.matchAll(/[\p{L}\p{N}]+/gu)) {
+            const word = match[0];
+            const distance = Math.min(
+                levenshtein(needle, word),
+                levenshtein(needle, word.slice(0, needle.length))
+            );
+            if (distance <= maxTypos) ranges.push([match.index, match.index + word.length]);
+        }
+    }
+
+    return ranges;
+}
+
+// Splits on whitespace, keeping "quoted phrases" (also after field:) together
+function tokenizeQuery(text) {
+    const tokens = [];
+    let token = null;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (/\s/.test(char)) {
+            if (token) tokens.push(token);
+            token = null;
+            continue;
+        }
+        token = token || { text: '', quoted: false, phrase: false };
+        if (char === '"') {
+            const end = text.indexOf('"', i + 1);
+            const close = end === -1 ? text.length : end;
+            // A token that opens with a quote is a bare phrase, never field:value
+            token.phrase = token.phrase || token.text === '' || token.text === '-';
+            token.quoted = true;
+            token.text += text.slice(i + 1, close);
+            i = close;
+        } else {
+            token.text += char;
+        }
+    }
+    if (token) tokens.push(token);
+
+    return tokens;
+}
+
+function parseQueryTerm(token) {
+    let text = token.text;
+    let negate = false;
+    if (text.startsWith('-') && text.length > 1) {
+        negate = true;
+        text = text.slice(1);
+    }
+
+    const match = !token.phrase && text.match(/^([a-z]+)(>=|<=|:|=|>|<)(.*)$/i);
+    if (match && QUERY_FIELDS[match[1].toLowerCase()] && match[3] !== '') {
+        const field = QUERY_FIELDS[match[1].toLowerCase()];
+        let op = match[2] === '=' ? ':' : match[2];
+        let value = match[3];
+        let upper = null;
+        const range = op === ':' && !token.quoted && value.match(/^(.+)\.\.(.+)$/);
+        if (range) {
+            op = '..';
+            [, value, upper] = range;
+        }
+        return { ...field, op, value, upper, negate, quoted: token.quoted };
+    }
+
+    return { key: null, type: 'text', op: ':', value: text, negate, quoted: token.quoted };
+}
+
+class StudentQuery {
+    constructor(text = '') {
+        this.text = String(text || '').trim();
+        // Terms in each group are ANDed; groups are ORed together
+        this.groups = [[]];
+
+        tokenizeQuery(this.text).forEach(token => {
+            if (!token.quoted && (token.text === 'OR' || token.text === '|')) {
+                if (this.groups[this.groups.length - 1].length > 0) this.groups.push([]);
+                return;
+            }
+            if (token.text === '' || token.text === '-') return;
+            this.groups[this.groups.length - 1].push(parseQueryTerm(token));
+        });
+
+        this.groups = this.groups.filter(group => group.length > 0);
+    }
+
+    get isEmpty() {
+        return this.groups.length === 0;
+    }
+
+    matches(student) {
+        return this.isEmpty || this.groups.some(group =>
+            group.every(term => this.matchesTerm(student, term) !== term.negate)
+        );
+    }
+
+    matchesTerm(student, term) {
+        if (term.key === null) {
+            return QUERY_DEFAULT_FIELDS.some(key =>
+                findTextMatches(student[key], term.value, !term.quoted).length > 0
+            );
+        }
+
+        const value = term.get ? term.get(student) : student[term.key];
+        switch (term.type) {
+            case 'text':
+                return findTextMatches(value, term.value).length > 0;
+            case 'enum':
+                return String(value ?? '').toLowerCase() === term.value.toLowerCase();
+            case 'bool':
+                return Boolean(value) === /^(yes|y|true|1)$/i.test(term.value);
+            case 'number':
+                return this.compare(toNumberOrNull(value), term, toNumberOrNull);
+            case 'grade': {
+                const scale = GradingScale.current();
+                return this.compare(scale.toPoints(value), term, v => scale.toPoints(v));
+            }
+            case 'date':
+                // Compare on the query's precision, so 2024 or 2024-03 match whole periods
+                return this.compare(value || null, term, v => v, (actual, wanted) => actual.slice(0, wanted.length));
+            default:
+                return false;
+        }
+    }
+
+    compare(actual, term, parse, truncate = (a) => a) {
+        const wanted = parse(term.value);
+        if (actual === null || wanted === null || wanted === undefined) return false;
+
+        const left = truncate(actual, wanted);
+        switch (term.op) {
+            case '>': return left > wanted;
+            case '>=': return left >= wanted;
+            case '<': return left < wanted;
+            case '<=': return left <= wanted;
+            case '..': {
+                const upper = parse(term.upper);
+                return upper !== null && upper !== undefined &&
+                    left >= wanted && truncate(actual, upper) <= upper;
+            }
+            default: return left === wanted;
+        }
+    }
+
+    // Positive text terms that apply to a record key
+    getHighlightTerms(key) {
+        return this.groups.flat().filter(term => !term.negate && (
+            (term.key === null && QUERY_DEFAULT_FIELDS.includes(key)) ||
+            (term.key === key && (term.type === 'text' || term.type === 'enum'))
+        ));
+    }
+
+    // Escaped HTML for a table cell with matched text wrapped in <mark>
+    highlight(key, text, escape) {
+        const value = String(text ?? '');
+        const ranges = this.getHighlightTerms(key)
+            .flatMap(term => findTextMatches(value, term.value, term.key === null && !term.quoted))
+            .sort((a, b) => a[0] - b[0]);
+
+        let html = '';
+        let position = 0;
+        ranges.forEach(([start, end]) => {
+            if (end <= position) return;
+            start = Math.max(start, position);
+            html += escape(value.slice(position, start)) +
+                `<mark class="search-highlight">${escape(value.slice(start, end))}</mark>`;
+            position = end;
+        });
+
+        return html + escape(value.slice(position));
+    }
+}
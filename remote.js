@@ -0,0 +1,543 @@
+// ==========================================
+// SERVER STORAGE
+// Shares the records through the optional server (server/server.js). Pages read and save
+// a copy kept in this browser, so everything works offline; changes wait in a queue
+// and are replayed to the server whenever it can be reached.
+// ==========================================
+
+const SERVER_SETTINGS_KEY = 'serverConnection';
+const SERVER_SYNC_KEY = 'serverSyncState';
+
+// The browser's copy of the server's records, apart from its own records
+const SERVER_CACHE_DB = 'studentRecordsServerCopy';
+const SERVER_CACHE_PREFIX = 'serverCopy:';
+
+// Other people's changes are picked up this often while a page is open
+const SERVER_POLL_MS = 15000;
+
+// A request taking longer than this counts as the server being unreachable
+const SERVER_TIMEOUT_MS = 20000;
+
+const SERVER_PAGE_SIZE = 200;
+
+// Tabs take turns talking to the server, so two of them never replay the same queue
+const SERVER_SYNC_LOCK = 'studentRecordsServerSync';
+
+// Lists the server keeps whole, with the adapter methods and TabSync topic for each.
+// combine(newer, older) settles an item saved both here and on the server; without one the newer save wins.
+const SERVER_LISTS = {
+    sessions: { load: 'loadSessions', save: 'saveSessions', topic: 'attendance', combine: combineMarks },
+    gradebook: { load: 'loadGradebook', save: 'saveGradebook', topic: 'gradebook', combine: combineScores },
+    catalog: { load: 'loadCatalog', save: 'saveCatalog', topic: 'catalog' }
+};
+
+// The server answered, but refused
+class ServerError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ServerError';
+        this.status = status;
+    }
+}
+
+// No answer at all; queued changes wait for the next try
+class OfflineError extends Error {
+    constructor() {
+        super('The server can\'t be reached');
+        this.name = 'OfflineError';
+    }
+}
+
+// settings: { url, token }. The sync state in localStorage holds what the server had at the last sync:
+// { revisions: { students, history, sessions, gradebook, catalog }, records: { id: revision },
+//   lists: { sessions|gradebook|catalog: { id: updatedAt } }, lastHistoryId, dirty: [list names saved here since] }
+// The queue is whatever differs from that: records whose revision isn't the server's, records the server
+// has that were purged here, journal entries after lastHistoryId and the dirty lists.
+class RemoteStorageAdapter {
+    constructor(settings, cache) {
+        this.url = settings.url.replace(/\/+$/, '');
+        this.token = settings.token || '';
+        this.cache = cache;
+        this.state = RemoteStorageAdapter.loadState();
+        this.started = false;
+        this.timer = null;
+        this.syncing = null;
+        this.syncAgain = false;
+        // Records changed both here and on the server, found while merging; see takeConflicts()
+        this.conflicts = [];
+        this.status = { online: null, pending: 0, error: null };
+        // Called with the status whenever it changes
+        this.onStatus = null;
+    }
+
+    static loadSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(SERVER_SETTINGS_KEY));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    static saveSettings(settings) {
+        localStorage.setItem(SERVER_SETTINGS_KEY, JSON.stringify(settings));
+    }
+
+    // Back to this browser's own records; the copy of the server's is reset on the next connect
+    static removeSettings() {
+        localStorage.removeItem(SERVER_SETTINGS_KEY);
+        localStorage.removeItem(SERVER_SYNC_KEY);
+    }
+
+    static loadState() {
+        const empty = { revisions: {}, records: {}, lists: {}, lastHistoryId: null, dirty: [] };
+        try {
+            return { ...empty, ...JSON.parse(localStorage.getItem(SERVER_SYNC_KEY)) };
+        } catch (e) {
+            return empty;
+        }
+    }
+
+    saveState() {
+        localStorage.setItem(SERVER_SYNC_KEY, JSON.stringify(this.state));
+    }
+
+    // ==================================================
+    // Storage adapter
+    // ==================================================
+
+    // The first load waits for the server so a page opens on current records; later ones read the copy
+    async load(options) {
+        if (!this.started) {
+            this.started = true;
+            await this.sync();
+            this.start();
+        }
+        return this.cache.load(options);
+    }
+
+    // Revisions are the copy's, so tabs in this browser notice each other's saves as before
+    loadRevision() {
+        return this.cache.loadRevision();
+    }
+
+    // Done once the copy has it; the server gets it in the background
+    async save(students, expectedRevision = null) {
+        const revision = await this.cache.save(students, expectedRevision);
+        this.sync();
+        return revision;
+    }
+
+    async clear() {
+        await this.cache.clear();
+        this.sync();
+    }
+
+    loadHistory() {
+        return this.cache.loadHistory();
+    }
+
+    async appendHistory(entries) {
+        await this.cache.appendHistory(entries);
+        this.sync();
+    }
+
+    async replaceHistory(entries) {
+        await this.cache.replaceHistory(entries);
+        this.markDirty('history');
+    }
+
+    loadSessions() {
+        return this.cache.loadSessions();
+    }
+
+    async saveSessions(sessions) {
+        await this.cache.saveSessions(sessions);
+        this.markDirty('sessions');
+    }
+
+    loadGradebook() {
+        return this.cache.loadGradebook();
+    }
+
+    async saveGradebook(courses) {
+        await this.cache.saveGradebook(courses);
+        this.markDirty('gradebook');
+    }
+
+    loadCatalog() {
+        return this.cache.loadCatalog();
+    }
+
+    async saveCatalog(courses) {
+        await this.cache.saveCatalog(courses);
+        this.markDirty('catalog');
+    }
+
+    // Hands over the conflicts found since last asked; StudentManager shows them after merging
+    takeConflicts() {
+        const conflicts = this.conflicts;
+        this.conflicts = [];
+        return conflicts;
+    }
+
+    markDirty(name) {
+        this.state = RemoteStorageAdapter.loadState();
+        if (!this.state.dirty.includes(name)) this.state.dirty.push(name);
+        this.saveState();
+        this.sync();
+    }
+
+    // ==================================================
+    // Syncing
+    // ==================================================
+
+    // Polls for other people's changes and replays the queue as soon as the browser is back online
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.sync(), SERVER_POLL_MS);
+        window.addEventListener('online', () => this.sync());
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Sends the queue, then fetches what changed on the server. Never rejects: failures show in the status.
+    // Asked again while running, it runs once more afterwards to pick up saves made meanwhile.
+    sync() {
+        if (this.syncing) {
+            this.syncAgain = true;
+            return this.syncing;
+        }
+        this.syncing = (async () => {
+            do {
+                this.syncAgain = false;
+                const run = () => this.replicate();
+                await (typeof navigator !== 'undefined' && navigator.locks ? navigator.locks.request(SERVER_SYNC_LOCK, run) : run());
+            } while (this.syncAgain);
+        })().finally(() => { this.syncing = null; });
+        return this.syncing;
+    }
+
+    async replicate() {
+        // Another tab may have synced since this one last looked
+        this.state = RemoteStorageAdapter.loadState();
+        try {
+            const rejected = await this.push();
+            await this.pull();
+            this.setStatus({ online: true, error: rejected.length > 0 ? rejected.join('; ') : null });
+        } catch (error) {
+            if (!(error instanceof OfflineError)) console.error('Failed to sync with the server:', error);
+            this.setStatus({ online: !(error instanceof OfflineError), error: error.message });
+        }
+    }
+
+    // Replays the queue; returns the server's reasons for any record it refused.
+    // Refused updates are settled by the merge in pull(); refused new records stay queued.
+    async push() {
+        const students = await this.cache.load();
+        const operations = this.getPendingOperations(students);
+        const history = await this.getUnsentHistory();
+        // A replaced journal goes up whole, which covers any unsent entries too
+        const replacingHistory = this.state.dirty.includes('history');
+        this.setStatus({ pending: operations.length + this.state.dirty.length + (history.length > 0 ? 1 : 0) });
+        const rejected = [];
+
+        if (operations.length > 0) {
+            const { results, revision } = await this.request('POST', '/students/bulk', { operations });
+            results.forEach((result, index) => {
+                const { op, id, record } = operations[index];
+                if (result.status >= 300) {
+                    if (result.status !== 409 || op === 'create') rejected.push(`${record ? record.name : id}: ${result.error}`);
+                    return;
+                }
+                if (op === 'delete') {
+                    delete this.state.records[id];
+                } else {
+                    this.state.records[id] = result.student.revision;
+                }
+            });
+            // All refused means nothing was saved, so any change in revision is someone else's
+            if (results.some(result => result.status < 300)) this.advance('students', revision);
+            this.saveState();
+        }
+
+        for (const name of [...this.state.dirty]) {
+            await this.pushList(name);
+        }
+
+        if (history.length > 0 && !replacingHistory) {
+            const { revision } = await this.request('POST', '/history', { entries: history });
+            this.state.lastHistoryId = history[history.length - 1].id;
+            this.advance('history', revision);
+            this.saveState();
+        }
+
+        this.setStatus({ pending: rejected.length });
+        return rejected;
+    }
+
+    // Sends a list saved here, refused if someone else saved it since the last sync. Their version is then
+    // merged in, item by item (history entries are added up), and the merge goes up instead.
+    async pushList(name) {
+        const loadItems = () => (name === 'history' ? this.cache.loadHistory() : this.cache[SERVER_LISTS[name].load]());
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const items = await loadItems();
+            try {
+                const { revision } = await this.request('PUT', `/${name}`, { items },
+                    { 'If-Match': String(this.state.revisions[name] || 0) });
+                this.state.revisions[name] = revision;
+                if (name === 'history') {
+                    this.state.lastHistoryId = items.length > 0 ? items[items.length - 1].id : null;
+                } else {
+                    this.state.lists[name] = itemStamps(items);
+                }
+                // Saved again here while this was on its way: stays queued for the next push
+                if (JSON.stringify(await loadItems()) === JSON.stringify(items)) {
+                    this.state.dirty = this.state.dirty.filter(dirty => dirty !== name);
+                }
+                this.saveState();
+                return;
+            } catch (error) {
+                if (!(error instanceof ServerError) || error.status !== 409) throw error;
+            }
+
+            const { items: stored, revision } = await this.request('GET', `/${name}`);
+            if (name === 'history') {
+                const sent = new Set(stored.map(entry => entry.id));
+                await this.cache.replaceHistory([...stored, ...items.filter(entry => !sent.has(entry.id))]);
+                this.announce('history');
+            } else {
+                const { save, topic, combine } = SERVER_LISTS[name];
+                await this.cache[save](mergeLists(items, stored, this.state.lists[name] || {}, combine));
+                this.state.lists[name] = itemStamps(stored);
+                this.announce(topic);
+            }
+            this.state.revisions[name] = revision;
+            this.saveState();
+        }
+        throw new Error(`The ${name} list kept changing on the server`);
+    }
+
+    // What the copy has that the server hasn't: records added or changed since the last sync, and records purged
+    getPendingOperations(students) {
+        const known = this.state.records;
+        const ids = new Set(students.map(s => s.id));
+        const operations = students
+            .filter(s => known[s.id] !== s.revision)
+            .map(s => (known[s.id] === undefined
+                ? { op: 'create', id: s.id, record: s }
+                : { op: 'update', id: s.id, baseRevision: known[s.id], record: s }));
+        Object.keys(known)
+            .filter(id => !ids.has(id))
+            .forEach(id => operations.push({ op: 'delete', id, baseRevision: known[id] }));
+        return operations;
+    }
+
+    async getUnsentHistory() {
+        const history = await this.cache.loadHistory();
+        if (this.state.lastHistoryId === null) return history;
+        const sent = history.findIndex(entry => entry.id === this.state.lastHistoryId);
+        if (sent !== -1) return history.slice(sent + 1);
+        // The last entry sent has since been trimmed from the journal: only the server knows which it has
+        const { items } = await this.request('GET', '/history');
+        const stored = new Set(items.map(entry => entry.id));
+        return history.filter(entry => !stored.has(entry.id));
+    }
+
+    // Our own write moved the server on by exactly one; any more means someone else wrote too,
+    // so the old revision stays and the next pull fetches theirs
+    advance(name, revision) {
+        if (revision === (this.state.revisions[name] || 0) + 1) this.state.revisions[name] = revision;
+    }
+
+    async pull() {
+        const { revisions } = await this.request('GET', '/status');
+        if (revisions.students !== this.state.revisions.students) await this.pullStudents();
+
+        for (const [name, { save, topic }] of Object.entries(SERVER_LISTS)) {
+            // A list saved here meanwhile is merged with the server's when the next push is refused
+            if (revisions[name] === this.state.revisions[name] || this.state.dirty.includes(name)) continue;
+            const { items, revision } = await this.request('GET', `/${name}`);
+            await this.cache[save](items);
+            this.state.revisions[name] = revision;
+            this.state.lists[name] = itemStamps(items);
+            this.saveState();
+            this.announce(topic);
+        }
+
+        if (revisions.history !== this.state.revisions.history && !this.state.dirty.includes('history') &&
+            (await this.getUnsentHistory()).length === 0) {
+            const { items, revision } = await this.request('GET', '/history');
+            await this.cache.replaceHistory(items);
+            this.state.lastHistoryId = items.length > 0 ? items[items.length - 1].id : null;
+            this.state.revisions.history = revision;
+            this.saveState();
+            this.announce('history');
+        }
+    }
+
+    // Three-way merge of the server's roster into the copy, the same way tabs merge each other's saves
+    async pullStudents() {
+        const { students: stored, revision } = await this.fetchAllStudents();
+        const cacheRevision = await this.cache.loadRevision();
+        const local = await this.cache.load();
+        const { students, conflicts } = mergeRosters(local, stored, new Map(Object.entries(this.state.records)));
+        try {
+            await this.cache.save(students, cacheRevision);
+        } catch (error) {
+            if (!(error instanceof StaleStorageError)) throw error;
+            // A tab saved while the server was being read; merge again with that save included
+            this.syncAgain = true;
+            return;
+        }
+        this.state.records = Object.fromEntries(stored.map(s => [s.id, s.revision]));
+        this.state.revisions.students = revision;
+        this.saveState();
+        this.conflicts.push(...conflicts);
+        this.announce('students');
+    }
+
+    // Every record, trashed ones included, page by page; starts over if someone saves in between
+    async fetchAllStudents() {
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const students = [];
+            let revision = null;
+            let total = Infinity;
+            for (let page = 1; students.length < total; page++) {
+                const result = await this.request('GET', `/students?trash=include&page=${page}&pageSize=${SERVER_PAGE_SIZE}`);
+                if (revision !== null && result.revision !== revision) break;
+                revision = result.revision;
+                total = result.total;
+                students.push(...result.students);
+                if (result.students.length === 0) break;
+            }
+            if (students.length === total) return { students, revision };
+        }
+        throw new Error('The records kept changing while being downloaded');
+    }
+
+    // This tab hears about the change as if another tab had saved it, and so do the other tabs
+    announce(topic) {
+        TabSync.notify(topic);
+        const sync = TabSync.current();
+        if (sync) sync.receive({ topic, from: 'server', at: Date.now() });
+    }
+
+    setStatus(changes) {
+        const status = { ...this.status, ...changes };
+        if (JSON.stringify(status) === JSON.stringify(this.status)) return;
+        this.status = status;
+        if (this.onStatus) this.onStatus(status);
+    }
+
+    async request(method, path, body, extraHeaders = {}) {
+        const headers = { ...extraHeaders };
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (this.token) headers.Authorization = `Bearer ${this.token}`;
+
+        let response;
+        try {
+            response = await fetch(`${this.url}/api${path}`, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: AbortSignal.timeout(SERVER_TIMEOUT_MS)
+            });
+        } catch (error) {
+            throw new OfflineError();
+        }
+        const data = response.status === 204 ? null : await response.json().catch(() => null);
+        if (!response.ok) throw new ServerError(response.status, (data && data.error) || `The server answered ${response.status}`);
+        return data;
+    }
+
+    // ==================================================
+    // Connecting
+    // ==================================================
+
+    // The server's counts, or ServerError / OfflineError explaining why it can't be used
+    checkConnection() {
+        return this.request('GET', '/status');
+    }
+
+    // Empties the copy and forgets the last sync, before switching to a server
+    async reset() {
+        await this.cache.clear();
+        await this.cache.replaceHistory([]);
+        await Promise.all(Object.values(SERVER_LISTS).map(list => this.cache[list.save]([])));
+        this.state = { revisions: {}, records: {}, lists: {}, lastHistoryId: null, dirty: [] };
+        this.saveState();
+    }
+
+    // Fills an empty server with what another adapter holds, e.g. this browser's own records when first connecting
+    async upload(from) {
+        await this.cache.save(await from.load(), null);
+        await this.cache.replaceHistory(await from.loadHistory());
+        for (const { load, save } of Object.values(SERVER_LISTS)) {
+            await this.cache[save](await from[load]());
+        }
+        this.state.dirty = ['history', ...Object.keys(SERVER_LISTS)];
+        this.saveState();
+        await this.sync();
+        if (this.status.error) throw new Error(this.status.error);
+    }
+}
+
+// Three-way merge of a shared list, like mergeRosters but by each item's updatedAt. `base` maps item ids to
+// their updatedAt at the last sync: an item saved on one side only takes that side's version, one saved
+// on both is combined with the newer save first, and one removed on one side stays removed unless the
+// other side saved it since.
+function mergeLists(local, stored, base, combine = null) {
+    const localById = new Map(local.map(item => [item.id, item]));
+    const storedIds = new Set(stored.map(item => item.id));
+    const stamp = item => (item ? item.updatedAt : undefined);
+    const items = [];
+
+    const pick = (mine, theirs, id) => {
+        const changedHere = stamp(mine) !== base[id];
+        const changedThere = stamp(theirs) !== base[id];
+        if (!changedHere) return theirs;
+        if (!changedThere || !theirs) return mine;
+        if (!mine) return theirs;
+        const [newer, older] = stamp(mine) >= stamp(theirs) ? [mine, theirs] : [theirs, mine];
+        return combine ? combine(newer, older) : newer;
+    };
+
+    stored.forEach(theirs => {
+        const item = pick(localById.get(theirs.id), theirs, theirs.id);
+        if (item) items.push(item);
+    });
+    local.filter(mine => !storedIds.has(mine.id)).forEach(mine => {
+        const item = pick(mine, null, mine.id);
+        if (item) items.push(item);
+    });
+    return items;
+}
+
+function itemStamps(items) {
+    return Object.fromEntries(items.map(item => [item.id, item.updatedAt]));
+}
+
+// Two people taking the same roll call: each student keeps the newer mark
+function combineMarks(newer, older) {
+    return { ...newer, marks: { ...older.marks, ...newer.marks } };
+}
+
+// Two people entering scores in one course: each score keeps the newer entry, for the newer version's assessments
+function combineScores(newer, older) {
+    const assessments = new Set(newer.assessments.map(a => a.id));
+    const scores = {};
+    new Set([...Object.keys(older.scores), ...Object.keys(newer.scores)]).forEach(recordId => {
+        const row = Object.entries({ ...older.scores[recordId], ...newer.scores[recordId] })
+            .filter(([assessmentId]) => assessments.has(assessmentId));
+        if (row.length > 0) scores[recordId] = Object.fromEntries(row);
+    });
+    return { ...newer, scores };
+}
+
+// Opens the copy of the server's records kept in this browser
+function openServerCache() {
+    return openLocalAdapter(SERVER_CACHE_DB, SERVER_CACHE_PREFIX);
+}
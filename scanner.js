@@ -0,0 +1,107 @@
+// ==========================================
+// CODE SCANNER
+// Reads QR codes and barcodes from camera frames or image files
+// (BarcodeDetector where the browser has it, jsQR for QR codes elsewhere)
+// ==========================================
+
+// Symbologies a Student ID is likely to be printed in
+const SCAN_FORMATS = ['qr_code', 'code_128', 'code_39', 'code_93', 'codabar', 'ean_13', 'ean_8', 'itf', 'upc_a', 'upc_e'];
+
+// Camera frames are sampled, not decoded continuously
+const SCAN_INTERVAL_MS = 300;
+
+// A code held in front of the camera is read on many frames; repeats this soon are ignored
+const SCAN_REPEAT_MS = 3000;
+
+class CodeScanner {
+    constructor() {
+        this.detector = undefined;
+        this.stream = null;
+        this.timer = null;
+    }
+
+    static isCameraSupported() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    // null when the browser has no BarcodeDetector (or none of our formats)
+    async getDetector() {
+        if (this.detector !== undefined) return this.detector;
+        this.detector = null;
+        if (typeof BarcodeDetector !== 'undefined') {
+            const supported = await BarcodeDetector.getSupportedFormats();
+            const formats = SCAN_FORMATS.filter(format => supported.includes(format));
+            if (formats.length > 0) this.detector = new BarcodeDetector({ formats });
+        }
+        return this.detector;
+    }
+
+    // Decoded text of every code found in an image, video or canvas
+    async decode(source) {
+        const detector = await this.getDetector();
+        if (detector) {
+            const codes = await detector.detect(source);
+            return codes.map(code => code.rawValue);
+        }
+        if (typeof jsQR === 'function') {
+            const width = source.videoWidth || source.naturalWidth || source.width;
+            const height = source.videoHeight || source.naturalHeight || source.height;
+            if (!width || !height) return [];
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(source, 0, 0, width, height);
+            const code = jsQR(ctx.getImageData(0, 0, width, height).data, width, height);
+            return code ? [code.data] : [];
+        }
+        throw new Error('This browser can\'t read codes; type the Student ID instead');
+    }
+
+    async decodeFile(file) {
+        const url = URL.createObjectURL(file);
+        try {
+            return await this.decode(await loadImage(url));
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    // Streams the rear camera into the video element and reports every frame that holds a code
+    async start(video, onCodes) {
+        if (!CodeScanner.isCameraSupported()) {
+            throw new Error('No camera access in this browser; upload a photo of the code instead');
+        }
+        this.stop();
+        this.stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        video.srcObject = this.stream;
+        await video.play();
+
+        const sample = async () => {
+            if (!this.stream) return;
+            try {
+                if (video.readyState >= 2) {
+                    const codes = await this.decode(video);
+                    if (codes.length > 0 && this.stream) onCodes(codes);
+                }
+            } catch (error) {
+                console.error('Failed to decode camera frame:', error);
+            }
+            if (this.stream) this.timer = setTimeout(sample, SCAN_INTERVAL_MS);
+        };
+        sample();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+
+    isRunning() {
+        return this.stream !== null;
+    }
+}
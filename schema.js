@@ -0,0 +1,154 @@
+// ==========================================
+// RECORD SCHEMA
+// Versioned student record shape and migrations
+// ==========================================
+
+const SCHEMA_VERSION = 6;
+
+// Migrations keyed by the version they upgrade a record TO.
+// Records saved before versioning existed are treated as version 1.
+const SCHEMA_MIGRATIONS = {
+    // v2: attendance, notes and dob are stored; numeric fields are numbers
+    2: (record) => ({
+        ...record,
+        gpa: toNumberOrNull(record.gpa),
+        year: toNumberOrNull(record.year),
+        attendance: toNumberOrNull(record.attendance),
+        notes: record.notes || '',
+        dob: record.dob || ''
+    }),
+    // v3: starred students
+    3: (record) => ({
+        ...record,
+        favorite: record.favorite === true
+    }),
+    // v4: soft delete; trashed records carry the time they were deleted
+    4: (record) => ({
+        ...record,
+        deletedAt: record.deletedAt || null
+    }),
+    // v5: students promoted out of the final year carry a graduation date
+    5: (record) => ({
+        ...record,
+        graduationDate: record.graduationDate || ''
+    }),
+    // v6: every save of a record bumps its revision, so edits from another tab can be detected
+    6: (record) => ({
+        ...record,
+        revision: Number(record.revision) || 1
+    })
+};
+
+const RECORD_DEFAULTS = {
+    studentId: '',
+    name: '',
+    email: '',
+    phone: '',
+    dob: '',
+    gender: '',
+    course: '',
+    year: null,
+    gpa: null,
+    attendance: null,
+    enrollmentDate: '',
+    graduationDate: '',
+    notes: '',
+    photo: null,
+    favorite: false
+};
+
+// The photos the app makes (canvas JPEGs) and other plain base64 images; anything else, e.g. markup
+// smuggled into the URL through an import or the server, is dropped
+const PHOTO_DATA_URL = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/]+=*$/;
+
+// User-editable fields, i.e. everything except id and timestamps
+const RECORD_FIELDS = Object.keys(RECORD_DEFAULTS);
+
+// Timestamp plus a random suffix, so records created in the same millisecond stay distinct
+function createRecordId() {
+    return Date.now().toString() + Math.random().toString(36).slice(2, 6);
+}
+
+function toNumberOrNull(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function trimString(value) {
+    return value === null || value === undefined ? '' : String(value).trim();
+}
+
+// Fills defaults and coerces types so every record has the current shape
+function normalizeRecord(record) {
+    const normalized = { ...RECORD_DEFAULTS, ...record };
+
+    ['studentId', 'name', 'email', 'phone', 'gender', 'course', 'dob', 'enrollmentDate', 'graduationDate', 'notes'].forEach(field => {
+        normalized[field] = trimString(normalized[field]);
+    });
+    normalized.gpa = normalizeGradeValue(normalized.gpa);
+    normalized.year = toNumberOrNull(normalized.year);
+    normalized.attendance = toNumberOrNull(normalized.attendance);
+    normalized.photo = typeof normalized.photo === 'string' && PHOTO_DATA_URL.test(normalized.photo) ? normalized.photo : null;
+    normalized.favorite = normalized.favorite === true;
+    normalized.deletedAt = normalized.deletedAt || null;
+    normalized.revision = Number(normalized.revision) || 1;
+    normalized.createdAt = normalized.createdAt || new Date().toISOString();
+    normalized.schemaVersion = SCHEMA_VERSION;
+
+    return normalized;
+}
+
+function migrateRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new Error('Invalid record');
+    }
+
+    const version = Number(record.schemaVersion) || 1;
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`Record was saved by a newer version of the app (schema v${version})`);
+    }
+
+    let migrated = { ...record };
+    for (let next = version + 1; next <= SCHEMA_VERSION; next++) {
+        if (SCHEMA_MIGRATIONS[next]) {
+            migrated = SCHEMA_MIGRATIONS[next](migrated);
+        }
+    }
+
+    return normalizeRecord(migrated);
+}
+
+// Field-level differences between two versions of a record
+function diffRecords(before, after) {
+    return RECORD_FIELDS
+        .filter(field => (before[field] ?? null) !== (after[field] ?? null))
+        .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+}
+
+// Runs on every load and import; `upgraded` tells callers whether anything needs re-saving
+function migrateRecords(records) {
+    if (!Array.isArray(records)) {
+        throw new Error('Invalid format');
+    }
+
+    const stamp = Date.now();
+    let upgraded = false;
+    const students = records.map((record, index) => {
+        let migrated;
+        try {
+            migrated = migrateRecord(record);
+        } catch (error) {
+            throw new Error(`Row ${index + 1}: ${error.message}`);
+        }
+        if (!migrated.id) {
+            migrated.id = `${stamp}${index}`;
+        }
+        if (record.schemaVersion !== SCHEMA_VERSION || !record.id) {
+            upgraded = true;
+        }
+        return migrated;
+    });
+
+    return { students, upgraded };
+}
@@ -0,0 +1,312 @@
+// ==========================================
+// STUDENT RECORDS SERVER
+// Optional shared backend: a JSON API over one data file, plus the app's own files
+// so everyone on the team opens it from the same address.
+//   node server/server.js           PORT, HOST, DATA_FILE, API_TOKEN and ALLOWED_ORIGINS can be set in the environment
+// ==========================================
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { FileStore, ApiError } = require('./store');
+
+const DEFAULT_PORT = 3000;
+// Only this computer by default; HOST=0.0.0.0 shares it with the network
+const DEFAULT_HOST = '127.0.0.1';
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]'];
+const APP_DIR = path.join(__dirname, '..');
+const DEFAULT_DATA_FILE = path.join(__dirname, 'data', 'students.json');
+
+// Records carry their photos as data URLs, so bodies can be large
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Kept whole: clients read and replace the entire list
+const SHARED_LISTS = ['sessions', 'gradebook', 'catalog'];
+
+// Fields the list endpoint searches and sorts by
+const SEARCH_FIELDS = ['name', 'studentId', 'email', 'phone'];
+const SORT_FIELDS = ['name', 'studentId', 'course', 'year', 'gpa', 'attendance', 'enrollmentDate', 'updatedAt'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// token: when set, API requests need "Authorization: Bearer <token>"
+// allowedOrigins: other addresses the app is opened from (e.g. https://school.example) that may use the API;
+// the app served by this server needs none, and any other web page is refused
+function createServer({ store, token = null, appDir = APP_DIR, allowedOrigins = [] }) {
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            if (url.pathname.startsWith('/api/')) {
+                await handleApi(store, token, allowedOrigins, req, res, url);
+            } else {
+                await serveAppFile(appDir, req, res, url.pathname);
+            }
+        } catch (error) {
+            if (error instanceof ApiError) {
+                sendJson(res, error.status, { error: error.message, current: error.current || undefined });
+            } else {
+                console.error(`${req.method} ${req.url} failed:`, error);
+                sendJson(res, 500, { error: 'Something went wrong on the server' });
+            }
+        }
+    });
+}
+
+// ==================================================
+// API
+// ==================================================
+
+async function handleApi(store, token, allowedOrigins, req, res, url) {
+    // Without a token, a page on some other site could otherwise reach this server through a name
+    // that points at this computer (DNS rebinding)
+    if (!token && !isLoopback(readHostname(req))) {
+        throw new ApiError(403, 'Set API_TOKEN to use the API from other computers');
+    }
+    // Browsers say which page sent a request; only the app's own pages and the configured addresses get in
+    const origin = req.headers.origin;
+    if (origin && origin !== `http://${req.headers.host}` && origin !== `https://${req.headers.host}`) {
+        if (!allowedOrigins.includes(origin)) throw new ApiError(403, `${origin} isn't allowed to use the API`);
+        // Browsers ask before sending JSON or an Authorization header from another address
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-Match');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.setHeader('Vary', 'Origin');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+    }
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+        throw new ApiError(401, 'A valid access token is required');
+    }
+
+    const parts = url.pathname.split('/').filter(Boolean).slice(1).map(decodeURIComponent);
+    const [resource, id] = parts;
+    const route = `${req.method} ${resource}${id === undefined ? '' : id === 'bulk' ? '/bulk' : '/:id'}`;
+
+    if (parts.length > 2) throw new ApiError(404, 'Not found');
+
+    switch (route) {
+    case 'GET status':
+        sendJson(res, 200, { revisions: store.getRevisions(), counts: { students: store.getStudents().length } });
+        return;
+    case 'GET students':
+        sendJson(res, 200, { ...queryStudents(store.getStudents(), url.searchParams), revision: store.getRevisions().students });
+        return;
+    case 'POST students':
+        sendJson(res, 201, await store.createStudent(await readJson(req)));
+        return;
+    case 'POST students/bulk': {
+        const { operations } = await readJson(req);
+        const results = await store.applyOperations(operations);
+        sendJson(res, 200, { results, revision: store.getRevisions().students });
+        return;
+    }
+    case 'GET students/:id':
+        sendJson(res, 200, store.getStudent(id));
+        return;
+    case 'PUT students/:id':
+        sendJson(res, 200, await store.updateStudent(id, await readJson(req), readBaseRevision(req)));
+        return;
+    case 'DELETE students/:id':
+        await store.deleteStudent(id, readBaseRevision(req));
+        res.writeHead(204);
+        res.end();
+        return;
+    case 'GET history':
+        sendJson(res, 200, { items: store.getCollection('history'), revision: store.getRevisions().history });
+        return;
+    case 'POST history': {
+        const { entries } = await readJson(req);
+        await store.appendHistory(entries);
+        sendJson(res, 200, { revision: store.getRevisions().history });
+        return;
+    }
+    case 'PUT history': {
+        const { items } = await readJson(req);
+        await store.replaceCollection('history', items, readBaseRevision(req));
+        sendJson(res, 200, { revision: store.getRevisions().history });
+        return;
+    }
+    default:
+        break;
+    }
+
+    if (SHARED_LISTS.includes(resource) && id === undefined) {
+        if (req.method === 'GET') {
+            sendJson(res, 200, { items: store.getCollection(resource), revision: store.getRevisions()[resource] });
+            return;
+        }
+        if (req.method === 'PUT') {
+            const { items } = await readJson(req);
+            await store.replaceCollection(resource, items, readBaseRevision(req));
+            sendJson(res, 200, { revision: store.getRevisions()[resource] });
+            return;
+        }
+    }
+    throw new ApiError(404, 'Not found');
+}
+
+function readHostname(req) {
+    try {
+        return new URL(`http://${req.headers.host}`).hostname;
+    } catch (error) {
+        return '';
+    }
+}
+
+function isLoopback(hostname) {
+    return LOOPBACK_HOSTS.includes(hostname) || /^127\.\d+\.\d+\.\d+$/.test(hostname);
+}
+
+// Filters, searches, sorts and pages the roster.
+//   q        words matched against name, Student ID, email and phone (all must match)
+//   course, year, gender   exact matches; favorite=true for starred students
+//   trash    'include' or 'only'; trashed students are left out by default
+//   sort     a field, with a leading - for descending
+//   page, pageSize   1-based page of at most MAX_PAGE_SIZE records
+function queryStudents(students, params) {
+    const words = (params.get('q') || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const trash = params.get('trash');
+    let matches = students.filter(student => {
+        if (trash === 'only' ? !student.deletedAt : trash !== 'include' && student.deletedAt) return false;
+        if (params.has('course') && student.course !== params.get('course')) return false;
+        if (params.has('gender') && student.gender !== params.get('gender')) return false;
+        if (params.has('year') && String(student.year) !== params.get('year')) return false;
+        if (params.get('favorite') === 'true' && student.favorite !== true) return false;
+        const text = SEARCH_FIELDS.map(field => String(student[field] || '')).join(' ').toLowerCase();
+        return words.every(word => text.includes(word));
+    });
+
+    const sort = params.get('sort');
+    if (sort) {
+        const field = sort.replace(/^-/, '');
+        if (!SORT_FIELDS.includes(field)) throw new ApiError(400, `Can't sort by ${field}`);
+        const direction = sort.startsWith('-') ? -1 : 1;
+        // Missing values go last either way
+        matches = [...matches].sort((a, b) => {
+            const left = a[field];
+            const right = b[field];
+            if (left === right) return 0;
+            if (left === null || left === undefined || left === '') return 1;
+            if (right === null || right === undefined || right === '') return -1;
+            return (typeof left === 'number' ? left - right : String(left).localeCompare(String(right))) * direction;
+        });
+    }
+
+    const page = readPositiveInteger(params, 'page', 1);
+    const pageSize = Math.min(readPositiveInteger(params, 'pageSize', DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+    return {
+        students: matches.slice((page - 1) * pageSize, page * pageSize),
+        total: matches.length,
+        page,
+        pageSize
+    };
+}
+
+function readPositiveInteger(params, name, fallback) {
+    if (!params.has(name)) return fallback;
+    const value = Number(params.get(name));
+    if (!Number.isInteger(value) || value < 1) throw new ApiError(400, `${name} must be a whole number from 1`);
+    return value;
+}
+
+// If-Match: <revision> refuses the write when the record or list has been saved since
+function readBaseRevision(req) {
+    const header = req.headers['if-match'];
+    if (header === undefined) return null;
+    const revision = Number(header.replace(/"/g, ''));
+    if (!Number.isInteger(revision)) throw new ApiError(400, 'If-Match must be a revision');
+    return revision;
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new ApiError(413, 'The request is too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new ApiError(400, 'The request body must be JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+// ==================================================
+// App files
+// ==================================================
+
+// Only the app's own files: never the server folder (it holds the data file) or anything outside the app
+async function serveAppFile(appDir, req, res, pathname) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') throw new ApiError(405, 'Method not allowed');
+    const file = path.join(appDir, path.normalize(decodeURIComponent(pathname === '/' ? '/index.html' : pathname)));
+    const relative = path.relative(appDir, file);
+    const type = CONTENT_TYPES[path.extname(file)];
+    if (!type || relative.startsWith('..') || relative.split(path.sep).some(part => part.startsWith('.') || part === 'server')) {
+        throw new ApiError(404, 'Not found');
+    }
+
+    let content;
+    try {
+        content = await fs.promises.readFile(file);
+    } catch (error) {
+        throw new ApiError(404, 'Not found');
+    }
+    // The service worker checks for new versions itself, so it must never come from the HTTP cache
+    res.writeHead(200, { 'Content-Type': type, 'Cache-Control': path.basename(file) === 'sw.js' ? 'no-cache' : 'public, max-age=300' });
+    res.end(req.method === 'HEAD' ? undefined : content);
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || DEFAULT_PORT;
+    const host = process.env.HOST || DEFAULT_HOST;
+    const token = process.env.API_TOKEN || null;
+    const allowedOrigins = (process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+    // Anyone on the network could read and change the records otherwise
+    if (!token && !isLoopback(host)) {
+        console.error(`Set API_TOKEN before sharing the server on ${host}`);
+        process.exit(1);
+    }
+    const store = new FileStore(process.env.DATA_FILE || DEFAULT_DATA_FILE);
+    store.open()
+        .then(() => {
+            createServer({ store, token, allowedOrigins }).listen(port, host, () => {
+                console.log(`🎓 Student records server on http://${host}:${port} (data in ${store.file})`);
+            });
+        })
+        .catch(error => {
+            console.error('Failed to start the server:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { createServer, queryStudents };
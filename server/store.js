@@ -0,0 +1,265 @@
+// ==========================================
+// FILE STORE
+// Everything the server shares, kept in one JSON file:
+// student records, the change history and the attendance, gradebook and catalog lists
+// ==========================================
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Each collection counts its saves, so clients can tell what changed since they last looked
+const COLLECTIONS = ['students', 'history', 'sessions', 'gradebook', 'catalog'];
+
+// Same cap as the browser's IndexedDB journal
+const HISTORY_LIMIT = 1000;
+
+// Failures carry the HTTP status the API answers with; `current` is the stored record behind a conflict
+class ApiError extends Error {
+    constructor(status, message, current = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.current = current;
+    }
+}
+
+class FileStore {
+    constructor(file) {
+        this.file = file;
+        this.data = null;
+        this.pendingWrite = Promise.resolve();
+    }
+
+    async open() {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        try {
+            this.data = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.data = {};
+        }
+        this.data.revisions = this.data.revisions || {};
+        COLLECTIONS.forEach(name => {
+            this.data[name] = this.data[name] || [];
+            this.data.revisions[name] = this.data.revisions[name] || 0;
+        });
+        return this;
+    }
+
+    // Bumps the changed collections' revisions and writes the file; writes are queued so they land in order,
+    // and go through a temporary file so a crash mid-write never leaves half a roster behind
+    save(changed) {
+        changed.forEach(name => { this.data.revisions[name]++; });
+        const json = JSON.stringify(this.data);
+        this.pendingWrite = this.pendingWrite
+            .catch(() => {})
+            .then(async () => {
+                const temp = `${this.file}.tmp`;
+                await fs.promises.writeFile(temp, json);
+                await fs.promises.rename(temp, this.file);
+            });
+        return this.pendingWrite;
+    }
+
+    getRevisions() {
+        return { ...this.data.revisions };
+    }
+
+    // ==================================================
+    // Students
+    // ==================================================
+
+    getStudents() {
+        return this.data.students;
+    }
+
+    getStudent(id) {
+        const student = this.data.students.find(s => s.id === id);
+        if (!student) throw new ApiError(404, 'Student not found');
+        return student;
+    }
+
+    async createStudent(record) {
+        const student = this.insertStudent(record);
+        await this.save(['students']);
+        return student;
+    }
+
+    // baseRevision is the revision the change started from; null replaces whatever is stored
+    async updateStudent(id, record, baseRevision = null) {
+        const student = this.replaceStudent(id, record, baseRevision);
+        await this.save(['students']);
+        return student;
+    }
+
+    async deleteStudent(id, baseRevision = null) {
+        const student = this.removeStudent(id, baseRevision);
+        await this.save(['students']);
+        return student;
+    }
+
+    // Applies each operation on its own, so one that fails is reported while the rest still go through.
+    // operations: [{ op: 'create' | 'update' | 'delete', id, record, baseRevision }]
+    // Returns one { op, id, status, student } or { op, id, status, error, current } per operation
+    async applyOperations(operations) {
+        if (!Array.isArray(operations)) throw new ApiError(400, 'operations must be a list');
+        const results = operations.map(operation => {
+            const { op, id = null, record, baseRevision = null } = operation || {};
+            try {
+                if (op === 'create') return { op, id, status: 201, student: this.insertStudent(record) };
+                if (op === 'update') return { op, id, status: 200, student: this.replaceStudent(id, record, baseRevision) };
+                if (op === 'delete') return { op, id, status: 200, student: this.removeStudent(id, baseRevision) };
+                throw new ApiError(400, `Unknown operation ${op}`);
+            } catch (error) {
+                if (!(error instanceof ApiError)) throw error;
+                return { op, id, status: error.status, error: error.message, current: error.current };
+            }
+        });
+        if (results.some(result => result.status < 300)) await this.save(['students']);
+        return results;
+    }
+
+    insertStudent(record) {
+        checkStudent(record);
+        const id = record.id ? String(record.id) : createId();
+        const existing = this.data.students.find(s => s.id === id);
+        if (existing) throw new ApiError(409, `A student with the id ${id} already exists`, existing);
+        this.assertStudentIdAvailable(record.studentId, id);
+
+        const now = new Date().toISOString();
+        const student = {
+            ...record,
+            id,
+            revision: Math.max(Number(record.revision) || 0, 1),
+            createdAt: record.createdAt || now,
+            updatedAt: record.updatedAt || now
+        };
+        this.data.students.push(student);
+        return student;
+    }
+
+    // Like the app, every write is a new revision; a client that already counted its own edits keeps its number
+    replaceStudent(id, record, baseRevision) {
+        const current = this.getStudent(id);
+        if (baseRevision !== null && current.revision !== Number(baseRevision)) {
+            throw new ApiError(409, `${current.name} was changed by someone else`, current);
+        }
+        checkStudent(record);
+        this.assertStudentIdAvailable(record.studentId, id);
+
+        const student = {
+            ...record,
+            id,
+            revision: Math.max(current.revision + 1, Number(record.revision) || 0),
+            createdAt: current.createdAt,
+            updatedAt: record.updatedAt && record.updatedAt !== current.updatedAt ? record.updatedAt : new Date().toISOString()
+        };
+        this.data.students = this.data.students.map(s => (s.id === id ? student : s));
+        return student;
+    }
+
+    removeStudent(id, baseRevision) {
+        const current = this.getStudent(id);
+        if (baseRevision !== null && current.revision !== Number(baseRevision)) {
+            throw new ApiError(409, `${current.name} was changed by someone else`, current);
+        }
+        this.data.students = this.data.students.filter(s => s.id !== id);
+        return current;
+    }
+
+    // Trashed records keep their Student ID reserved, as in the app
+    assertStudentIdAvailable(studentId, exceptId) {
+        const owner = this.data.students.find(s => s.studentId === studentId && s.id !== exceptId);
+        if (owner) throw new ApiError(409, `Student ID ${studentId} already exists`, owner);
+    }
+
+    // ==================================================
+    // History and shared lists
+    // ==================================================
+
+    getCollection(name) {
+        return this.data[name];
+    }
+
+    // baseRevision is the list revision the client last had; null replaces whatever is stored
+    async replaceCollection(name, items, baseRevision = null) {
+        if (!Array.isArray(items)) throw new ApiError(400, 'items must be a list');
+        if (baseRevision !== null && this.data.revisions[name] !== Number(baseRevision)) {
+            throw new ApiError(409, `The ${name} list was changed by someone else`);
+        }
+        this.data[name] = name === 'history' ? items.slice(-HISTORY_LIMIT) : items;
+        await this.save([name]);
+        return this.data[name];
+    }
+
+    async appendHistory(entries) {
+        if (!Array.isArray(entries)) throw new ApiError(400, 'entries must be a list');
+        // Entries sent again (e.g. by a browser that lost track of what it sent) are only kept once
+        const stored = new Set(this.data.history.map(entry => entry && entry.id));
+        const added = entries.filter(entry => {
+            if (entry && entry.id !== undefined && stored.has(entry.id)) return false;
+            stored.add(entry && entry.id);
+            return true;
+        });
+        this.data.history = [...this.data.history, ...added].slice(-HISTORY_LIMIT);
+        await this.save(['history']);
+        return this.data.history;
+    }
+}
+
+// The record shape the app saves (schema.js normalizeRecord), so nothing else syncs into every browser
+const isText = value => typeof value === 'string';
+const isNumber = value => value === null || (typeof value === 'number' && Number.isFinite(value));
+const isDate = value => value === '' || (isText(value) && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)));
+const isTimestamp = value => isText(value) && !isNaN(Date.parse(value));
+// Same as schema.js PHOTO_DATA_URL: photos end up in every browser's <img src>, so nothing but base64 image data
+const PHOTO_DATA_URL = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/]+=*$/;
+const STUDENT_FIELDS = {
+    id: { test: isText, expected: 'text' },
+    studentId: { test: isText, expected: 'text' },
+    name: { test: isText, expected: 'text' },
+    email: { test: isText, expected: 'text' },
+    phone: { test: isText, expected: 'text' },
+    dob: { test: isDate, expected: 'a YYYY-MM-DD date' },
+    gender: { test: isText, expected: 'text' },
+    course: { test: isText, expected: 'text' },
+    year: { test: isNumber, expected: 'a number' },
+    // A number, or a letter grade on the letter scale
+    gpa: { test: value => isNumber(value) || (isText(value) && /^[A-DF][+-]?$/.test(value)), expected: 'a number or letter grade' },
+    attendance: { test: value => isNumber(value) && (value === null || (value >= 0 && value <= 100)), expected: 'a percentage' },
+    enrollmentDate: { test: isDate, expected: 'a YYYY-MM-DD date' },
+    graduationDate: { test: isDate, expected: 'a YYYY-MM-DD date' },
+    notes: { test: isText, expected: 'text' },
+    photo: { test: value => value === null || (isText(value) && PHOTO_DATA_URL.test(value)), expected: 'a base64 PNG, JPEG, GIF or WebP data URL' },
+    favorite: { test: value => typeof value === 'boolean', expected: 'true or false' },
+    deletedAt: { test: value => value === null || isTimestamp(value), expected: 'a date and time' },
+    createdAt: { test: isTimestamp, expected: 'a date and time' },
+    updatedAt: { test: isTimestamp, expected: 'a date and time' },
+    revision: { test: value => Number.isInteger(value) && value > 0, expected: 'a whole number from 1' },
+    schemaVersion: { test: value => Number.isInteger(value) && value > 0, expected: 'a whole number from 1' }
+};
+
+function checkStudent(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new ApiError(400, 'A student must be a JSON object');
+    }
+    ['studentId', 'name'].forEach(field => {
+        if (typeof record[field] !== 'string' || !record[field].trim()) {
+            throw new ApiError(400, `${field} is required`);
+        }
+    });
+    // Fields left out are filled in by the app when it loads the record
+    Object.entries(record).forEach(([field, value]) => {
+        const rule = STUDENT_FIELDS[field];
+        if (!rule) throw new ApiError(400, `${field} isn't a student field`);
+        if (value !== undefined && !rule.test(value)) throw new ApiError(400, `${field} must be ${rule.expected}`);
+    });
+}
+
+// Same shape as the app's record ids
+function createId() {
+    return Date.now().toString() + crypto.randomBytes(3).toString('hex').slice(0, 4);
+}
+
+module.exports = { FileStore, ApiError, COLLECTIONS, HISTORY_LIMIT };
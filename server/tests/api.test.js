@@ -0,0 +1,319 @@
+// ==========================================
+// API INTEGRATION TESTS
+// Start the server on a free port over a temporary data file and talk to it over HTTP.
+//   node --test server/tests/
+// ==========================================
+
+const http = require('http');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, student } = require('./helpers');
+
+const TOKEN = 'test-token';
+
+describe('students API', () => {
+    let api;
+    before(async () => { api = await startServer(); });
+    after(() => api.stop());
+
+    it('creates, reads, updates and deletes a student', async () => {
+        const created = await api.request('POST', '/api/students', student());
+        assert.equal(created.status, 201);
+        assert.ok(created.body.id);
+        assert.equal(created.body.revision, 1);
+
+        const fetched = await api.request('GET', `/api/students/${created.body.id}`);
+        assert.equal(fetched.status, 200);
+        assert.equal(fetched.body.name, 'Alice Johnson');
+
+        const updated = await api.request('PUT', `/api/students/${created.body.id}`, { ...fetched.body, gpa: 9.1 },
+            { 'If-Match': '1' });
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.gpa, 9.1);
+        assert.equal(updated.body.revision, 2);
+
+        const deleted = await api.request('DELETE', `/api/students/${created.body.id}`, undefined, { 'If-Match': '2' });
+        assert.equal(deleted.status, 204);
+        assert.equal((await api.request('GET', `/api/students/${created.body.id}`)).status, 404);
+    });
+
+    it('refuses a write based on an older revision and returns the current record', async () => {
+        const { body: created } = await api.request('POST', '/api/students', student({ studentId: 'STU010' }));
+        await api.request('PUT', `/api/students/${created.id}`, { ...created, name: 'First Edit' }, { 'If-Match': '1' });
+
+        const stale = await api.request('PUT', `/api/students/${created.id}`, { ...created, name: 'Second Edit' }, { 'If-Match': '1' });
+        assert.equal(stale.status, 409);
+        assert.equal(stale.body.current.name, 'First Edit');
+        assert.equal(stale.body.current.revision, 2);
+
+        const staleDelete = await api.request('DELETE', `/api/students/${created.id}`, undefined, { 'If-Match': '1' });
+        assert.equal(staleDelete.status, 409);
+    });
+
+    it('keeps a revision the client already counted', async () => {
+        const { body: created } = await api.request('POST', '/api/students', student({ studentId: 'STU011', revision: 4 }));
+        assert.equal(created.revision, 4);
+        const { body: updated } = await api.request('PUT', `/api/students/${created.id}`, { ...created, revision: 7 }, { 'If-Match': '4' });
+        assert.equal(updated.revision, 7);
+    });
+
+    it('validates students and keeps Student IDs unique', async () => {
+        assert.equal((await api.request('POST', '/api/students', { ...student({ studentId: 'STU020' }), name: ' ' })).status, 400);
+        assert.equal((await api.request('POST', '/api/students', [student()])).status, 400);
+        const wrongType = await api.request('POST', '/api/students', student({ studentId: 'STU020', gpa: 'abc' }));
+        assert.equal(wrongType.status, 400);
+        assert.match(wrongType.body.error, /gpa must be a number or letter grade/);
+        assert.equal((await api.request('POST', '/api/students', student({ studentId: 'STU020', year: {} }))).status, 400);
+        assert.equal((await api.request('POST', '/api/students', student({ studentId: 'STU020', dob: '03/01/2001' }))).status, 400);
+        assert.equal((await api.request('POST', '/api/students', student({ studentId: 'STU020', isAdmin: true }))).status, 400);
+        // Photos go into every browser's <img src>, so only plain base64 image data gets in
+        const markup = await api.request('POST', '/api/students', student({ studentId: 'STU020', photo: 'data:image/png" onload="alert(1)' }));
+        assert.equal(markup.status, 400);
+        assert.match(markup.body.error, /photo must be a base64/);
+        assert.equal((await api.request('POST', '/api/students', student({ studentId: 'STU022', photo: 'data:image/jpeg;base64,/9j/4AAQ==' }))).status, 201);
+        assert.equal((await api.request('POST', '/api/students', student({ studentId: 'STU020', gpa: 'B+', dob: '2001-03-01' }))).status, 201);
+
+        const { body: created } = await api.request('POST', '/api/students', student({ studentId: 'STU021' }));
+        const duplicate = await api.request('POST', '/api/students', student({ studentId: 'STU021', name: 'Someone Else' }));
+        assert.equal(duplicate.status, 409);
+        assert.equal(duplicate.body.current.id, created.id);
+
+        const sameId = await api.request('POST', '/api/students', student({ id: created.id, studentId: 'STU022' }));
+        assert.equal(sameId.status, 409);
+    });
+
+    it('answers 404 for unknown students and routes, and 400 for bad JSON', async () => {
+        assert.equal((await api.request('GET', '/api/students/nope')).status, 404);
+        assert.equal((await api.request('PUT', '/api/students/nope', student({ studentId: 'STU030' }))).status, 404);
+        assert.equal((await api.request('GET', '/api/teachers')).status, 404);
+
+        const response = await fetch(`${api.base}/api/students`, { method: 'POST', body: '{not json' });
+        assert.equal(response.status, 400);
+    });
+});
+
+describe('listing students', () => {
+    let api;
+    before(async () => {
+        api = await startServer();
+        const students = [
+            student({ studentId: 'STU101', name: 'Alice Johnson', course: 'Computer Science', year: 1, gpa: 8.5, favorite: true }),
+            student({ studentId: 'STU102', name: 'Bob Smith', email: 'bob@example.com', course: 'Mathematics', year: 2, gpa: 6.2 }),
+            student({ studentId: 'STU103', name: 'Carol White', email: 'carol@example.com', course: 'Computer Science', year: 2, gpa: null }),
+            student({ studentId: 'STU104', name: 'Dan Brown', email: 'dan@example.com', course: 'Physics', year: 3, gpa: 9.4 }),
+            student({ studentId: 'STU105', name: 'Eve Black', email: 'eve@example.com', course: 'Physics', year: 1, gpa: 7.0,
+                deletedAt: '2024-01-01T00:00:00.000Z' })
+        ];
+        for (const record of students) await api.request('POST', '/api/students', record);
+    });
+    after(() => api.stop());
+
+    it('leaves trashed students out unless asked', async () => {
+        assert.equal((await api.request('GET', '/api/students')).body.total, 4);
+        assert.equal((await api.request('GET', '/api/students?trash=include')).body.total, 5);
+        const { body } = await api.request('GET', '/api/students?trash=only');
+        assert.deepEqual(body.students.map(s => s.studentId), ['STU105']);
+    });
+
+    it('filters by course, year and favorite', async () => {
+        const byCourse = await api.request('GET', `/api/students?course=${encodeURIComponent('Computer Science')}`);
+        assert.deepEqual(byCourse.body.students.map(s => s.studentId), ['STU101', 'STU103']);
+        const byYear = await api.request('GET', '/api/students?year=2');
+        assert.deepEqual(byYear.body.students.map(s => s.studentId), ['STU102', 'STU103']);
+        const favorites = await api.request('GET', '/api/students?favorite=true');
+        assert.deepEqual(favorites.body.students.map(s => s.studentId), ['STU101']);
+    });
+
+    it('searches name, Student ID, email and phone', async () => {
+        assert.deepEqual((await api.request('GET', '/api/students?q=bob')).body.students.map(s => s.name), ['Bob Smith']);
+        assert.deepEqual((await api.request('GET', '/api/students?q=STU104')).body.students.map(s => s.name), ['Dan Brown']);
+        assert.deepEqual((await api.request('GET', '/api/students?q=carol%40example')).body.students.map(s => s.name), ['Carol White']);
+        assert.equal((await api.request('GET', '/api/students?q=alice+smith')).body.total, 0);
+    });
+
+    it('sorts, with missing values last', async () => {
+        const { body } = await api.request('GET', '/api/students?sort=-gpa');
+        assert.deepEqual(body.students.map(s => s.studentId), ['STU104', 'STU101', 'STU102', 'STU103']);
+        assert.equal((await api.request('GET', '/api/students?sort=password')).status, 400);
+    });
+
+    it('pages through the results', async () => {
+        const first = await api.request('GET', '/api/students?sort=studentId&pageSize=3');
+        assert.deepEqual(first.body.students.map(s => s.studentId), ['STU101', 'STU102', 'STU103']);
+        assert.equal(first.body.total, 4);
+        assert.equal(first.body.pageSize, 3);
+        const second = await api.request('GET', '/api/students?sort=studentId&pageSize=3&page=2');
+        assert.deepEqual(second.body.students.map(s => s.studentId), ['STU104']);
+        assert.equal((await api.request('GET', '/api/students?page=0')).status, 400);
+    });
+
+    it('reports the roster revision', async () => {
+        const { body: status } = await api.request('GET', '/api/status');
+        const { body: list } = await api.request('GET', '/api/students');
+        assert.equal(status.revisions.students, 5);
+        assert.equal(list.revision, 5);
+        assert.equal(status.counts.students, 5);
+    });
+});
+
+describe('bulk changes', () => {
+    let api;
+    before(async () => { api = await startServer(); });
+    after(() => api.stop());
+
+    it('applies each operation on its own and reports every result', async () => {
+        const { body: existing } = await api.request('POST', '/api/students', student({ studentId: 'STU201' }));
+        const { body: doomed } = await api.request('POST', '/api/students', student({ studentId: 'STU202', name: 'Gone Soon' }));
+        const revision = (await api.request('GET', '/api/status')).body.revisions.students;
+
+        const { status, body } = await api.request('POST', '/api/students/bulk', {
+            operations: [
+                { op: 'create', record: student({ id: 'new1', studentId: 'STU203', name: 'New Student' }) },
+                { op: 'update', id: existing.id, baseRevision: 1, record: { ...existing, gpa: 9.9 } },
+                { op: 'update', id: existing.id, baseRevision: 1, record: { ...existing, gpa: 1.0 } },
+                { op: 'delete', id: doomed.id, baseRevision: 1 },
+                { op: 'create', record: student({ studentId: 'STU203' }) },
+                { op: 'rename' }
+            ]
+        });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.results.map(r => r.status), [201, 200, 409, 200, 409, 400]);
+        assert.equal(body.results[2].current.gpa, 9.9);
+        // One save for the whole batch
+        assert.equal(body.revision, revision + 1);
+
+        const { body: list } = await api.request('GET', '/api/students?sort=studentId');
+        assert.deepEqual(list.students.map(s => `${s.studentId}:${s.gpa}`), ['STU201:9.9', 'STU203:8.5']);
+    });
+
+    it('needs a list of operations', async () => {
+        assert.equal((await api.request('POST', '/api/students/bulk', { operations: 'all' })).status, 400);
+    });
+});
+
+describe('history and shared lists', () => {
+    let api;
+    before(async () => { api = await startServer(); });
+    after(() => api.stop());
+
+    it('replaces attendance, gradebook and catalog lists whole', async () => {
+        const courses = [{ id: 'c1', name: 'Physics', code: 'PHY101' }];
+        const saved = await api.request('PUT', '/api/catalog', { items: courses });
+        assert.equal(saved.status, 200);
+        assert.equal(saved.body.revision, 1);
+        assert.deepEqual((await api.request('GET', '/api/catalog')).body, { items: courses, revision: 1 });
+        assert.equal((await api.request('PUT', '/api/sessions', { items: {} })).status, 400);
+    });
+
+    it('refuses a list saved over an older revision', async () => {
+        const first = await api.request('PUT', '/api/sessions', { items: [{ id: 's1', marks: {} }] }, { 'If-Match': '0' });
+        assert.equal(first.status, 200);
+        const stale = await api.request('PUT', '/api/sessions', { items: [] }, { 'If-Match': '0' });
+        assert.equal(stale.status, 409);
+        assert.deepEqual((await api.request('GET', '/api/sessions')).body.items.map(s => s.id), ['s1']);
+        assert.equal((await api.request('PUT', '/api/sessions', { items: [] }, { 'If-Match': String(first.body.revision) })).status, 200);
+    });
+
+    it('appends to the change history', async () => {
+        await api.request('POST', '/api/history', { entries: [{ id: 'h1', summary: 'Added Alice' }] });
+        await api.request('POST', '/api/history', { entries: [{ id: 'h2', summary: 'Edited Alice' }] });
+        const { body } = await api.request('GET', '/api/history');
+        assert.deepEqual(body.items.map(entry => entry.id), ['h1', 'h2']);
+        assert.equal(body.revision, 2);
+    });
+
+    it('keeps history entries sent twice only once', async () => {
+        await api.request('POST', '/api/history', { entries: [{ id: 'h1', summary: 'Added Alice' }] });
+        await api.request('POST', '/api/history', { entries: [{ id: 'h1', summary: 'Added Alice' }, { id: 'h2', summary: 'Edited Alice' }] });
+        const { body } = await api.request('GET', '/api/history');
+        assert.deepEqual(body.items.map(entry => entry.id), ['h1', 'h2']);
+    });
+});
+
+describe('server setup', () => {
+    it('keeps records in the data file across restarts', async () => {
+        const first = await startServer();
+        await first.request('POST', '/api/students', student({ studentId: 'STU301' }));
+        await first.stop();
+
+        const second = await startServer({ file: first.dataFile });
+        const { body } = await second.request('GET', '/api/students');
+        await second.stop();
+        assert.deepEqual(body.students.map(s => s.studentId), ['STU301']);
+        assert.equal(body.revision, 1);
+    });
+
+    it('asks for the access token when one is set', async () => {
+        const api = await startServer({ token: TOKEN });
+        try {
+            assert.equal((await api.request('GET', '/api/students')).status, 401);
+            assert.equal((await api.request('GET', '/api/students', undefined, { Authorization: 'Bearer wrong' })).status, 401);
+            assert.equal((await api.request('GET', '/api/students', undefined, { Authorization: `Bearer ${TOKEN}` })).status, 200);
+        } finally {
+            await api.stop();
+        }
+    });
+
+    it('refuses pages from other addresses unless they are allowed', async () => {
+        const api = await startServer({ allowedOrigins: ['https://school.example'] });
+        try {
+            const own = await api.request('POST', '/api/students', student(), { Origin: api.base });
+            assert.equal(own.status, 201);
+            assert.equal(own.headers.get('access-control-allow-origin'), null);
+
+            const other = await api.request('GET', '/api/students', undefined, { Origin: 'https://evil.example' });
+            assert.equal(other.status, 403);
+            assert.equal(other.headers.get('access-control-allow-origin'), null);
+            assert.equal((await api.request('POST', '/api/students/bulk', { operations: [] },
+                { Origin: 'https://evil.example' })).status, 403);
+
+            // Browsers ask before sending JSON or the token from another address
+            const preflight = await api.request('OPTIONS', '/api/students', undefined, { Origin: 'https://school.example' });
+            assert.equal(preflight.status, 204);
+            assert.equal(preflight.headers.get('access-control-allow-origin'), 'https://school.example');
+            const allowed = await api.request('GET', '/api/students', undefined, { Origin: 'https://school.example' });
+            assert.equal(allowed.status, 200);
+            assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://school.example');
+        } finally {
+            await api.stop();
+        }
+    });
+
+    it('only answers to this computer\'s own name without a token', async () => {
+        const open = await startServer();
+        const locked = await startServer({ token: TOKEN });
+        // fetch() always sends the address it connects to as the Host
+        const statusAs = (api, host, headers = {}) => new Promise((resolve, reject) => {
+            http.get({ port: api.port, host: '127.0.0.1', path: '/api/status', headers: { Host: host, ...headers } }, response => {
+                response.resume();
+                resolve(response.statusCode);
+            }).on('error', reject);
+        });
+        try {
+            assert.equal(await statusAs(open, `localhost:${open.port}`), 200);
+            assert.equal(await statusAs(open, 'rebound.example'), 403);
+            assert.equal(await statusAs(locked, 'records.school.example', { Authorization: `Bearer ${TOKEN}` }), 200);
+        } finally {
+            await open.stop();
+            await locked.stop();
+        }
+    });
+
+    it('serves the app but never the server folder or files outside the app', async () => {
+        const api = await startServer();
+        try {
+            const page = await fetch(`${api.base}/`);
+            assert.equal(page.status, 200);
+            assert.match(page.headers.get('content-type'), /text\/html/);
+            assert.match(await page.text(), /Student Record/);
+            assert.equal((await fetch(`${api.base}/remote.js`)).status, 200);
+            assert.equal((await fetch(`${api.base}/server/server.js`)).status, 404);
+            assert.equal((await fetch(`${api.base}/server/data/students.json`)).status, 404);
+            assert.equal((await fetch(`${api.base}/%2e%2e/etc/passwd`)).status, 404);
+            assert.equal((await fetch(`${api.base}/requests.jsonl`)).status, 404);
+        } finally {
+            await api.stop();
+        }
+    });
+});
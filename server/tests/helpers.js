@@ -0,0 +1,51 @@
+// ==========================================
+// TEST HELPERS
+// A server on a free port over a temporary data file, and sample records
+// ==========================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer } = require('../server');
+const { FileStore } = require('../store');
+
+function student(overrides = {}) {
+    return {
+        studentId: 'STU001',
+        name: 'Alice Johnson',
+        email: 'alice@example.com',
+        phone: '5551234567',
+        course: 'Computer Science',
+        year: 2,
+        gpa: 8.5,
+        favorite: false,
+        deletedAt: null,
+        ...overrides
+    };
+}
+
+// Starts a server over its own data file (or the given one, e.g. to restart it); returns helpers bound to its address
+async function startServer({ token = null, file = null, port = 0, allowedOrigins = [] } = {}) {
+    const dataFile = file || path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'student-api-')), 'students.json');
+    const store = await new FileStore(dataFile).open();
+    const server = createServer({ store, token, allowedOrigins });
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (method, url, body, headers = {}) => {
+        const response = await fetch(base + url, {
+            method,
+            headers: { ...(body === undefined ? {} : { 'Content-Type': 'application/json' }), ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null, headers: response.headers };
+    };
+    const stop = () => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    });
+    return { base, port: server.address().port, store, dataFile, request, stop };
+}
+
+module.exports = { startServer, student };
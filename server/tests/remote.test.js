@@ -0,0 +1,254 @@
+// ==========================================
+// SERVER STORAGE INTEGRATION TESTS
+// Run the app's own remote.js against a local server. Each "browser" loads the page scripts
+// into a separate context with its own localStorage, so several can share one server.
+//   node --test server/tests/
+// ==========================================
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { startServer, student } = require('./helpers');
+
+const APP_DIR = path.join(__dirname, '..', '..');
+const BROWSER_SCRIPTS = ['grading.js', 'schema.js', 'sync.js', 'storage.js', 'remote.js'];
+
+function openBrowser() {
+    const items = new Map();
+    const localStorage = {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+    const browser = vm.createContext({
+        console, fetch, AbortSignal, setTimeout, clearTimeout, setInterval, clearInterval, localStorage,
+        window: { addEventListener() {} }
+    });
+    BROWSER_SCRIPTS.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(APP_DIR, file), 'utf8'), browser, { filename: file });
+    });
+    return browser;
+}
+
+// A browser connected to the server, keeping its copy in localStorage like browsers without IndexedDB
+function connect(browser, url) {
+    browser.serverUrl = url;
+    return vm.runInContext(
+        'new RemoteStorageAdapter({ url: serverUrl }, new LocalStorageAdapter(...STORAGE_KEYS.map(key => SERVER_CACHE_PREFIX + key)))',
+        browser
+    );
+}
+
+// Saves like StudentManager does: over the revision last seen, then waits for the server to have it
+async function saveAndSync(adapter, students) {
+    await adapter.save(students, await adapter.loadRevision());
+    await adapter.sync();
+}
+
+// Values made in a browser context have that context's Array and Object, which deepEqual tells apart
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function record(overrides = {}) {
+    return { ...student(overrides), id: overrides.id || overrides.studentId, revision: overrides.revision || 1 };
+}
+
+describe('server storage', () => {
+    let api;
+    let adapters;
+    const open = async () => {
+        const adapter = connect(openBrowser(), api.base);
+        adapters.push(adapter);
+        await adapter.load();
+        return adapter;
+    };
+
+    beforeEach(async () => {
+        api = await startServer();
+        adapters = [];
+    });
+    afterEach(async () => {
+        adapters.forEach(adapter => adapter.stop());
+        await api.stop();
+    });
+
+    it('sends saves to the server and brings them to other browsers', async () => {
+        const first = await open();
+        await saveAndSync(first, [record({ studentId: 'STU001' }), record({ studentId: 'STU002', name: 'Bob Smith' })]);
+
+        const { body } = await api.request('GET', '/api/students');
+        assert.deepEqual(body.students.map(s => s.name), ['Alice Johnson', 'Bob Smith']);
+        assert.deepEqual(plain(first.status), { online: true, pending: 0, error: null });
+
+        const second = await open();
+        assert.deepEqual(plain(await second.load()).map(s => s.name), ['Alice Johnson', 'Bob Smith']);
+    });
+
+    it('queues changes while the server is down and replays them when it is back', async () => {
+        const adapter = await open();
+        await saveAndSync(adapter, [record({ studentId: 'STU001' })]);
+
+        await api.stop();
+        const students = await adapter.load();
+        await saveAndSync(adapter, [{ ...students[0], gpa: 9.5, revision: 2 }, record({ studentId: 'STU002', name: 'Offline Add' })]);
+        assert.equal(adapter.status.online, false);
+        assert.equal(adapter.status.pending, 2);
+        // The browser's copy already has both changes
+        assert.deepEqual(plain(await adapter.load()).map(s => `${s.studentId}:${s.gpa}`), ['STU001:9.5', 'STU002:8.5']);
+
+        api = await startServer({ file: api.dataFile, port: api.port });
+        await adapter.sync();
+        assert.deepEqual(plain(adapter.status), { online: true, pending: 0, error: null });
+        const { body } = await api.request('GET', '/api/students');
+        assert.deepEqual(body.students.map(s => `${s.studentId}:${s.gpa}:${s.revision}`), ['STU001:9.5:2', 'STU002:8.5:1']);
+    });
+
+    it('merges other people\'s changes and reports edits made on both sides', async () => {
+        const first = await open();
+        await saveAndSync(first, [record({ studentId: 'STU001' }), record({ studentId: 'STU002', name: 'Bob Smith' })]);
+        const second = await open();
+
+        const [alice, bob] = await first.load();
+        await saveAndSync(first, [{ ...alice, name: 'Alice Renamed', revision: 2 }, { ...bob, year: 3, revision: 2 }]);
+
+        // Edited here from the old Alice before hearing about the rename
+        const [staleAlice, staleBob] = await second.load();
+        await saveAndSync(second, [{ ...staleAlice, gpa: 4.2, revision: 2 }, staleBob]);
+
+        const conflicts = second.takeConflicts();
+        assert.equal(conflicts.length, 1);
+        assert.equal(conflicts[0].mine.gpa, 4.2);
+        assert.equal(conflicts[0].theirs.name, 'Alice Renamed');
+        // The server's version wins in the copy; the conflict lets the person put theirs back
+        assert.deepEqual(plain(await second.load()).map(s => `${s.name}:${s.gpa}:${s.year}`), ['Alice Renamed:8.5:2', 'Bob Smith:8.5:3']);
+        assert.deepEqual(plain(second.takeConflicts()), []);
+    });
+
+    it('removes purged records everywhere', async () => {
+        const first = await open();
+        await saveAndSync(first, [record({ studentId: 'STU001' }), record({ studentId: 'STU002', name: 'Bob Smith' })]);
+        const second = await open();
+
+        await saveAndSync(first, (await first.load()).slice(0, 1));
+        assert.equal((await api.request('GET', '/api/students')).body.total, 1);
+
+        await second.sync();
+        assert.deepEqual(plain(await second.load()).map(s => s.studentId), ['STU001']);
+    });
+
+    it('reports records the server refuses and keeps them queued', async () => {
+        const first = await open();
+        await saveAndSync(first, [record({ studentId: 'STU001' })]);
+        const second = await open();
+
+        await saveAndSync(second, [...await second.load(), record({ id: 'other', studentId: 'STU001', name: 'Same ID' })]);
+        assert.equal(second.status.pending, 1);
+        assert.match(second.status.error, /Same ID: Student ID STU001 already exists/);
+        assert.equal((await api.request('GET', '/api/students')).body.total, 1);
+    });
+
+    it('shares attendance, gradebook, catalog and the change history', async () => {
+        const first = await open();
+        const second = await open();
+
+        await first.saveCatalog([{ id: 'c1', name: 'Physics', code: 'PHY101' }]);
+        await first.saveSessions([{ id: 's1', course: 'Physics', date: '2024-03-01', marks: {} }]);
+        await first.appendHistory([{ id: 'h1', action: 'add', summary: 'Added Alice' }]);
+        await first.sync();
+        await first.appendHistory([{ id: 'h2', action: 'update', summary: 'Edited Alice' }]);
+        await first.sync();
+
+        await second.sync();
+        assert.deepEqual(plain(await second.loadCatalog()).map(c => c.code), ['PHY101']);
+        assert.deepEqual(plain(await second.loadSessions()).map(s => s.id), ['s1']);
+        assert.deepEqual(plain(await second.loadGradebook()), []);
+        assert.deepEqual(plain(await second.loadHistory()).map(entry => entry.id), ['h1', 'h2']);
+    });
+
+    it('sends only new history entries after the last one sent was trimmed from the journal', async () => {
+        const adapter = await open();
+        await adapter.appendHistory([{ id: 'h1', summary: 'Added Alice' }, { id: 'h2', summary: 'Added Bob' }]);
+        await adapter.sync();
+
+        // As after a long offline stretch: the journal was trimmed past the entry last sent
+        await adapter.cache.replaceHistory([{ id: 'h2', summary: 'Added Bob' }, { id: 'h3', summary: 'Edited Bob' }]);
+        adapter.state.lastHistoryId = 'h1';
+        adapter.saveState();
+        await adapter.sync();
+
+        assert.deepEqual((await api.request('GET', '/api/history')).body.items.map(entry => entry.id), ['h1', 'h2', 'h3']);
+    });
+
+    it('merges roll calls and scores two people saved at once, item by item', async () => {
+        const first = await open();
+        await first.saveSessions([
+            { id: 's1', course: 'Physics', date: '2024-03-01', marks: {}, updatedAt: '2024-03-01T09:00:00.000Z' },
+            { id: 's2', course: 'Physics', date: '2024-03-02', marks: {}, updatedAt: '2024-03-02T09:00:00.000Z' }
+        ]);
+        await first.saveGradebook([{
+            id: 'g1', code: 'PHY101', assessments: [{ id: 'a1' }, { id: 'a2' }], scores: {}, updatedAt: '2024-03-01T09:00:00.000Z'
+        }]);
+        await first.sync();
+        const second = await open();
+
+        // Both take the same roll call and enter scores before hearing from each other
+        const [s1, s2] = await first.loadSessions();
+        await first.saveSessions([{ ...s1, marks: { alice: 'present' }, updatedAt: '2024-03-01T09:05:00.000Z' }, s2]);
+        const [course] = await first.loadGradebook();
+        await first.saveGradebook([{ ...course, scores: { alice: { a1: 90 } }, updatedAt: '2024-03-01T09:05:00.000Z' }]);
+        await first.sync();
+
+        const [theirS1] = await second.loadSessions();
+        await second.saveSessions([
+            { ...theirS1, marks: { bob: 'absent' }, updatedAt: '2024-03-01T09:06:00.000Z' },
+            { id: 's3', course: 'Physics', date: '2024-03-03', marks: { bob: 'late' }, updatedAt: '2024-03-03T09:00:00.000Z' }
+        ]);
+        const [theirCourse] = await second.loadGradebook();
+        await second.saveGradebook([{ ...theirCourse, scores: { alice: { a2: 70 }, bob: { a1: 55 } }, updatedAt: '2024-03-01T09:06:00.000Z' }]);
+        await second.sync();
+        assert.deepEqual(plain(second.status), { online: true, pending: 0, error: null });
+
+        // Neither roll call is lost; s2, removed in the second browser only, stays removed
+        const { body: sessions } = await api.request('GET', '/api/sessions');
+        assert.deepEqual(sessions.items.map(s => `${s.id}:${JSON.stringify(s.marks)}`),
+            ['s1:{"alice":"present","bob":"absent"}', 's3:{"bob":"late"}']);
+        const { body: gradebook } = await api.request('GET', '/api/gradebook');
+        assert.deepEqual(gradebook.items[0].scores, { alice: { a1: 90, a2: 70 }, bob: { a1: 55 } });
+
+        await first.sync();
+        assert.deepEqual(plain(await first.loadSessions()), sessions.items);
+    });
+
+    it('uploads a browser\'s own records to an empty server', async () => {
+        const browser = openBrowser();
+        const own = vm.runInContext('new LocalStorageAdapter()', browser);
+        await own.save([record({ studentId: 'STU001' }), record({ studentId: 'STU002', name: 'Bob Smith' })]);
+        await own.saveCatalog([{ id: 'c1', name: 'Physics' }]);
+        await own.appendHistory([{ id: 'h1', summary: 'Added Alice' }, { id: 'h2', summary: 'Added Bob' }]);
+
+        const adapter = connect(browser, api.base);
+        adapters.push(adapter);
+        assert.equal((await adapter.checkConnection()).counts.students, 0);
+        await adapter.reset();
+        await adapter.upload(own);
+
+        const { body: status } = await api.request('GET', '/api/status');
+        assert.equal(status.counts.students, 2);
+        assert.deepEqual((await api.request('GET', '/api/catalog')).body.items.map(c => c.name), ['Physics']);
+        // Sent once as a whole journal, not again as new entries
+        assert.deepEqual((await api.request('GET', '/api/history')).body.items.map(entry => entry.id), ['h1', 'h2']);
+    });
+
+    it('explains a refused access token', async () => {
+        await api.stop();
+        api = await startServer({ token: 'secret' });
+        const adapter = connect(openBrowser(), api.base);
+        await assert.rejects(adapter.checkConnection(), { name: 'ServerError', status: 401 });
+        await adapter.sync();
+        assert.equal(adapter.status.online, true);
+        assert.match(adapter.status.error, /access token/);
+    });
+});
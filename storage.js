@@ -0,0 +1,429 @@
+// ==========================================
+// STORAGE ADAPTERS
+// Pluggable persistence for student records
+// ==========================================
+
+const STORAGE_KEY = 'studentRecords';
+const HISTORY_KEY = 'studentHistory';
+const SESSIONS_KEY = 'attendanceSessions';
+const GRADEBOOK_KEY = 'gradebookCourses';
+const CATALOG_KEY = 'courseCatalog';
+const REVISION_KEY = 'studentRecordsRevision';
+
+// In LocalStorageAdapter's constructor order
+const STORAGE_KEYS = [STORAGE_KEY, HISTORY_KEY, SESSIONS_KEY, GRADEBOOK_KEY, CATALOG_KEY, REVISION_KEY];
+
+const DEFAULT_DB_NAME = 'studentRecordsDB';
+
+// LocalStorage Adapter - keeps the whole roster as one JSON string
+class LocalStorageAdapter {
+    constructor(key = STORAGE_KEY, historyKey = HISTORY_KEY, sessionsKey = SESSIONS_KEY, gradebookKey = GRADEBOOK_KEY,
+        catalogKey = CATALOG_KEY, revisionKey = REVISION_KEY) {
+        this.key = key;
+        this.historyKey = historyKey;
+        this.sessionsKey = sessionsKey;
+        this.gradebookKey = gradebookKey;
+        this.catalogKey = catalogKey;
+        this.revisionKey = revisionKey;
+        // Journal snapshots share the ~5MB localStorage quota with the roster
+        this.historyLimit = 100;
+    }
+
+    async load() {
+        const data = localStorage.getItem(this.key);
+        return data ? JSON.parse(data) : [];
+    }
+
+    // Counts roster saves, so a tab can tell whether another one saved since it last looked
+    async loadRevision() {
+        return Number(localStorage.getItem(this.revisionKey)) || 0;
+    }
+
+    // Refuses to save over a roster saved since expectedRevision (null skips the check); returns the new revision
+    async save(students, expectedRevision = null) {
+        const current = await this.loadRevision();
+        if (expectedRevision !== null && current !== expectedRevision) {
+            throw new StaleStorageError();
+        }
+        localStorage.setItem(this.key, JSON.stringify(students));
+        localStorage.setItem(this.revisionKey, String(current + 1));
+        return current + 1;
+    }
+
+    async clear() {
+        localStorage.removeItem(this.key);
+        localStorage.setItem(this.revisionKey, String(await this.loadRevision() + 1));
+    }
+
+    async loadHistory() {
+        const data = localStorage.getItem(this.historyKey);
+        return data ? JSON.parse(data) : [];
+    }
+
+    // Appends journal entries, dropping the oldest beyond historyLimit
+    async appendHistory(entries) {
+        const history = [...await this.loadHistory(), ...entries].slice(-this.historyLimit);
+        localStorage.setItem(this.historyKey, JSON.stringify(history));
+    }
+
+    // Swaps the whole journal, e.g. when encryption is turned on or off
+    async replaceHistory(entries) {
+        localStorage.setItem(this.historyKey, JSON.stringify(entries.slice(-this.historyLimit)));
+    }
+
+    async loadSessions() {
+        const data = localStorage.getItem(this.sessionsKey);
+        return data ? JSON.parse(data) : [];
+    }
+
+    async saveSessions(sessions) {
+        localStorage.setItem(this.sessionsKey, JSON.stringify(sessions));
+    }
+
+    async loadGradebook() {
+        const data = localStorage.getItem(this.gradebookKey);
+        return data ? JSON.parse(data) : [];
+    }
+
+    async saveGradebook(courses) {
+        localStorage.setItem(this.gradebookKey, JSON.stringify(courses));
+    }
+
+    async loadCatalog() {
+        const data = localStorage.getItem(this.catalogKey);
+        return data ? JSON.parse(data) : [];
+    }
+
+    async saveCatalog(courses) {
+        localStorage.setItem(this.catalogKey, JSON.stringify(courses));
+    }
+}
+
+// IndexedDB Adapter - records and photo blobs live in separate object stores
+class IndexedDBAdapter {
+    constructor(dbName = DEFAULT_DB_NAME) {
+        this.dbName = dbName;
+        this.version = 5;
+        this.historyLimit = 1000;
+        this.db = null;
+        // Photos already persisted, keyed by record id, so saves only rewrite changed blobs
+        this.photoCache = new Map();
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('students')) {
+                    db.createObjectStore('students', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('photos')) {
+                    db.createObjectStore('photos');
+                }
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta');
+                }
+                // v2: change journal, keyed by insertion order
+                if (!db.objectStoreNames.contains('history')) {
+                    db.createObjectStore('history', { autoIncrement: true });
+                }
+                // v3: attendance roll-call sessions
+                if (!db.objectStoreNames.contains('sessions')) {
+                    db.createObjectStore('sessions', { keyPath: 'id' });
+                }
+                // v4: gradebook courses with their assessments and scores
+                if (!db.objectStoreNames.contains('gradebook')) {
+                    db.createObjectStore('gradebook', { keyPath: 'id' });
+                }
+                // v5: course catalog
+                if (!db.objectStoreNames.contains('catalog')) {
+                    db.createObjectStore('catalog', { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const results = {};
+            work(tx, results);
+            tx.oncomplete = () => resolve(results);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async load({ includePhotos = true } = {}) {
+        await this.migrateFromLocalStorage();
+
+        const results = await this.transaction(['students', 'photos', 'meta'], 'readonly', (tx, out) => {
+            tx.objectStore('students').getAll().onsuccess = (e) => { out.records = e.target.result; };
+            tx.objectStore('meta').get('order').onsuccess = (e) => { out.order = e.target.result || []; };
+            if (includePhotos) {
+                const photos = tx.objectStore('photos');
+                photos.getAllKeys().onsuccess = (e) => { out.photoIds = e.target.result; };
+                photos.getAll().onsuccess = (e) => { out.photoBlobs = e.target.result; };
+            }
+        });
+
+        const position = new Map(results.order.map((id, index) => [id, index]));
+        const students = results.records.sort((a, b) =>
+            (position.has(a.id) ? position.get(a.id) : Infinity) -
+            (position.has(b.id) ? position.get(b.id) : Infinity)
+        );
+
+        if (includePhotos) {
+            this.photoCache.clear();
+            for (let i = 0; i < results.photoIds.length; i++) {
+                this.photoCache.set(results.photoIds[i], await blobToDataURL(results.photoBlobs[i]));
+            }
+            students.forEach(student => {
+                if (this.photoCache.has(student.id)) {
+                    student.photo = this.photoCache.get(student.id);
+                }
+            });
+        }
+
+        return students;
+    }
+
+    async loadRevision() {
+        const { revision } = await this.transaction(['meta'], 'readonly', (tx, out) => {
+            tx.objectStore('meta').get('revision').onsuccess = (e) => { out.revision = e.target.result || 0; };
+        });
+        return revision;
+    }
+
+    // Refuses to save over a roster saved since expectedRevision (null skips the check); returns the new revision
+    async save(students, expectedRevision = null) {
+        const ids = new Set(students.map(s => s.id));
+        const photoWrites = new Map();
+
+        students.forEach(student => {
+            const photo = student.photo || null;
+            if (photo !== (this.photoCache.get(student.id) || null)) {
+                photoWrites.set(student.id, photo);
+            }
+        });
+        this.photoCache.forEach((photo, id) => {
+            if (!ids.has(id)) photoWrites.set(id, null);
+        });
+
+        let stale = false;
+        let revision = null;
+        try {
+            await this.transaction(['students', 'photos', 'meta'], 'readwrite', (tx) => {
+                const meta = tx.objectStore('meta');
+                // Checked and bumped in the writing transaction, so two tabs can't both save over one revision
+                meta.get('revision').onsuccess = (e) => {
+                    const current = e.target.result || 0;
+                    if (expectedRevision !== null && current !== expectedRevision) {
+                        stale = true;
+                        tx.abort();
+                        return;
+                    }
+                    revision = current + 1;
+
+                    const records = tx.objectStore('students');
+                    records.clear();
+                    students.forEach(({ photo, ...record }) => records.put(record));
+
+                    const photos = tx.objectStore('photos');
+                    photoWrites.forEach((photo, id) => {
+                        if (photo) {
+                            photos.put(dataURLToBlob(photo), id);
+                        } else {
+                            photos.delete(id);
+                        }
+                    });
+
+                    meta.put(students.map(s => s.id), 'order');
+                    meta.put(revision, 'revision');
+                };
+            });
+        } catch (error) {
+            throw stale ? new StaleStorageError() : error;
+        }
+
+        photoWrites.forEach((photo, id) => {
+            if (photo) {
+                this.photoCache.set(id, photo);
+            } else {
+                this.photoCache.delete(id);
+            }
+        });
+        return revision;
+    }
+
+    async clear() {
+        const revision = await this.loadRevision();
+        await this.transaction(['students', 'photos', 'meta'], 'readwrite', (tx) => {
+            tx.objectStore('students').clear();
+            tx.objectStore('photos').clear();
+            tx.objectStore('meta').clear();
+            tx.objectStore('meta').put(revision + 1, 'revision');
+        });
+        this.photoCache.clear();
+    }
+
+    async loadHistory() {
+        const { entries } = await this.transaction(['history'], 'readonly', (tx, out) => {
+            tx.objectStore('history').getAll().onsuccess = (e) => { out.entries = e.target.result; };
+        });
+        return entries;
+    }
+
+    async appendHistory(entries) {
+        await this.transaction(['history'], 'readwrite', (tx) => {
+            const history = tx.objectStore('history');
+            entries.forEach(entry => history.add(entry));
+
+            history.count().onsuccess = (e) => {
+                const excess = e.target.result - this.historyLimit;
+                if (excess <= 0) return;
+                // Keys ascend with insertion, so the cursor starts at the oldest entry
+                let removed = 0;
+                history.openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor || removed >= excess) return;
+                    cursor.delete();
+                    removed++;
+                    cursor.continue();
+                };
+            };
+        });
+    }
+
+    async replaceHistory(entries) {
+        await this.transaction(['history'], 'readwrite', (tx) => {
+            const history = tx.objectStore('history');
+            history.clear();
+            entries.slice(-this.historyLimit).forEach(entry => history.add(entry));
+        });
+    }
+
+    async loadSessions() {
+        const { sessions } = await this.transaction(['sessions'], 'readonly', (tx, out) => {
+            tx.objectStore('sessions').getAll().onsuccess = (e) => { out.sessions = e.target.result; };
+        });
+        return sessions;
+    }
+
+    async saveSessions(sessions) {
+        await this.transaction(['sessions'], 'readwrite', (tx) => {
+            const store = tx.objectStore('sessions');
+            store.clear();
+            sessions.forEach(session => store.put(session));
+        });
+    }
+
+    async loadGradebook() {
+        const { courses } = await this.transaction(['gradebook'], 'readonly', (tx, out) => {
+            tx.objectStore('gradebook').getAll().onsuccess = (e) => { out.courses = e.target.result; };
+        });
+        return courses;
+    }
+
+    async saveGradebook(courses) {
+        await this.transaction(['gradebook'], 'readwrite', (tx) => {
+            const store = tx.objectStore('gradebook');
+            store.clear();
+            courses.forEach(course => store.put(course));
+        });
+    }
+
+    async loadCatalog() {
+        const { courses } = await this.transaction(['catalog'], 'readonly', (tx, out) => {
+            tx.objectStore('catalog').getAll().onsuccess = (e) => { out.courses = e.target.result; };
+        });
+        return courses;
+    }
+
+    async saveCatalog(courses) {
+        await this.transaction(['catalog'], 'readwrite', (tx) => {
+            const store = tx.objectStore('catalog');
+            store.clear();
+            courses.forEach(course => store.put(course));
+        });
+    }
+
+    // Moves a roster saved by LocalStorageAdapter into IndexedDB on first load
+    async migrateFromLocalStorage() {
+        // Only into this browser's own database, never the copy of a server's records
+        const legacy = this.dbName === DEFAULT_DB_NAME && localStorage.getItem(STORAGE_KEY);
+        if (!legacy) return;
+
+        const { count } = await this.transaction(['students'], 'readonly', (tx, out) => {
+            tx.objectStore('students').count().onsuccess = (e) => { out.count = e.target.result; };
+        });
+        // Never overwrite a populated database with stale localStorage data
+        if (count > 0) return;
+
+        await this.save(ensureRecordIds(JSON.parse(legacy)));
+        localStorage.removeItem(STORAGE_KEY);
+        console.log('📦 Migrated student records from localStorage to IndexedDB');
+    }
+}
+
+// Records are keyed by id in IndexedDB, so hand-edited imports without one get a fresh id
+function ensureRecordIds(students) {
+    const stamp = Date.now();
+    return students.map((student, index) =>
+        student.id ? student : { ...student, id: `${stamp}${index}` }
+    );
+}
+
+function dataURLToBlob(dataURL) {
+    const [header, base64] = dataURL.split(',');
+    const mime = header.match(/data:([^;]+)/)[1];
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mime });
+}
+
+function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Prefer IndexedDB, falling back to localStorage where it can't be opened (e.g. some private modes)
+async function openLocalAdapter(dbName = DEFAULT_DB_NAME, keyPrefix = '') {
+    if (IndexedDBAdapter.isSupported()) {
+        const adapter = new IndexedDBAdapter(dbName);
+        try {
+            await adapter.open();
+            return adapter;
+        } catch (error) {
+            console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+        }
+    }
+    return new LocalStorageAdapter(...STORAGE_KEYS.map(key => keyPrefix + key));
+}
+
+// The shared server's records when this browser is connected to one (remote.js), otherwise its own
+async function openStorageAdapter() {
+    const server = RemoteStorageAdapter.loadSettings();
+    if (server) return new RemoteStorageAdapter(server, await openServerCache());
+    return openLocalAdapter();
+}
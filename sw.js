@@ -0,0 +1,99 @@
+// ==========================================
+// SERVICE WORKER
+// Precaches the app and its libraries so both pages, charts and exports work offline
+// ==========================================
+
+// Bump on every deploy: open tabs then offer to update to the new files
+const CACHE_VERSION = 'student-records-v6';
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'charts.html',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'grading.js',
+    'schema.js',
+    'validation.js',
+    'storage.js',
+    'vault.js',
+    'lock.js',
+    'accounts.js',
+    'sync.js',
+    'remote.js',
+    'attendance.js',
+    'gradebook.js',
+    'catalog.js',
+    'history.js',
+    'csv.js',
+    'importer.js',
+    'query.js',
+    'views.js',
+    'duplicates.js',
+    'idcards.js',
+    'scanner.js',
+    'pdf.js',
+    'pwa.js',
+    'app.js',
+    'charts.js',
+    // Pinned library copies (see vendor/README.txt), so installing never depends on a CDN
+    'vendor/chart.umd.js',
+    'vendor/jspdf.umd.min.js',
+    'vendor/jspdf.plugin.autotable.min.js',
+    'vendor/xlsx.full.min.js',
+    'vendor/qrcode.min.js',
+    'vendor/jsQR.js'
+];
+
+// The Inter font is cached the first time it loads; its file URLs aren't known in advance
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION).then(cache => cache.addAll(APP_FILES))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Sent by the update prompt; the waiting version takes over and the pages reload
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    const isFont = FONT_HOSTS.includes(url.hostname);
+    if (url.origin !== self.location.origin && !isFont) return;
+    // The shared server's API always goes to the network; offline, the app reads its own copy instead
+    if (url.pathname.includes('/api/')) return;
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: url.origin === self.location.origin }).then(cached => {
+            if (cached) return cached;
+            return fetch(request)
+                .then(response => {
+                    if (isFont && response.ok) {
+                        const copy = response.clone();
+                        caches.open(CACHE_VERSION).then(cache => cache.put(request, copy));
+                    }
+                    return response;
+                })
+                .catch(error => {
+                    // Offline with nothing cached for this address: show the roster
+                    if (request.mode === 'navigate') return caches.match('index.html');
+                    throw error;
+                });
+        })
+    );
+});
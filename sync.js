@@ -0,0 +1,116 @@
+// ==========================================
+// TAB SYNC
+// Tells other open tabs (the roster and the dashboard) when stored data changes,
+// over BroadcastChannel or, where that's missing, storage events
+// ==========================================
+
+const SYNC_CHANNEL = 'studentRecordsSync';
+
+// Tabs wait this long after a message so a burst of saves refreshes them once
+const SYNC_REFRESH_MS = 150;
+
+// A save found the stored roster newer than the one this tab last loaded or saved
+class StaleStorageError extends Error {
+    constructor() {
+        super('Records were saved in another tab');
+        this.name = 'StaleStorageError';
+    }
+}
+
+// An edit started from an older revision of the record; carries the version saved since
+class RevisionConflictError extends Error {
+    constructor(current) {
+        super(`${current.name} was changed in another tab`);
+        this.name = 'RevisionConflictError';
+        this.current = current;
+    }
+}
+
+class TabSync {
+    constructor(name = SYNC_CHANNEL) {
+        this.name = name;
+        this.tabId = createRecordId();
+        this.handlers = [];
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(name);
+            this.channel.onmessage = (e) => this.receive(e.data);
+        } else {
+            // Setting a key fires a storage event in every other tab (never in this one)
+            this.channel = null;
+            window.addEventListener('storage', (e) => {
+                if (e.key === name && e.newValue) this.receive(JSON.parse(e.newValue));
+            });
+        }
+    }
+
+    // The sync used by stores on this page to announce their saves
+    static current() {
+        return TabSync.active;
+    }
+
+    static setCurrent(sync) {
+        TabSync.active = sync;
+    }
+
+    // No-op until the page has set up a sync
+    static notify(topic, details) {
+        if (TabSync.active) TabSync.active.publish(topic, details);
+    }
+
+    // topic: 'students' | 'history' | 'attendance' | 'gradebook' | 'catalog'
+    publish(topic, details = {}) {
+        const message = { ...details, topic, from: this.tabId, at: Date.now() };
+        if (this.channel) {
+            this.channel.postMessage(message);
+        } else {
+            localStorage.setItem(this.name, JSON.stringify(message));
+        }
+    }
+
+    subscribe(handler) {
+        this.handlers.push(handler);
+    }
+
+    receive(message) {
+        if (!message || message.from === this.tabId) return;
+        this.handlers.forEach(handler => handler(message));
+    }
+}
+
+TabSync.active = null;
+
+// Three-way merge of the roster by record revision. `base` maps record ids to the revisions this tab
+// last loaded or saved: a record only changed here keeps the local version, one only changed in storage
+// takes the stored version, and one changed on both sides keeps the stored version and is reported
+// as a conflict so the user can put theirs back.
+// Returns { students, conflicts: [{ mine, theirs }] } (theirs is null when the other tab purged it)
+function mergeRosters(local, stored, base) {
+    const localById = new Map(local.map(s => [s.id, s]));
+    const storedIds = new Set(stored.map(s => s.id));
+    const revision = record => (record ? record.revision : undefined);
+    const students = [];
+    const conflicts = [];
+
+    const pick = (mine, theirs, id) => {
+        const changedHere = revision(mine) !== base.get(id);
+        const changedThere = revision(theirs) !== base.get(id);
+        if (!changedHere) return theirs;
+        if (!changedThere) return mine;
+        if (mine && theirs && diffRecords(mine, theirs).length === 0) return theirs;
+        if (mine) conflicts.push({ mine, theirs: theirs || null });
+        return theirs;
+    };
+
+    stored.forEach(theirs => {
+        const record = pick(localById.get(theirs.id), theirs, theirs.id);
+        if (record) students.push(record);
+    });
+    // Records only this tab has: added here, or purged by the other tab
+    local.filter(mine => !storedIds.has(mine.id)).forEach(mine => {
+        const record = pick(mine, null, mine.id);
+        if (record) students.push(record);
+    });
+
+    return { students, conflicts };
+}
@@ -0,0 +1,228 @@
+// ==========================================
+// RECORD VALIDATION
+// Declarative rules per field, shared by the student form, imports and bulk edit
+// ==========================================
+
+const VALIDATION_RULES_KEY = 'validationRules';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Fields rules can be set on, in form order
+const VALIDATED_FIELDS = {
+    studentId: 'Student ID',
+    name: 'Name',
+    email: 'Email',
+    phone: 'Phone',
+    dob: 'Date of Birth',
+    gender: 'Gender',
+    course: 'Course',
+    year: 'Year',
+    gpa: 'Grade',
+    attendance: 'Attendance',
+    enrollmentDate: 'Enrollment Date'
+};
+
+// Other fields a comparison can be made against
+const DATE_FIELDS = ['dob', 'enrollmentDate', 'graduationDate'];
+
+const COMPARE_OPERATORS = {
+    after: { label: 'after', test: (a, b) => a > b },
+    onOrAfter: { label: 'on or after', test: (a, b) => a >= b },
+    before: { label: 'before', test: (a, b) => a < b },
+    onOrBefore: { label: 'on or before', test: (a, b) => a <= b }
+};
+
+// What each rule type checks and the message it gives when no custom one is set.
+// Rules other than "required" pass on blank values.
+const RULE_TYPES = {
+    required: {
+        label: 'Required',
+        params: [],
+        test: value => !isBlank(value),
+        message: label => `${label} is required`
+    },
+    pattern: {
+        label: 'Matches pattern',
+        params: ['pattern'],
+        test: (value, rule) => new RegExp(rule.pattern).test(String(value).trim()),
+        message: label => `${label} has an invalid format`
+    },
+    range: {
+        label: 'Number between',
+        params: ['min', 'max'],
+        test: (value, rule) => {
+            const number = parseFloat(value);
+            return !isNaN(number) && (isBlank(rule.min) || number >= rule.min) && (isBlank(rule.max) || number <= rule.max);
+        },
+        message: (label, rule) => `${label} must be between ${rule.min ?? '-∞'} and ${rule.max ?? '∞'}`
+    },
+    age: {
+        label: 'Age between (years)',
+        params: ['min', 'max'],
+        test: (value, rule) => {
+            const age = getAgeInYears(value);
+            return age !== null && (isBlank(rule.min) || age >= rule.min) && (isBlank(rule.max) || age <= rule.max);
+        },
+        message: (label, rule) => `${label} must make the student ${rule.min ?? 0} to ${rule.max ?? '∞'} years old`
+    },
+    compare: {
+        label: 'Compared with field',
+        params: ['operator', 'otherField'],
+        // Passes while the other field is still blank; "required" covers that
+        test: (value, rule, record) => isBlank(record[rule.otherField])
+            || COMPARE_OPERATORS[rule.operator].test(String(value), String(record[rule.otherField])),
+        message: (label, rule) => `${label} must be ${COMPARE_OPERATORS[rule.operator].label} ${getValidatedFieldLabel(rule.otherField)}`
+    },
+    grade: {
+        label: 'Valid grade on the active scale',
+        params: [],
+        test: value => GradingScale.current().isValid(value),
+        message: () => {
+            const scale = GradingScale.current();
+            return scale.isLetter
+                ? `Enter a letter grade (${LETTER_GRADES.map(g => g.letter).join(', ')})`
+                : `${scale.shortLabel} must be between ${scale.min} and ${scale.max}`;
+        }
+    }
+};
+
+// { field: [{ type, enabled, message, ...params }] }; an empty message means the type's own
+const DEFAULT_VALIDATION_RULES = {
+    studentId: [
+        { type: 'required', enabled: true, message: '' },
+        // Rosters numbered some other way fail edits and imports with this message, which says where to change it
+        { type: 'pattern', enabled: true, pattern: '^STU\\d{3,}$', message: 'Student ID must look like STU001 (change or switch off this format under ✅ Rules)' }
+    ],
+    name: [
+        { type: 'required', enabled: true, message: '' }
+    ],
+    email: [
+        { type: 'required', enabled: true, message: '' },
+        { type: 'pattern', enabled: true, pattern: EMAIL_PATTERN.source, message: 'Invalid email format' }
+    ],
+    phone: [
+        { type: 'required', enabled: true, message: '' },
+        { type: 'pattern', enabled: true, pattern: '^\\+?([ ().-]*[0-9]){7,15}[ ().-]*$', message: 'Enter a phone number using digits, spaces and + ( ) -' }
+    ],
+    dob: [
+        { type: 'age', enabled: true, min: 10, max: 100, message: 'Date of birth must be in the past and make the student 10 to 100 years old' }
+    ],
+    gender: [
+        { type: 'required', enabled: true, message: 'Please select a gender' }
+    ],
+    course: [
+        { type: 'required', enabled: true, message: 'Please select a course' }
+    ],
+    year: [
+        { type: 'required', enabled: true, message: 'Please select a year' }
+    ],
+    // Not required: once the gradebook has courses, grades come from it and the form field is locked
+    gpa: [
+        { type: 'grade', enabled: true, message: '' }
+    ],
+    attendance: [
+        { type: 'range', enabled: true, min: 0, max: 100, message: 'Attendance must be between 0 and 100' }
+    ],
+    enrollmentDate: [
+        { type: 'required', enabled: true, message: '' },
+        { type: 'compare', enabled: true, operator: 'after', otherField: 'dob', message: 'Enrollment date must be after the date of birth' }
+    ]
+};
+
+function isBlank(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+}
+
+// Whole years between a YYYY-MM-DD date and today; negative for future dates
+function getAgeInYears(date) {
+    const born = new Date(`${date}T00:00:00`);
+    if (isNaN(born)) return null;
+    const today = new Date();
+    let age = today.getFullYear() - born.getFullYear();
+    if (today.getMonth() < born.getMonth() || (today.getMonth() === born.getMonth() && today.getDate() < born.getDate())) {
+        age--;
+    }
+    return age;
+}
+
+// The grade column is named after the active scale (GPA, CGPA, Grade...)
+function getValidatedFieldLabel(field) {
+    if (field === 'gpa') return GradingScale.current().shortLabel;
+    if (field === 'graduationDate') return 'Graduation Date';
+    return VALIDATED_FIELDS[field] || field;
+}
+
+function getRuleMessage(field, rule) {
+    return trimString(rule.message) || RULE_TYPES[rule.type].message(getValidatedFieldLabel(field), rule);
+}
+
+// Saved rules, with the defaults for any field saved before it could have rules
+function getValidationRules() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(VALIDATION_RULES_KEY));
+        if (saved && typeof saved === 'object') return { ...DEFAULT_VALIDATION_RULES, ...saved };
+    } catch (e) {
+        // Unreadable settings fall back to the defaults
+    }
+    return DEFAULT_VALIDATION_RULES;
+}
+
+// Throws on the first rule that can't run (bad pattern, missing bounds...) so nothing broken gets saved
+function saveValidationRules(rules) {
+    const cleaned = {};
+    Object.keys(VALIDATED_FIELDS).forEach(field => {
+        cleaned[field] = (rules[field] || []).map(rule => {
+            const type = RULE_TYPES[rule.type];
+            if (!type) throw new Error(`Unknown rule type: ${rule.type}`);
+            const label = `${VALIDATED_FIELDS[field]} (${type.label})`;
+            const saved = { type: rule.type, enabled: rule.enabled !== false, message: trimString(rule.message) };
+
+            if (rule.type === 'pattern') {
+                if (isBlank(rule.pattern)) throw new Error(`${label}: enter a pattern`);
+                try {
+                    new RegExp(rule.pattern);
+                } catch (e) {
+                    throw new Error(`${label}: ${e.message}`);
+                }
+                saved.pattern = rule.pattern;
+            }
+            if (rule.type === 'range' || rule.type === 'age') {
+                saved.min = toNumberOrNull(rule.min);
+                saved.max = toNumberOrNull(rule.max);
+                if (saved.min === null && saved.max === null) throw new Error(`${label}: enter a minimum or a maximum`);
+                if (saved.min !== null && saved.max !== null && saved.min > saved.max) {
+                    throw new Error(`${label}: the minimum is above the maximum`);
+                }
+            }
+            if (rule.type === 'compare') {
+                if (!COMPARE_OPERATORS[rule.operator]) throw new Error(`${label}: pick a comparison`);
+                if (!DATE_FIELDS.includes(rule.otherField) || rule.otherField === field) {
+                    throw new Error(`${label}: pick another date field`);
+                }
+                saved.operator = rule.operator;
+                saved.otherField = rule.otherField;
+            }
+            return saved;
+        });
+    });
+    localStorage.setItem(VALIDATION_RULES_KEY, JSON.stringify(cleaned));
+    return cleaned;
+}
+
+// Returns { field: message } with the first rule each field breaks
+function validateRecord(record, rules = getValidationRules()) {
+    const errors = {};
+
+    Object.entries(rules).forEach(([field, fieldRules]) => {
+        if (!VALIDATED_FIELDS[field]) return;
+        const value = record[field];
+        const broken = fieldRules.find(rule => {
+            if (rule.enabled === false || !RULE_TYPES[rule.type]) return false;
+            if (rule.type !== 'required' && isBlank(value)) return false;
+            return !RULE_TYPES[rule.type].test(value, rule, record);
+        });
+        if (broken) errors[field] = getRuleMessage(field, broken);
+    });
+
+    return errors;
+}
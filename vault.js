@@ -0,0 +1,341 @@
+// ==========================================
+// ENCRYPTED STORAGE
+// Optional AES-GCM encryption of everything the storage adapters keep. Records are
+// encrypted with a random data key; the passphrase only wraps that key (PBKDF2),
+// so changing it never rewrites the records.
+// ==========================================
+
+const VAULT_KEY = 'storageVault';
+
+// PBKDF2-SHA-256 rounds for new vaults; stored with the vault so it can be raised later
+const VAULT_ITERATIONS = 600000;
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const ENCRYPTED_EXPORT_FORMAT = 'student-records-encrypted';
+
+// Photos stay data URLs so the IndexedDB adapter can still keep them as blobs
+const ENCRYPTED_PHOTO_PREFIX = 'data:application/x-encrypted;base64,';
+
+class WrongPassphraseError extends Error {
+    constructor() {
+        super('Wrong passphrase');
+        this.name = 'WrongPassphraseError';
+    }
+}
+
+// config: { version, salt, iterations, iv, wrappedKey } with binary values in base64
+class Vault {
+    constructor(config = Vault.loadConfig()) {
+        this.config = config;
+        this.key = null;
+    }
+
+    // The unlocked vault on this page, or null while encryption is off
+    static current() {
+        return Vault.active;
+    }
+
+    static setCurrent(vault) {
+        Vault.active = vault;
+    }
+
+    static isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+
+    static loadConfig() {
+        try {
+            return JSON.parse(localStorage.getItem(VAULT_KEY));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    static isEnabled() {
+        return Vault.loadConfig() !== null;
+    }
+
+    static removeConfig() {
+        localStorage.removeItem(VAULT_KEY);
+    }
+
+    // A new, unlocked vault with a fresh data key; nothing is stored until saveConfig()
+    static async create(passphrase) {
+        checkPassphrase(passphrase);
+        const vault = new Vault(null);
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+        vault.config = await wrapDataKey(key, passphrase);
+        vault.key = await unwrapDataKey(vault.config, passphrase);
+        return vault;
+    }
+
+    saveConfig() {
+        localStorage.setItem(VAULT_KEY, JSON.stringify(this.config));
+    }
+
+    isUnlocked() {
+        return this.key !== null;
+    }
+
+    async unlock(passphrase) {
+        this.key = await unwrapDataKey(this.config, passphrase);
+    }
+
+    lock() {
+        this.key = null;
+    }
+
+    // Re-wraps the same data key under a new passphrase and salt
+    async changePassphrase(current, next) {
+        checkPassphrase(next);
+        const key = await unwrapDataKey(this.config, current, true);
+        this.config = await wrapDataKey(key, next);
+        this.key = await unwrapDataKey(this.config, next);
+        this.saveConfig();
+    }
+
+    // Any JSON value as base64 of IV + ciphertext
+    async encrypt(value) {
+        if (!this.key) throw new Error('Records are locked');
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = new TextEncoder().encode(JSON.stringify(value));
+        const sealed = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.key, data);
+        return bytesToBase64(concatBytes(iv, new Uint8Array(sealed)));
+    }
+
+    async decrypt(text) {
+        if (!this.key) throw new Error('Records are locked');
+        const bytes = base64ToBytes(text);
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.slice(0, 12) }, this.key, bytes.slice(12));
+        return JSON.parse(new TextDecoder().decode(data));
+    }
+
+    // An export file that opens with this vault's passphrase on any device
+    async exportFile(value) {
+        const { salt, iterations, iv, wrappedKey } = this.config;
+        return JSON.stringify({
+            format: ENCRYPTED_EXPORT_FORMAT,
+            version: 1,
+            salt,
+            iterations,
+            iv,
+            wrappedKey,
+            data: await this.encrypt(value)
+        }, null, 2);
+    }
+
+    // Files exported from this vault open without asking for the passphrase again
+    canOpenExport(file) {
+        return this.isUnlocked() && file.wrappedKey === this.config.wrappedKey;
+    }
+
+    static isEncryptedExport(file) {
+        return !!file && file.format === ENCRYPTED_EXPORT_FORMAT;
+    }
+
+    static async openExport(file, passphrase) {
+        const vault = new Vault(file);
+        await vault.unlock(passphrase);
+        return vault.decrypt(file.data);
+    }
+}
+
+Vault.active = null;
+
+// Wraps any storage adapter; what reaches the inner adapter is { id, sealed } per record,
+// course, session and journal entry (plus an encrypted photo), while ids, the roster order
+// and the revision stay readable so the adapter's own bookkeeping keeps working.
+// Plain records left from before encryption was turned on are read as they are.
+class EncryptedStorageAdapter {
+    constructor(inner, vault) {
+        this.inner = inner;
+        this.vault = vault;
+        // Encrypted photos by record id, so unchanged photos keep their ciphertext and aren't rewritten
+        this.sealedPhotos = new Map();
+    }
+
+    async seal(item) {
+        const sealed = { sealed: await this.vault.encrypt(item) };
+        return item.id === undefined ? sealed : { id: item.id, ...sealed };
+    }
+
+    async open(item) {
+        if (!item || typeof item.sealed !== 'string') return item;
+        return this.vault.decrypt(item.sealed);
+    }
+
+    async sealPhoto(id, photo) {
+        const cached = this.sealedPhotos.get(id);
+        if (cached && cached.photo === photo) return cached.sealed;
+        const sealed = ENCRYPTED_PHOTO_PREFIX + await this.vault.encrypt(photo);
+        this.sealedPhotos.set(id, { photo, sealed });
+        return sealed;
+    }
+
+    async openPhoto(id, sealed) {
+        if (!sealed || !sealed.startsWith(ENCRYPTED_PHOTO_PREFIX)) return sealed;
+        const photo = await this.vault.decrypt(sealed.slice(ENCRYPTED_PHOTO_PREFIX.length));
+        this.sealedPhotos.set(id, { photo, sealed });
+        return photo;
+    }
+
+    async load(options) {
+        const stored = await this.inner.load(options);
+        return Promise.all(stored.map(async ({ photo, ...item }) => {
+            const record = await this.open(item);
+            if (photo) record.photo = await this.openPhoto(record.id, photo);
+            return record;
+        }));
+    }
+
+    loadRevision() {
+        return this.inner.loadRevision();
+    }
+
+    async save(students, expectedRevision = null) {
+        const ids = new Set(students.map(s => s.id));
+        [...this.sealedPhotos.keys()].forEach(id => {
+            if (!ids.has(id)) this.sealedPhotos.delete(id);
+        });
+        const sealed = await Promise.all(students.map(async ({ photo, ...record }) => {
+            const item = await this.seal(record);
+            if (photo) item.photo = await this.sealPhoto(record.id, photo);
+            return item;
+        }));
+        return this.inner.save(sealed, expectedRevision);
+    }
+
+    clear() {
+        this.sealedPhotos.clear();
+        return this.inner.clear();
+    }
+
+    async loadHistory() {
+        return Promise.all((await this.inner.loadHistory()).map(entry => this.open(entry)));
+    }
+
+    async appendHistory(entries) {
+        return this.inner.appendHistory(await Promise.all(entries.map(entry => this.seal(entry))));
+    }
+
+    async replaceHistory(entries) {
+        return this.inner.replaceHistory(await Promise.all(entries.map(entry => this.seal(entry))));
+    }
+
+    async loadSessions() {
+        return Promise.all((await this.inner.loadSessions()).map(session => this.open(session)));
+    }
+
+    async saveSessions(sessions) {
+        return this.inner.saveSessions(await Promise.all(sessions.map(session => this.seal(session))));
+    }
+
+    async loadGradebook() {
+        return Promise.all((await this.inner.loadGradebook()).map(course => this.open(course)));
+    }
+
+    async saveGradebook(courses) {
+        return this.inner.saveGradebook(await Promise.all(courses.map(course => this.seal(course))));
+    }
+
+    async loadCatalog() {
+        return Promise.all((await this.inner.loadCatalog()).map(course => this.open(course)));
+    }
+
+    async saveCatalog(courses) {
+        return this.inner.saveCatalog(await Promise.all(courses.map(course => this.seal(course))));
+    }
+}
+
+// Rewrites everything one adapter holds through another, e.g. plain to encrypted over the same storage.
+// Refuses (StaleStorageError) if another tab saves the roster meanwhile.
+async function copyStorage(from, to) {
+    const revision = await from.loadRevision();
+    const students = await from.load();
+    const history = await from.loadHistory();
+    const sessions = await from.loadSessions();
+    const gradebook = await from.loadGradebook();
+    const catalog = await from.loadCatalog();
+
+    await to.save(students, revision);
+    await to.replaceHistory(history);
+    await to.saveSessions(sessions);
+    await to.saveGradebook(gradebook);
+    await to.saveCatalog(catalog);
+}
+
+// The passphrase-derived key only ever wraps and unwraps the data key
+async function deriveWrappingKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['wrapKey', 'unwrapKey']
+    );
+}
+
+async function wrapDataKey(key, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const wrappingKey = await deriveWrappingKey(passphrase, salt, VAULT_ITERATIONS);
+    const wrapped = await crypto.subtle.wrapKey('raw', key, wrappingKey, { name: 'AES-GCM', iv });
+    return {
+        version: 1,
+        salt: bytesToBase64(salt),
+        iterations: VAULT_ITERATIONS,
+        iv: bytesToBase64(iv),
+        wrappedKey: bytesToBase64(new Uint8Array(wrapped))
+    };
+}
+
+// AES-GCM refuses to unwrap under the wrong key, which is how a wrong passphrase shows up
+async function unwrapDataKey(config, passphrase, extractable = false) {
+    const wrappingKey = await deriveWrappingKey(String(passphrase || ''), base64ToBytes(config.salt), config.iterations);
+    try {
+        return await crypto.subtle.unwrapKey(
+            'raw',
+            base64ToBytes(config.wrappedKey),
+            wrappingKey,
+            { name: 'AES-GCM', iv: base64ToBytes(config.iv) },
+            { name: 'AES-GCM', length: 256 },
+            extractable,
+            ['encrypt', 'decrypt']
+        );
+    } catch (error) {
+        throw new WrongPassphraseError();
+    }
+}
+
+function checkPassphrase(passphrase) {
+    if (String(passphrase || '').length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+}
+
+function concatBytes(a, b) {
+    const bytes = new Uint8Array(a.length + b.length);
+    bytes.set(a);
+    bytes.set(b, a.length);
+    return bytes;
+}
+
+// In chunks: spreading a whole photo into fromCharCode overflows the call stack
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
@@ -0,0 +1,110 @@
+// ==========================================
+// SAVED VIEWS
+// Search, filters, sort and visible columns, shareable via the URL hash
+// ==========================================
+
+const SAVED_VIEWS_KEY = 'savedViews';
+
+// Table columns that can be hidden; selection and actions are always shown
+const TABLE_COLUMNS = [
+    { key: 'photo', label: 'Photo' },
+    { key: 'studentId', label: 'ID' },
+    { key: 'name', label: 'Name' },
+    { key: 'age', label: 'Age' },
+    { key: 'email', label: 'Email' },
+    { key: 'phone', label: 'Phone' },
+    { key: 'course', label: 'Course' },
+    { key: 'year', label: 'Year' },
+    { key: 'gpa', label: 'GPA' },
+    { key: 'attendance', label: 'Attendance' }
+];
+
+// Sortable keys; missing values always sort last
+const SORT_KEYS = {
+    name: { label: 'Name', value: s => s.name.toLowerCase() },
+    studentId: { label: 'ID', value: s => s.studentId.toLowerCase() },
+    course: { label: 'Course', value: s => s.course.toLowerCase() },
+    year: { label: 'Year', value: s => s.year },
+    gpa: { label: 'GPA', value: s => GradingScale.current().toPoints(getStudentGPA(s)) },
+    attendance: { label: 'Attendance', value: s => getAttendanceRate(s) },
+    age: { label: 'Age', value: s => (s.dob ? -new Date(s.dob).getTime() : null) },
+    enrollmentDate: { label: 'Enrollment Date', value: s => s.enrollmentDate || null },
+    createdAt: { label: 'Date Added', value: s => s.createdAt }
+};
+
+// Hash parameter names for each filter
+const VIEW_FILTER_PARAMS = { course: 'course', year: 'year', gpa: 'gpa', favorite: 'fav' };
+
+function createDefaultView() {
+    return {
+        search: '',
+        filters: { course: '', year: '', gpa: '', favorite: '' },
+        sort: { key: '', direction: 'asc' },
+        columns: TABLE_COLUMNS.map(c => c.key)
+    };
+}
+
+// Only settings that differ from the default view end up in the hash
+function encodeView(view, name = '') {
+    const params = new URLSearchParams();
+    const defaults = createDefaultView();
+
+    if (name) params.set('view', name);
+    if (view.search) params.set('q', view.search);
+    Object.entries(VIEW_FILTER_PARAMS).forEach(([filter, param]) => {
+        if (view.filters[filter]) params.set(param, view.filters[filter]);
+    });
+    if (view.sort.key) params.set('sort', `${view.sort.key}:${view.sort.direction}`);
+    if (view.columns.join(',') !== defaults.columns.join(',')) params.set('cols', view.columns.join(','));
+
+    return params.toString();
+}
+
+function decodeView(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const view = createDefaultView();
+
+    view.search = params.get('q') || '';
+    Object.entries(VIEW_FILTER_PARAMS).forEach(([filter, param]) => {
+        view.filters[filter] = params.get(param) || '';
+    });
+
+    const [key, direction] = (params.get('sort') || '').split(':');
+    if (SORT_KEYS[key]) {
+        view.sort = { key, direction: direction === 'desc' ? 'desc' : 'asc' };
+    }
+
+    if (params.has('cols')) {
+        const known = TABLE_COLUMNS.map(c => c.key);
+        view.columns = params.get('cols').split(',').filter(c => known.includes(c));
+    }
+
+    return { name: params.get('view') || '', view };
+}
+
+class SavedViewStore {
+    all() {
+        try {
+            const views = JSON.parse(localStorage.getItem(SAVED_VIEWS_KEY));
+            return Array.isArray(views) ? views : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    get(name) {
+        return this.all().find(v => v.name === name) || null;
+    }
+
+    // Saving under an existing name overwrites that view
+    save(name, view) {
+        const views = this.all().filter(v => v.name !== name);
+        views.push({ name, view });
+        views.sort((a, b) => a.name.localeCompare(b.name));
+        localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify(views));
+    }
+
+    remove(name) {
+        localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify(this.all().filter(v => v.name !== name)));
+    }
+}